@@ -22,7 +22,28 @@ pool.query('SELECT NOW()', (err, res) => {
   }
 });
 
+// Wrap a service's CREATE TABLE function so it runs once per process. Concurrent
+// callers share the same attempt; if it fails, they all get the error, it is
+// logged, and the next call tries again.
+function memoizeTableSetup(label, createTables) {
+  let setupPromise = null;
+  return function ensureTables() {
+    if (!setupPromise) {
+      setupPromise = createTables();
+      // Also keeps a call made at module load from becoming an unhandled rejection
+      setupPromise.catch((e) => {
+        console.error(`[${label}] Table creation failed:`, e.message);
+        setupPromise = null;
+      });
+    }
+    return setupPromise;
+  };
+}
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  memoizeTableSetup,
+  // Dedicated connection for a transaction; call release() when done
+  getClient: () => pool.connect(),
 };
 
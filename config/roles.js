@@ -0,0 +1,77 @@
+// Roles a user account can hold, from most to least privileged
+const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  HR: 'hr',
+  ORG_MANAGER: 'org_manager',
+  SUPERVISOR: 'supervisor',
+  VIEWER: 'viewer',
+};
+
+const ALL_ROLES = Object.values(ROLES);
+const DEFAULT_ROLE = ROLES.VIEWER;
+
+const { SUPER_ADMIN, HR, ORG_MANAGER, SUPERVISOR } = ROLES;
+
+// Permission -> roles allowed to use it. Routes check permissions, never role names,
+// so changing who may do what only needs an edit here.
+const PERMISSIONS = {
+  'employees:read': ALL_ROLES,
+  'employees:register': [SUPER_ADMIN, HR, ORG_MANAGER],
+  'employees:update': [SUPER_ADMIN, HR, ORG_MANAGER],
+  'employees:delete': [SUPER_ADMIN, HR],
+  'face:verify': [SUPER_ADMIN, HR, ORG_MANAGER, SUPERVISOR],
+  'face_settings:manage': [SUPER_ADMIN, HR],
+  'recognition:read': [SUPER_ADMIN, HR, ORG_MANAGER],
+
+  'attendance:read': ALL_ROLES,
+  'attendance:edit': [SUPER_ADMIN, HR],
+  'attendance:delete': [SUPER_ADMIN, HR],
+  'attendance_snapshots:read': [SUPER_ADMIN, HR, ORG_MANAGER],
+  'attendance_snapshots:manage': [SUPER_ADMIN, HR],
+  'reports:read': ALL_ROLES,
+
+  'shifts:read': ALL_ROLES,
+  'shifts:manage': [SUPER_ADMIN, HR],
+
+  'organizations:read': ALL_ROLES,
+  'organizations:manage': [SUPER_ADMIN],
+
+  'devices:manage': [SUPER_ADMIN, HR, ORG_MANAGER],
+
+  'notifications:manage': [SUPER_ADMIN],
+  'users:manage': [SUPER_ADMIN],
+  'audit:read': [SUPER_ADMIN],
+};
+
+function isValidRole(role) {
+  return ALL_ROLES.includes(role);
+}
+
+// Roles that must use two-factor authentication, e.g. TWO_FACTOR_REQUIRED_ROLES=super_admin,hr.
+// Users in these roles are made to enroll at their next login and can't turn 2FA off.
+function getTwoFactorRequiredRoles() {
+  return (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(isValidRole);
+}
+
+function isTwoFactorRequired(role) {
+  return getTwoFactorRequiredRoles().includes(role);
+}
+
+function hasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  return Array.isArray(allowed) && allowed.includes(role);
+}
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  getTwoFactorRequiredRoles,
+  isTwoFactorRequired,
+};
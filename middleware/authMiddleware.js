@@ -1,11 +1,34 @@
 const jwt = require('jsonwebtoken');
+const { findUserById, getUserOrganizationIds } = require('../services/userService');
+const {
+  LOGIN_CHALLENGE_TYPES,
+  isSessionActive,
+  verifyLoginChallengeToken,
+} = require('../services/sessionService');
+const { findDeviceByCredentials, touchDevice } = require('../services/deviceService');
+const { EMPLOYEE_TOKEN_TYPE, findEmployeeProfile } = require('../services/employeePortalService');
+const { hasPermission } = require('../config/roles');
 require('dotenv').config();
 
-const protect = (req, res, next) => {
+const REQUIRE_DEVICE_AUTH = (process.env.REQUIRE_DEVICE_AUTH || 'true').toLowerCase() === 'true';
+// With REQUIRE_DEVICE_AUTH=false, the one organization whose faces a kiosk without
+// credentials may match; without it such kiosks are still refused
+const UNREGISTERED_KIOSK_ORGANIZATION_ID = parseInt(process.env.UNREGISTERED_KIOSK_ORGANIZATION_ID || '', 10) || null;
+
+if (!REQUIRE_DEVICE_AUTH) {
+  console.warn(UNREGISTERED_KIOSK_ORGANIZATION_ID
+    ? `[DEVICES] ⚠️ REQUIRE_DEVICE_AUTH=false: kiosks without credentials can mark attendance for organization ${UNREGISTERED_KIOSK_ORGANIZATION_ID}`
+    : '[DEVICES] ⚠️ REQUIRE_DEVICE_AUTH=false but UNREGISTERED_KIOSK_ORGANIZATION_ID is not set: kiosks without credentials are still refused');
+}
+
+const protect = async (req, res, next) => {
   let token;
-  
+
   // Check for the authorization header
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    let user;
+    let organizationIds = [];
+    let sessionId;
     try {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
@@ -13,14 +36,28 @@ const protect = (req, res, next) => {
       // Verify the token using our secret
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Attach the user to the request object
-      req.user = decoded; 
+      // Tokens are tied to a login session; logout or revocation ends the session
+      if (!decoded.sid || !(await isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json({ message: 'Not authorized, session expired or revoked' });
+      }
+      sessionId = decoded.sid;
 
-      next();
+      // Load the account so disabled users lose access immediately
+      user = await findUserById(decoded.id);
+      if (user) organizationIds = await getUserOrganizationIds(user.user_id);
     } catch (error) {
       console.error(error);
-      res.status(401).json({ message: 'Not authorized, token failed' });
+      return res.status(401).json({ message: 'Not authorized, token failed' });
+    }
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({ message: 'Not authorized, account disabled or removed' });
     }
+
+    // Attach the user to the request object
+    req.user = { id: user.user_id, ...user, organization_ids: organizationIds, session_id: sessionId };
+
+    return next();
   }
 
   if (!token) {
@@ -28,5 +65,96 @@ const protect = (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// Use after protect: allows the request only if the user's role grants the permission
+const authorize = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ message: 'Forbidden, insufficient permissions', permission });
+  }
+  return next();
+};
+
+// 2FA enrollment endpoints: a normal access token, or the setup token that /login
+// hands out when the user's role requires 2FA and none is enrolled yet.
+const protectTwoFactorSetup = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer') ? header.split(' ')[1] : null;
+  const userId = token ? verifyLoginChallengeToken(token, LOGIN_CHALLENGE_TYPES.TWO_FACTOR_SETUP) : null;
+  if (!userId) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const user = await findUserById(userId);
+    if (!user || !user.is_active) {
+      return res.status(401).json({ message: 'Not authorized, account disabled or removed' });
+    }
+    const organizationIds = await getUserOrganizationIds(user.user_id);
+    req.user = { id: user.user_id, ...user, organization_ids: organizationIds, session_id: null };
+    req.twoFactorSetupLogin = true;
+    return next();
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+};
+
+// Kiosk authentication for endpoints that have no logged-in user (e.g. /mark).
+// Kiosks send X-Device-Key and X-Device-Secret headers. Set REQUIRE_DEVICE_AUTH=false
+// (with UNREGISTERED_KIOSK_ORGANIZATION_ID) only while rolling out registered devices:
+// kiosks without credentials then act as an unregistered device of that organization,
+// so matching stays scoped to it. Requests that do send credentials are still validated.
+const protectDevice = async (req, res, next) => {
+  const deviceKey = req.headers['x-device-key'];
+  const deviceSecret = req.headers['x-device-secret'];
+
+  if (!deviceKey && !deviceSecret && !REQUIRE_DEVICE_AUTH && UNREGISTERED_KIOSK_ORGANIZATION_ID) {
+    req.device = { device_id: null, device_name: null, organization_id: UNREGISTERED_KIOSK_ORGANIZATION_ID, allowed_shift_ids: null };
+    return next();
+  }
+
+  try {
+    const device = await findDeviceByCredentials(deviceKey, deviceSecret);
+    if (!device) {
+      return res.status(401).json({ message: 'Device not authorized' });
+    }
+    touchDevice(device.device_id);
+    req.device = device;
+    return next();
+  } catch (error) {
+    console.error('Device authentication error:', error);
+    return res.status(500).json({ message: 'Server error during device authentication' });
+  }
+};
+
+// Employee self-service portal. Accepts only employee tokens from /api/portal/auth;
+// admin tokens are refused here and employee tokens are refused by protect.
+const protectEmployee = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+
+  let employee;
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== EMPLOYEE_TOKEN_TYPE || !decoded.employee_id) {
+      return res.status(401).json({ message: 'Not authorized, token failed' });
+    }
+    employee = await findEmployeeProfile(decoded.employee_id);
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+
+  if (!employee || !employee.portal_active) {
+    return res.status(401).json({ message: 'Not authorized, portal access disabled or employee removed' });
+  }
+
+  req.employee = employee;
+  return next();
+};
 
+module.exports = { protect, authorize, protectTwoFactorSetup, protectDevice, protectEmployee };
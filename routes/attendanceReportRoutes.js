@@ -8,26 +8,13 @@ const {
   buildLocalTime,
   buildShiftEndTime
 } = require('../services/attendanceLogicService');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { buildOrganizationFilter } = require('../services/organizationScopeService');
+const { ensureEditColumns, fetchAttendanceRows } = require('../services/attendanceReportService');
+const { recordAudit } = require('../services/auditService');
 
 const router = express.Router();
 
-// Ensure edit-tracking columns and OT column exist on attendance_records
-let editColumnsEnsured = false;
-async function ensureEditColumns() {
-  if (editColumnsEnsured) return;
-  try {
-    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS is_edited boolean DEFAULT false');
-    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS edit_remark text');
-    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS edited_at timestamptz');
-    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS ot_hours_decimal numeric(10,2) DEFAULT 0');
-  } catch (err) {
-    console.error('Error ensuring edit columns on attendance_records:', err);
-  } finally {
-    editColumnsEnsured = true;
-  }
-}
-
 // Helper: recalculate metrics for an attendance record and persist them
 async function recalculateAndUpdateAttendanceRecord(
   attendanceId,
@@ -145,114 +132,16 @@ async function recalculateAndUpdateAttendanceRecord(
   return metrics;
 }
 
-async function fetchAttendanceRows(startDate, endDate) {
-  await ensureEditColumns();
-  
-  let query = `SELECT COALESCE(d.employee_code, d.employee_id::text) AS employee_code,
-    d.employee_name, d.employee_type, r.attendance_date, r.in_time::text AS in_time,
-    CASE WHEN r.out_time IS NOT NULL THEN r.out_time::text ELSE NULL END AS out_time,
-    r.delay_by_minutes, r.extra_time_minutes, r.total_working_hours_decimal,
-    COALESCE(r.ot_hours_decimal, 0) as ot_hours_decimal,
-    r.location_in, r.location_out, r.attendance_id, r.employee_id
-    FROM attendance_records r JOIN employee_details d ON r.employee_id = d.employee_id`;
-  const params = [];
-  if (startDate && endDate) {
-    params.push(startDate, endDate);
-    query += ' WHERE r.attendance_date BETWEEN $1 AND $2';
-  }
-  query += ' ORDER BY r.attendance_date DESC, d.employee_name, r.in_time ASC';
-  const { rows } = await db.query(query, params);
-  
-  const employeeDateMap = {};
-  rows.forEach(row => {
-    const key = `${row.employee_id}_${row.attendance_date}`;
-    if (!employeeDateMap[key]) employeeDateMap[key] = [];
-    employeeDateMap[key].push(row);
-  });
-  
-  const processedRows = await Promise.all(rows.map(async (row) => {
-    const key = `${row.employee_id}_${row.attendance_date}`;
-    const recordsForDay = employeeDateMap[key];
-    const currentRecordIndex = recordsForDay.findIndex(r => r.attendance_id === row.attendance_id);
-    const isOTShift = currentRecordIndex > 0 && row.out_time !== null;
-    
-    const dbOTHours = parseFloat(row.ot_hours_decimal) || 0;
-    
-    let metrics = {
-      delay_by_minutes: row.delay_by_minutes || 0,
-      extra_time_minutes: row.extra_time_minutes || 0,
-      total_working_hours_decimal: row.total_working_hours_decimal || 0,
-      ot_hours_decimal: dbOTHours
-    };
-    
-    if (row.out_time && row.in_time && row.employee_type) {
-      const recalculated = await calculateAttendanceMetrics(row.in_time, row.out_time, row.employee_type, isOTShift);
-      
-      // Calculate regular shift hours
-      const shifts = await getAllShifts(row.employee_type);
-      let regularShiftHours = 0;
-      
-      if (shifts.length > 0) {
-        const inTime = new Date(row.in_time);
-        const outTime = new Date(row.out_time);
-        const detectedShift = detectShiftForTime(inTime, shifts);
-        const shift = detectedShift?.shift || shifts[0];
-        const shiftStartTime = buildLocalTime(inTime, shift.startHour, shift.startMinute);
-        const shiftEndTime = buildShiftEndTime(inTime, shift);
-        
-        // Regular shift hours calculation:
-        // - If checkout >= shift end: regularShiftHours = shift end - shift start
-        // - If checkout < shift end: regularShiftHours = checkout - shift start
-        if (outTime.getTime() >= shiftEndTime.getTime()) {
-          regularShiftHours = Math.max(0, parseFloat(((shiftEndTime.getTime() - shiftStartTime.getTime()) / (1000 * 60 * 60)).toFixed(2)));
-        } else {
-          regularShiftHours = Math.max(0, parseFloat(((outTime.getTime() - shiftStartTime.getTime()) / (1000 * 60 * 60)).toFixed(2)));
-        }
-      }
-      
-      // Use DB OT if exists (manually set), otherwise use calculated
-      const finalOTHours = dbOTHours > 0 ? dbOTHours : (recalculated.ot_hours_decimal || 0);
-      
-      // Total hours calculation:
-      // - If manual OT is set: Total = Actual Worked Hours (checkout - checkin) + Manual OT
-      // - If auto-calculated OT exists: Total = Regular Shift Hours + Auto OT
-      // - If no OT: Total = Actual Worked Hours (checkout - checkin)
-      let finalTotalHours;
-      if (dbOTHours > 0) {
-        // Manual OT: Add to actual worked hours
-        finalTotalHours = Math.max(0, parseFloat((recalculated.total_working_hours_decimal + dbOTHours).toFixed(2)));
-      } else if (finalOTHours > 0) {
-        // Auto-calculated OT: Add to regular shift hours
-        finalTotalHours = Math.max(0, parseFloat((regularShiftHours + finalOTHours).toFixed(2)));
-      } else {
-        // No OT: Use actual worked hours
-        finalTotalHours = recalculated.total_working_hours_decimal;
-      }
-      
-      metrics = {
-        delay_by_minutes: recalculated.delay_by_minutes,
-        extra_time_minutes: recalculated.extra_time_minutes,
-        total_working_hours_decimal: finalTotalHours,
-        ot_hours_decimal: finalOTHours
-      };
-    }
-    
-    return {
-      ...row,
-      in_time: row.in_time ? new Date(row.in_time).toISOString() : null,
-      out_time: row.out_time ? new Date(row.out_time).toISOString() : null,
-      ...metrics,
-      is_ot: isOTShift
-    };
-  }));
-  
-  return processedRows;
+// Full row for the audit log's before/after snapshots
+async function loadAttendanceRecord(attendanceId) {
+  const { rows } = await db.query('SELECT * FROM attendance_records WHERE attendance_id = $1', [attendanceId]);
+  return rows[0] || null;
 }
 
 // ========== Admin APIs for manual edit/delete (used by ViewReports) ==========
 
 // Fallback update when old report data does not include attendance_id
-router.put('/by-keys/update', protect, async (req, res) => {
+router.put('/by-keys/update', protect, authorize('attendance:edit'), async (req, res) => {
   const {
     employee_code,
     attendance_date,
@@ -271,6 +160,8 @@ router.put('/by-keys/update', protect, async (req, res) => {
   }
 
   try {
+    const lookupParams = [employee_code, attendance_date, in_time];
+    const orgFilter = buildOrganizationFilter(req.user, 'e.organization_id', lookupParams);
     const lookupRes = await db.query(
       `SELECT ar.attendance_id, ar.attendance_date, ar.in_time, ar.out_time,
               ar.location_in, ar.location_out, e.employee_type
@@ -278,8 +169,8 @@ router.put('/by-keys/update', protect, async (req, res) => {
        JOIN employee_details e ON e.employee_id = ar.employee_id
        WHERE e.employee_code = $1
          AND ar.attendance_date = $2
-         AND ar.in_time = $3`,
-      [employee_code, attendance_date, in_time]
+         AND ar.in_time = $3${orgFilter}`,
+      lookupParams
     );
 
     if (lookupRes.rows.length === 0) {
@@ -296,6 +187,7 @@ router.put('/by-keys/update', protect, async (req, res) => {
       ? location_out
       : existing.location_out;
 
+    const before = await loadAttendanceRecord(existing.attendance_id);
     await recalculateAndUpdateAttendanceRecord(
       existing.attendance_id,
       existing.employee_type,
@@ -311,6 +203,14 @@ router.put('/by-keys/update', protect, async (req, res) => {
       }
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'attendance',
+      entityId: existing.attendance_id,
+      before,
+      after: await loadAttendanceRecord(existing.attendance_id)
+    });
+
     return res.json({ message: 'Attendance record updated successfully (by keys).' });
   } catch (error) {
     console.error('Error updating attendance record by keys:', error);
@@ -319,7 +219,7 @@ router.put('/by-keys/update', protect, async (req, res) => {
 });
 
 // Fallback delete when old report data does not include attendance_id
-router.delete('/by-keys/delete', protect, async (req, res) => {
+router.delete('/by-keys/delete', protect, authorize('attendance:delete'), async (req, res) => {
   const {
     employee_code,
     attendance_date,
@@ -333,19 +233,25 @@ router.delete('/by-keys/delete', protect, async (req, res) => {
   }
 
   try {
+    const deleteParams = [employee_code, attendance_date, in_time];
+    const orgFilter = buildOrganizationFilter(req.user, 'employee_details.organization_id', deleteParams);
     const deleteRes = await db.query(
       `DELETE FROM attendance_records
        USING employee_details
        WHERE attendance_records.employee_id = employee_details.employee_id
          AND employee_details.employee_code = $1
          AND attendance_records.attendance_date = $2
-         AND attendance_records.in_time = $3`,
-      [employee_code, attendance_date, in_time]
+         AND attendance_records.in_time = $3${orgFilter}
+       RETURNING attendance_records.*`,
+      deleteParams
     );
 
     if (deleteRes.rowCount === 0) {
       return res.status(404).json({ message: 'Attendance record not found for given keys.' });
     }
+    for (const deleted of deleteRes.rows) {
+      await recordAudit(req, { action: 'delete', entityType: 'attendance', entityId: deleted.attendance_id, before: deleted });
+    }
 
     return res.json({ message: 'Attendance record deleted successfully (by keys).' });
   } catch (error) {
@@ -355,7 +261,7 @@ router.delete('/by-keys/delete', protect, async (req, res) => {
 });
 
 // Update attendance by ID (preferred path when attendance_id is known)
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('attendance:edit'), async (req, res) => {
   const { id } = req.params;
   const {
     attendance_date,
@@ -372,13 +278,15 @@ router.put('/:id', protect, async (req, res) => {
   }
 
   try {
+    const existingParams = [id];
+    const orgFilter = buildOrganizationFilter(req.user, 'e.organization_id', existingParams);
     const existingRes = await db.query(
       `SELECT ar.attendance_id, ar.attendance_date, ar.in_time, ar.out_time,
               ar.location_in, ar.location_out, e.employee_type
        FROM attendance_records ar
        JOIN employee_details e ON e.employee_id = ar.employee_id
-       WHERE ar.attendance_id = $1`,
-      [id]
+       WHERE ar.attendance_id = $1${orgFilter}`,
+      existingParams
     );
 
     if (existingRes.rows.length === 0) {
@@ -395,6 +303,7 @@ router.put('/:id', protect, async (req, res) => {
       ? location_out
       : existing.location_out;
 
+    const before = await loadAttendanceRecord(existing.attendance_id);
     await recalculateAndUpdateAttendanceRecord(
       existing.attendance_id,
       existing.employee_type,
@@ -410,6 +319,14 @@ router.put('/:id', protect, async (req, res) => {
       }
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'attendance',
+      entityId: existing.attendance_id,
+      before,
+      after: await loadAttendanceRecord(existing.attendance_id)
+    });
+
     return res.json({ message: 'Attendance record updated successfully.' });
   } catch (error) {
     console.error('Error updating attendance record by ID:', error);
@@ -418,18 +335,25 @@ router.put('/:id', protect, async (req, res) => {
 });
 
 // Delete attendance by ID
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('attendance:delete'), async (req, res) => {
   const { id } = req.params;
 
   try {
+    const deleteParams = [id];
+    const orgFilter = buildOrganizationFilter(req.user, 'employee_details.organization_id', deleteParams);
     const result = await db.query(
-      'DELETE FROM attendance_records WHERE attendance_id = $1',
-      [id]
+      `DELETE FROM attendance_records
+       USING employee_details
+       WHERE attendance_records.employee_id = employee_details.employee_id
+         AND attendance_records.attendance_id = $1${orgFilter}
+       RETURNING attendance_records.*`,
+      deleteParams
     );
 
     if (result.rowCount === 0) {
       return res.status(404).json({ message: 'Attendance record not found.' });
     }
+    await recordAudit(req, { action: 'delete', entityType: 'attendance', entityId: id, before: result.rows[0] });
 
     return res.json({ message: 'Attendance record deleted successfully.' });
   } catch (error) {
@@ -438,10 +362,10 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-router.get('/report', protect, async (req, res) => {
+router.get('/report', protect, authorize('attendance:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const rows = await fetchAttendanceRows(startDate, endDate);
+    const rows = await fetchAttendanceRows(startDate, endDate, { user: req.user });
     res.json(rows);
   } catch (error) {
     console.error('Report error:', error);
@@ -449,10 +373,10 @@ router.get('/report', protect, async (req, res) => {
   }
 });
 
-router.get('/download-excel', protect, async (req, res) => {
+router.get('/download-excel', protect, authorize('attendance:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const rows = await fetchAttendanceRows(startDate, endDate);
+    const rows = await fetchAttendanceRows(startDate, endDate, { user: req.user });
 
     const workbook = new exceljs.Workbook();
     const worksheet = workbook.addWorksheet('Attendance Report');
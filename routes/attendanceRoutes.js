@@ -4,7 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const exceljs = require('exceljs');
 const db = require('../config/db');
-const { getFaceEmbedding } = require('../services/faceRecognitionService');
+const { getFaceEmbedding, getAllFaceEmbeddings, analyzeFaceFrames } = require('../services/faceRecognitionService');
 const { 
   calculateAttendanceMetrics, 
   getAllShifts, 
@@ -18,10 +18,54 @@ const {
   checkPresenceRequirement 
 } = require('../services/presenceDetectionService');
 const { triggerAttendanceNotifications } = require('../services/notificationService');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize, protectDevice } = require('../middleware/authMiddleware');
+const { ensureDevicesTable, isShiftAllowedForDevice } = require('../services/deviceService');
+const { buildOrganizationFilter, canAccessOrganization } = require('../services/organizationScopeService');
+const { ensureFaceEmbeddingsTable, findClosestEmployees } = require('../services/faceEmbeddingService');
+const { ensureFaceSettingsTables, getEffectiveFaceSettings } = require('../services/faceMatchSettingsService');
+const {
+  LIVENESS_MODE,
+  LIVENESS_MIN_FRAMES,
+  LIVENESS_MAX_FRAMES,
+  ensureLivenessTables,
+  issueChallenge,
+  consumeChallenge,
+  evaluateLiveness,
+  recordSpoofAttempt
+} = require('../services/livenessService');
+const {
+  ensurePunchConfirmationsTable,
+  issuePunchConfirmation,
+  consumePunchConfirmation
+} = require('../services/punchConfirmationService');
+const {
+  SNAPSHOT_DEFAULTS,
+  PUNCH_TYPES,
+  ensurePunchSnapshotTables,
+  parseSnapshotSettings,
+  getSnapshotOverrides,
+  getSnapshotSettings,
+  setSnapshotOverrides,
+  discardSnapshotFile,
+  prepareSnapshot,
+  capturePunchSnapshot,
+  listPunchSnapshots,
+  findPunchSnapshot,
+  readSnapshotImage
+} = require('../services/punchSnapshotService');
+const { recordAudit } = require('../services/auditService');
+const { ensureRecognitionAttemptsTable, recordRecognitionAttempt } = require('../services/recognitionLogService');
 
 const router = express.Router();
 
+// Initialize table on module load
+ensureFaceEmbeddingsTable();
+ensureFaceSettingsTables();
+ensureLivenessTables();
+ensurePunchConfirmationsTable();
+ensurePunchSnapshotTables();
+ensureRecognitionAttemptsTable();
+
 // Utility: format a date in IST for email display
 function formatISTDate(dateLike) {
   if (!dateLike) return '';
@@ -142,7 +186,10 @@ const upload = multer({
   },
 });
 
-const FACE_MATCH_THRESHOLD = 0.45; // Stricter threshold for better security
+// Nearest employees fetched per punch. The match threshold and the minimum gap
+// between the best and second-best candidate (closer than that, e.g. siblings, is
+// rejected as ambiguous) come from faceMatchSettingsService.
+const FACE_MATCH_CANDIDATES = Math.max(parseInt(process.env.FACE_MATCH_CANDIDATES || '3', 10), 2);
 let constraintAdjusted = false;
 const ensureMultiPunchSupport = async () => {
   if (constraintAdjusted) return;
@@ -153,190 +200,385 @@ const ensureMultiPunchSupport = async () => {
   constraintAdjusted = true;
 };
 
-// NOTE: This route is intentionally left UNPROTECTED (no JWT required).
-// Face + DB matching is used to identify the employee; frontend should be able
-// to call this even before login / without token.
-router.post('/mark', upload.single('image'), async (req, res) => {
-  const startTime = Date.now();
-  const requestId = `MARK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  
-  console.log(`\n[${requestId}] ========== MARK ATTENDANCE REQUEST ==========`);
-  
-  const { latitude, longitude, timestamp, date } = req.body;
-  const location = `(${latitude}, ${longitude})`;
-
-  if (!req.file) {
-    console.log(`[${requestId}] ❌ No image file provided`);
-    return res.status(400).json({ message: 'Image file is required.' });
+// Spoof checks for a punch burst (see livenessService). Issue a challenge first if the
+// kiosk wants the employee to perform an action; the returned challenge_id goes with the burst.
+router.post('/liveness/challenge', protectDevice, async (req, res) => {
+  try {
+    const challenge = await issueChallenge(req.device ? req.device.device_id : null);
+    res.status(201).json(challenge);
+  } catch (e) {
+    console.error('Issue liveness challenge error:', e);
+    res.status(500).json({ message: 'Failed to issue liveness challenge' });
   }
+});
+
+function removeUploadedFiles(files) {
+  files.forEach(file => {
+    try {
+      fs.unlinkSync(path.resolve(file.path));
+    } catch (_e) {}
+  });
+}
+
+// A punch is a single `image`, or a short burst as `frames` (plus an optional
+// challenge_id) to have liveness checked. With a burst, `image` is its first frame.
+const punchUpload = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'frames', maxCount: LIVENESS_MAX_FRAMES }
+]);
+
+function punchUploads(req) {
+  const imageFile = req.files && req.files.image ? req.files.image[0] : null;
+  const burstFiles = req.files && req.files.frames ? req.files.frames : [];
+  return {
+    imageFile,
+    frameFiles: burstFiles.length > 0 && imageFile ? [imageFile, ...burstFiles] : burstFiles,
+    uploadedFiles: imageFile ? [imageFile, ...burstFiles] : burstFiles,
+  };
+}
+
+// Error message for a missing or malformed punch timestamp/date, or null
+function punchTimeError({ timestamp, date }) {
+  if (!timestamp || !date) return 'Timestamp and date are required in the payload.';
+  if (isNaN(new Date(String(timestamp).trim()).getTime())) return 'Invalid timestamp format.';
+  return null;
+}
+
+// Match an embedding against the enrolled faces of an organization. result is
+// 'matched', 'not_recognized' (best distance above threshold), 'ambiguous' (second
+// candidate within margin of the best) or 'no_employees'.
+async function matchPunchEmbedding(embedding, organizationId) {
+  // Each employee is scored by their closest enrolled sample
+  const rows = await findClosestEmployees(embedding, {
+    organizationId,
+    limit: FACE_MATCH_CANDIDATES
+  });
+  if (rows.length === 0) return { result: 'no_employees', candidates: rows };
 
-  if (!timestamp || !date) {
-    console.log(`[${requestId}] ❌ Missing timestamp or date`);
-    return res.status(400).json({ message: 'Timestamp and date are required in the payload.' });
+  const bestMatch = rows[0];
+  const runnerUp = rows[1] || null;
+  // The best candidate's own overrides, if any, apply on top of the organization's
+  const matchSettings = await getEffectiveFaceSettings({ organizationId, employeeId: bestMatch.employee_id });
+  const threshold = matchSettings.match_threshold;
+  const margin = matchSettings.match_margin;
+
+  let result = 'matched';
+  if (bestMatch.distance > threshold) {
+    result = 'not_recognized';
+  } else if (runnerUp && runnerUp.distance - bestMatch.distance < margin) {
+    result = 'ambiguous';
   }
+  return { result, bestMatch, runnerUp, threshold, margin, candidates: rows };
+}
 
-  const timestampStr = String(timestamp).trim();
-  const timestampDate = new Date(timestampStr);
-  if (isNaN(timestampDate.getTime())) {
-    console.log(`[${requestId}] ❌ Invalid timestamp format`);
-    return res.status(400).json({ message: 'Invalid timestamp format.' });
+// Identify who is in front of the kiosk: liveness (for a burst), embedding, and
+// matching within the device's organization. Removes the uploads and logs the
+// attempt under source ('mark' or 'identify'). Returns the accepted match with the
+// image it was made from (for the punch snapshot), or null once an error response has been sent.
+async function identifyPunchFace(req, res, requestId, source) {
+  const startTime = Date.now();
+  const { challenge_id } = req.body;
+  const { imageFile, frameFiles, uploadedFiles } = punchUploads(req);
+  const device = req.device;
+  const deviceId = device ? device.device_id : null;
+
+  if (frameFiles.length === 0 && LIVENESS_MODE === 'required') {
+    console.log(`[${requestId}] ❌ Liveness required but no frames sent`);
+    removeUploadedFiles(uploadedFiles);
+    res.status(400).json({ message: `A burst of at least ${LIVENESS_MIN_FRAMES} frames is required.` });
+    return null;
   }
 
+  let imageBuffers;
   try {
-    await ensureMultiPunchSupport();
-    const imagePath = path.resolve(req.file.path);
+    imageBuffers = (frameFiles.length > 0 ? frameFiles : [imageFile])
+      .map(file => fs.readFileSync(path.resolve(file.path)));
+  } catch (readErr) {
+    console.error(`[${requestId}] ❌ Error reading uploaded image:`, readErr);
+    removeUploadedFiles(uploadedFiles);
+    res.status(500).json({ message: 'Error reading uploaded image.' });
+    return null;
+  }
+  removeUploadedFiles(uploadedFiles);
+  
+  // Organization tuning for this kiosk (detector confidence, default threshold and margin)
+  const organizationId = device ? device.organization_id : null;
+  const orgSettings = await getEffectiveFaceSettings({ organizationId });
+  const logAttempt = (outcome, match = {}) => recordRecognitionAttempt({
+    source,
+    deviceId,
+    organizationId,
+    outcome,
+    bestMatch: match.bestMatch,
+    runnerUp: match.runnerUp,
+    threshold: match.threshold,
+    processingMs: Date.now() - startTime
+  });
 
-    let imageBuffer;
+  let embedding;
+  let matchedImage = imageBuffers[0];
+  if (frameFiles.length > 0) {
+    console.log(`[${requestId}] Step 1: Checking liveness over ${frameFiles.length} frames...`);
+    let challengeAction = null;
+    if (challenge_id) {
+      challengeAction = await consumeChallenge(challenge_id, deviceId);
+      if (!challengeAction) {
+        console.log(`[${requestId}] ❌ Unknown, expired or used liveness challenge`);
+        await logAttempt('liveness_failed');
+        res.status(400).json({ message: 'Liveness challenge is invalid or has expired. Request a new one.' });
+        return null;
+      }
+    }
+
+    let frames;
     try {
-      imageBuffer = fs.readFileSync(imagePath);
-    } catch (readErr) {
-      console.error(`[${requestId}] ❌ Error reading uploaded image:`, readErr);
-      return res.status(500).json({ message: 'Error reading uploaded image.' });
+      frames = await analyzeFaceFrames(imageBuffers, { minConfidence: orgSettings.min_detection_confidence });
+    } catch (embedErr) {
+      console.error(`[${requestId}] ❌ Error during face detection/embedding:`, embedErr);
+      if (embedErr.code === 'FACE_BUSY') {
+        res.set('Retry-After', String(embedErr.retryAfter));
+        res.status(503).json({ message: embedErr.message });
+        return null;
+      }
+      await logAttempt('error');
+      res.status(400).json({ message: embedErr.message || 'Error processing face image.' });
+      return null;
     }
-    
+
+    const liveness = evaluateLiveness(frames, challengeAction);
+    if (!liveness.passed) {
+      // Best-effort guess at whose face was presented, for the spoof log
+      let suspect = null;
+      if (liveness.bestFrame) {
+        [suspect] = await findClosestEmployees(liveness.bestFrame.descriptor, { organizationId, limit: 1 });
+      }
+      console.log(`[${requestId}] ❌ LIVENESS FAILED - ${liveness.reason}${suspect ? ` (closest: ${suspect.employee_name})` : ''}`);
+      await recordSpoofAttempt({
+        deviceId,
+        organizationId,
+        employeeId: suspect ? suspect.employee_id : null,
+        distance: suspect ? suspect.distance : null,
+        reason: liveness.reason,
+        challengeAction,
+        details: liveness.checks
+      });
+      await logAttempt('liveness_failed', { bestMatch: suspect });
+      res.status(403).json({
+        message: 'Liveness check failed. Please look at the camera and try again.',
+        liveness: { passed: false, reason: liveness.reason, checks: liveness.checks }
+      });
+      return null;
+    }
+
+    const { quality } = liveness.bestFrame;
+    if (!quality.passed) {
+      console.log(`[${requestId}] ❌ Best frame failed the quality gate: ${quality.reasons.join(', ')}`);
+      await logAttempt('low_quality');
+      res.status(400).json({
+        message: 'Face image quality too low. Please retake the photo.',
+        reasons: quality.reasons,
+        quality: quality.scores,
+      });
+      return null;
+    }
+    embedding = liveness.bestFrame.descriptor;
+    matchedImage = imageBuffers[frames.indexOf(liveness.bestFrame)] || matchedImage;
+  } else {
     console.log(`[${requestId}] Step 1: Extracting face embedding...`);
-    let embedding;
     try {
-      embedding = await getFaceEmbedding(imageBuffer);
+      embedding = await getFaceEmbedding(imageBuffers[0], {
+        minConfidence: orgSettings.min_detection_confidence,
+        checkQuality: true
+      });
     } catch (embedErr) {
       console.error(`[${requestId}] ❌ Error during face detection/embedding:`, embedErr);
-      try {
-        fs.unlinkSync(imagePath);
-      } catch (_e) {}
-      return res.status(400).json({
+      if (embedErr.code === 'FACE_BUSY') {
+        res.set('Retry-After', String(embedErr.retryAfter));
+        res.status(503).json({ message: embedErr.message });
+        return null;
+      }
+      const outcomes = { FACE_QUALITY: 'low_quality', FACE_NOT_FOUND: 'no_face' };
+      await logAttempt(outcomes[embedErr.code] || 'error');
+      res.status(400).json({
         message: embedErr.message || 'Error processing face image.',
+        reasons: embedErr.reasons,
+        quality: embedErr.quality,
       });
+      return null;
     }
-    try {
-      fs.unlinkSync(imagePath);
-    } catch (_e) {}
-
-    if (!embedding) {
-      console.log(`[${requestId}] ❌ No face detected in image`);
-      return res.status(400).json({ message: 'No face detected.' });
-    }
+  }
 
-    console.log(`[${requestId}] Step 2: Matching face with database...`);
-    const embeddingString = `[${embedding.join(',')}]`;
-    const { rows } = await db.query(
-      `SELECT employee_id, employee_name, employee_type, face_embedding <-> $1::vector AS distance
-       FROM employee_details ORDER BY distance ASC LIMIT 1`,
-      [embeddingString]
-    );
+  console.log(`[${requestId}] Step 2: Matching face with database...`);
+  const match = await matchPunchEmbedding(embedding, organizationId);
+  await logAttempt(match.result, match);
+  if (match.result === 'no_employees') {
+    console.log(`[${requestId}] ❌ No employees found in database`);
+    res.status(404).json({ message: 'No employees registered.' });
+    return null;
+  }
 
-    if (rows.length === 0) {
-      console.log(`[${requestId}] ❌ No employees found in database`);
-      return res.status(404).json({ message: 'No employees registered.' });
-    }
+  const { bestMatch, runnerUp, threshold, margin } = match;
+  const processingTime = Date.now() - startTime;
+  
+  console.log(`[${requestId}] Best match: ${bestMatch.employee_name}`);
+  console.log(`[${requestId}] Distance: ${bestMatch.distance.toFixed(4)} (threshold: ${threshold})`);
+  
+  if (match.result === 'not_recognized') {
+    console.log(`[${requestId}] ❌ FACE NOT MATCHED - Distance too high (${processingTime}ms)`);
+    res.status(401).json({ 
+      message: 'Authentication failed. Face not recognized.',
+      debug_distance: bestMatch.distance,
+      threshold
+    });
+    return null;
+  }
+  
+  if (match.result === 'ambiguous') {
+    console.log(`[${requestId}] ❌ AMBIGUOUS MATCH - gap to second candidate below margin ${margin} (${processingTime}ms)`);
+    match.candidates.forEach((candidate, index) => {
+      console.log(`[${requestId}]   #${index + 1} ${candidate.employee_name} (${candidate.employee_id}) distance ${candidate.distance.toFixed(4)}`);
+    });
+    res.status(401).json({
+      message: 'Face match is ambiguous. Please look straight at the camera and try again.',
+      ambiguous: true,
+      debug_distance: bestMatch.distance,
+      debug_second_distance: runnerUp.distance,
+      margin
+    });
+    return null;
+  }
+  
+  console.log(`[${requestId}] ✅ FACE MATCHED: ${bestMatch.employee_name} (${processingTime}ms)`);
+  return { ...bestMatch, image: matchedImage };
+}
 
-    const bestMatch = rows[0];
-    const processingTime = Date.now() - startTime;
-    
-    console.log(`[${requestId}] Best match: ${bestMatch.employee_name}`);
-    console.log(`[${requestId}] Distance: ${bestMatch.distance.toFixed(4)} (threshold: ${FACE_MATCH_THRESHOLD})`);
-    
-    if (bestMatch.distance > FACE_MATCH_THRESHOLD) {
-      console.log(`[${requestId}] ❌ FACE NOT MATCHED - Distance too high (${processingTime}ms)`);
-      return res.status(401).json({ 
-        message: 'Authentication failed. Face not recognized.',
-        debug_distance: bestMatch.distance,
-        threshold: FACE_MATCH_THRESHOLD
-      });
-    }
-    
-    console.log(`[${requestId}] ✅ FACE MATCHED: ${bestMatch.employee_name} (${processingTime}ms)`);
+// Work out what a punch by this employee would do, without writing anything.
+// Returns { action: 'check_in' | 'check_out', shift, record, checkInTime }, or
+// { status, body } when the punch would be refused (recordPresence: a real punch
+// still counts as a presence detection).
+async function planPunch(employee, { timestampStr, date, device }) {
+  // Convert client timestamp (ISO/UTC) into business local time for all
+  // shift-window and delay calculations.
+  const checkInTime = toLocalTime(new Date(timestampStr));
+  const shifts = await getAllShifts(employee.employee_type);
 
-    const { employee_id, employee_name, employee_type } = bestMatch;
-    // Convert client timestamp (ISO/UTC) into business local time for all
-    // shift-window and delay calculations.
-    const checkInTime = toLocalTime(new Date(timestampStr));
-    const shifts = await getAllShifts(employee_type);
-    
-    if (shifts.length === 0) {
-      return res.status(400).json({ message: 'No shift settings found for your employee type.' });
-    }
+  if (shifts.length === 0) {
+    return { status: 400, body: { message: 'No shift settings found for your employee type.' } };
+  }
 
-    const detectedShift = findShiftForPunchWithGrace(checkInTime, shifts) || detectShiftForTime(checkInTime, shifts);
-    const shift = detectedShift?.shift || shifts[0];
+  const incompleteRecord = await db.query(
+    `SELECT * FROM attendance_records 
+     WHERE employee_id = $1 AND attendance_date = $2 AND out_time IS NULL
+     ORDER BY in_time DESC LIMIT 1`,
+    [employee.employee_id, date]
+  );
 
-    const incompleteRecord = await db.query(
-      `SELECT * FROM attendance_records 
-       WHERE employee_id = $1 AND attendance_date = $2 AND out_time IS NULL
-       ORDER BY in_time DESC LIMIT 1`,
-      [employee_id, date]
-    );
+  if (incompleteRecord.rows.length > 0) {
+    const record = incompleteRecord.rows[0];
+    const recordCheckInTime = new Date(record.in_time);
+    const checkOutTime = new Date(timestampStr);
 
-    if (incompleteRecord.rows.length > 0) {
-      const record = incompleteRecord.rows[0];
-      const recordCheckInTime = new Date(record.in_time);
-      const checkOutTime = new Date(timestampStr);
-      
-      if (checkOutTime.getTime() <= recordCheckInTime.getTime()) {
-        return res.status(400).json({ 
+    if (checkOutTime.getTime() <= recordCheckInTime.getTime()) {
+      return {
+        status: 400,
+        body: {
           message: 'Invalid checkout time. Check-out time must be after check-in time.',
           check_in: record.in_time,
           check_out: timestampStr
-        });
-      }
-      
-      // Normal checkout - no auto check-in to next shift
-      // Employee must manually check-in to next shift
-      const completedCount = await getCompletedCount(employee_id, date);
-      const isOTShift = completedCount > 0;
-      const metrics = await calculateAttendanceMetrics(record.in_time, timestampStr, employee_type, isOTShift);
-
-      // Get shift name for this record (reuse recordCheckInTime from above)
-      const recordDetectedShift = detectShiftForTime(recordCheckInTime, shifts);
-      const recordShift = recordDetectedShift?.shift || shifts[0];
-      const shiftName = recordShift.name || 'Unknown Shift';
-
-      const updatedRecord = await db.query(
-        `UPDATE attendance_records
-         SET out_time = $1::timestamp, location_out = $2, delay_by_minutes = $3,
-             extra_time_minutes = $4, total_working_hours_decimal = $5
-         WHERE attendance_id = $6
-         RETURNING total_working_hours_decimal`,
-        [timestampStr, location, metrics.delay_by_minutes, metrics.extra_time_minutes, 
-         metrics.total_working_hours_decimal, record.attendance_id]
-      );
+        }
+      };
+    }
 
-      // Get employee details for notification
-      const empDetails = await db.query(
-        `SELECT e.employee_code, e.email, e.phone_number, o.organization_name
-         FROM employee_details e
-         LEFT JOIN organizations o ON e.organization_id = o.organization_id
-         WHERE e.employee_id = $1`,
-        [employee_id]
-      );
+    // The shift this record was checked in to
+    const recordDetectedShift = detectShiftForTime(recordCheckInTime, shifts);
+    const recordShift = recordDetectedShift?.shift || shifts[0];
+    if (!isShiftAllowedForDevice(device, recordShift)) {
+      return { status: 403, body: { message: `This device is not enabled for ${recordShift.name || 'Unknown Shift'}.` } };
+    }
+    return { action: 'check_out', shift: recordShift, record, checkInTime };
+  }
 
-      // Trigger notifications (async, don't block response)
-      if (empDetails.rows.length > 0) {
-        const empData = empDetails.rows[0];
-        console.log(`[ATTENDANCE] 📧 Preparing to send notifications for ${employee_name} (checked_out)`);
-        console.log(`[ATTENDANCE] Employee email: ${empData.email || 'NOT SET'}`);
-       
-        // Format date/time for notification explicitly in IST (Asia/Kolkata)
-        const notificationDate = formatISTDate(timestampStr);
-        
-        triggerAttendanceNotifications('checked_out', {
-          employee_id,
-          employee_name,
-          employee_code: empData.employee_code || '',
-          organization_name: empData.organization_name || '',
-          date: notificationDate,
-          time: formatISTTime(timestampStr),
-          in_time: formatISTTime(record.in_time),
-          out_time: formatISTTime(timestampStr),
-          total_hours: updatedRecord.rows[0].total_working_hours_decimal,
-          status: 'checked_out',
-        }).catch(err => {
-          console.error('[ATTENDANCE] ❌ Notification trigger error:', err);
-        });
-      } else {
-        console.log(`[ATTENDANCE] ⚠️ No employee details found for ID: ${employee_id}`);
-      }
+  // Check-in allowed from (start - graceBefore) through end + graceAfter of the matched shift
+  const match = findShiftForPunchWithGrace(checkInTime, shifts);
+  const matchShift = match?.shift || null;
+  if (!matchShift) {
+    return { status: 400, body: { message: 'Check-in not within any shift window.' }, recordPresence: true };
+  }
+  if (!isShiftAllowedForDevice(device, matchShift)) {
+    return { status: 403, body: { message: `This device is not enabled for ${matchShift.name}.` } };
+  }
+  return { action: 'check_in', shift: matchShift, record: null, checkInTime };
+}
 
-      res.status(200).json({
+// Write a planned punch (see planPunch) and send the notifications.
+// Returns { status, body } for the response, with the attendanceId and punchType
+// ('in' or 'out') written when the punch was recorded.
+async function commitPunch(employee, plan, { timestampStr, date, location, deviceId }) {
+  const { employee_id, employee_name, employee_type } = employee;
+  const { checkInTime } = plan;
+
+  if (plan.action === 'check_out') {
+    const { record } = plan;
+
+    // Normal checkout - no auto check-in to next shift
+    // Employee must manually check-in to next shift
+    const completedCount = await getCompletedCount(employee_id, date);
+    const isOTShift = completedCount > 0;
+    const metrics = await calculateAttendanceMetrics(record.in_time, timestampStr, employee_type, isOTShift);
+
+    const shiftName = plan.shift.name || 'Unknown Shift';
+
+    const updatedRecord = await db.query(
+      `UPDATE attendance_records
+       SET out_time = $1::timestamp, location_out = $2, delay_by_minutes = $3,
+           extra_time_minutes = $4, total_working_hours_decimal = $5, device_id_out = $6
+       WHERE attendance_id = $7
+       RETURNING total_working_hours_decimal`,
+      [timestampStr, location, metrics.delay_by_minutes, metrics.extra_time_minutes, 
+       metrics.total_working_hours_decimal, deviceId, record.attendance_id]
+    );
+
+    // Get employee details for notification
+    const empDetails = await db.query(
+      `SELECT e.employee_code, e.email, e.phone_number, o.organization_name
+       FROM employee_details e
+       LEFT JOIN organizations o ON e.organization_id = o.organization_id
+       WHERE e.employee_id = $1`,
+      [employee_id]
+    );
+
+    // Trigger notifications (async, don't block response)
+    if (empDetails.rows.length > 0) {
+      const empData = empDetails.rows[0];
+      console.log(`[ATTENDANCE] 📧 Preparing to send notifications for ${employee_name} (checked_out)`);
+      console.log(`[ATTENDANCE] Employee email: ${empData.email || 'NOT SET'}`);
+     
+      // Format date/time for notification explicitly in IST (Asia/Kolkata)
+      const notificationDate = formatISTDate(timestampStr);
+      
+      triggerAttendanceNotifications('checked_out', {
+        employee_id,
+        employee_name,
+        employee_code: empData.employee_code || '',
+        organization_name: empData.organization_name || '',
+        date: notificationDate,
+        time: formatISTTime(timestampStr),
+        in_time: formatISTTime(record.in_time),
+        out_time: formatISTTime(timestampStr),
+        total_hours: updatedRecord.rows[0].total_working_hours_decimal,
+        status: 'checked_out',
+      }).catch(err => {
+        console.error('[ATTENDANCE] ❌ Notification trigger error:', err);
+      });
+    } else {
+      console.log(`[ATTENDANCE] ⚠️ No employee details found for ID: ${employee_id}`);
+    }
+
+    return {
+      status: 200,
+      attendanceId: record.attendance_id,
+      punchType: 'out',
+      body: {
         status: 'checked_out',
         employee_name,
         out_time: timestampStr,
@@ -345,100 +587,245 @@ router.post('/mark', upload.single('image'), async (req, res) => {
         ot_hours: metrics.ot_hours_decimal || 0,
         shift_name: shiftName,
         message: `Thank you ${employee_name}! You have checked out successfully from ${shiftName}.${isOTShift ? ' (OT Shift)' : ''}${metrics.ot_hours_decimal > 0 ? ` OT: ${metrics.ot_hours_decimal} hours` : ''}`
-      });
-    } else {
-      // Check-in allowed from (start - graceBefore) through end + graceAfter of the matched shift
-      const match = findShiftForPunchWithGrace(checkInTime, shifts);
-      const matchShift = match?.shift || null;
-      if (!matchShift) {
-        await recordPresenceDetection(employee_id, timestampStr, date);
-        return res.status(400).json({ message: 'Check-in not within any shift window.' });
       }
-
-      await recordPresenceDetection(employee_id, timestampStr, date);
-      
-      const enforcePresence = (process.env.ENFORCE_PRESENCE || 'false').toLowerCase() === 'true';
-      if (enforcePresence) {
-        const presenceValid = await checkPresenceRequirement(
-          employee_id, 
-          date, 
-          matchShift.presenceTime, 
-          matchShift.presenceCount, 
-          matchShift.presenceWindow
-        );
-        if (!presenceValid) {
-          return res.status(400).json({ 
+    };
+  } else {
+    const matchShift = plan.shift;
+    await recordPresenceDetection(employee_id, timestampStr, date);
+    
+    const enforcePresence = (process.env.ENFORCE_PRESENCE || 'false').toLowerCase() === 'true';
+    if (enforcePresence) {
+      const presenceValid = await checkPresenceRequirement(
+        employee_id, 
+        date, 
+        matchShift.presenceTime, 
+        matchShift.presenceCount, 
+        matchShift.presenceWindow
+      );
+      if (!presenceValid) {
+        return {
+          status: 400,
+          body: {
             message: `Presence requirement not met. Please ensure continuous presence for ${matchShift.presenceTime} seconds or ${matchShift.presenceCount} detections within ${matchShift.presenceWindow} seconds.` 
-          });
-        }
+          }
+        };
       }
+    }
 
-      // Calculate delay at check-in so that late arrivals are visible on dashboards
-      let delayAtCheckInMinutes = 0;
-      try {
-        const shiftStart = buildLocalTime(checkInTime, matchShift.startHour, matchShift.startMinute);
-        if (checkInTime.getTime() > shiftStart.getTime()) {
-          delayAtCheckInMinutes = Math.round(
-            (checkInTime.getTime() - shiftStart.getTime()) / (1000 * 60)
-          );
-        }
-      } catch (err) {
-        console.error('Error calculating delay at check-in:', err);
+    // Calculate delay at check-in so that late arrivals are visible on dashboards
+    let delayAtCheckInMinutes = 0;
+    try {
+      const shiftStart = buildLocalTime(checkInTime, matchShift.startHour, matchShift.startMinute);
+      if (checkInTime.getTime() > shiftStart.getTime()) {
+        delayAtCheckInMinutes = Math.round(
+          (checkInTime.getTime() - shiftStart.getTime()) / (1000 * 60)
+        );
       }
+    } catch (err) {
+      console.error('Error calculating delay at check-in:', err);
+    }
 
-      await db.query(
-        'INSERT INTO attendance_records (employee_id, attendance_date, in_time, location_in, delay_by_minutes) VALUES ($1, $2, $3::timestamp, $4, $5)',
-        [employee_id, date, timestampStr, location, delayAtCheckInMinutes]
-      );
+    const inserted = await db.query(
+      'INSERT INTO attendance_records (employee_id, attendance_date, in_time, location_in, delay_by_minutes, device_id_in) VALUES ($1, $2, $3::timestamp, $4, $5, $6) RETURNING attendance_id',
+      [employee_id, date, timestampStr, location, delayAtCheckInMinutes, deviceId]
+    );
 
-      // Get employee details for notification
-      const empDetails = await db.query(
-        `SELECT e.employee_code, e.email, e.phone_number, o.organization_name
-         FROM employee_details e
-         LEFT JOIN organizations o ON e.organization_id = o.organization_id
-         WHERE e.employee_id = $1`,
-        [employee_id]
-      );
+    // Get employee details for notification
+    const empDetails = await db.query(
+      `SELECT e.employee_code, e.email, e.phone_number, o.organization_name
+       FROM employee_details e
+       LEFT JOIN organizations o ON e.organization_id = o.organization_id
+       WHERE e.employee_id = $1`,
+      [employee_id]
+    );
 
-      // Trigger notifications (async, don't block response)
-      if (empDetails.rows.length > 0) {
-        const empData = empDetails.rows[0];
-        console.log(`[ATTENDANCE] 📧 Preparing to send notifications for ${employee_name} (checked_in)`);
-        console.log(`[ATTENDANCE] Employee email: ${empData.email || 'NOT SET'}`);
-       
-        // Format date/time for notification explicitly in IST (Asia/Kolkata)
-        const notificationDate = formatISTDate(timestampStr);
-        
-        triggerAttendanceNotifications('checked_in', {
-          employee_id,
-          employee_name,
-          employee_code: empData.employee_code || '',
-          organization_name: empData.organization_name || '',
-          date: notificationDate,
-          time: formatISTTime(timestampStr),
-          in_time: formatISTTime(timestampStr),
-          status: 'checked_in',
-        }).catch(err => {
-          console.error('[ATTENDANCE] ❌ Notification trigger error:', err);
-        });
-      } else {
-        console.log(`[ATTENDANCE] ⚠️ No employee details found for ID: ${employee_id}`);
-      }
+    // Trigger notifications (async, don't block response)
+    if (empDetails.rows.length > 0) {
+      const empData = empDetails.rows[0];
+      console.log(`[ATTENDANCE] 📧 Preparing to send notifications for ${employee_name} (checked_in)`);
+      console.log(`[ATTENDANCE] Employee email: ${empData.email || 'NOT SET'}`);
+     
+      // Format date/time for notification explicitly in IST (Asia/Kolkata)
+      const notificationDate = formatISTDate(timestampStr);
+      
+      triggerAttendanceNotifications('checked_in', {
+        employee_id,
+        employee_name,
+        employee_code: empData.employee_code || '',
+        organization_name: empData.organization_name || '',
+        date: notificationDate,
+        time: formatISTTime(timestampStr),
+        in_time: formatISTTime(timestampStr),
+        status: 'checked_in',
+      }).catch(err => {
+        console.error('[ATTENDANCE] ❌ Notification trigger error:', err);
+      });
+    } else {
+      console.log(`[ATTENDANCE] ⚠️ No employee details found for ID: ${employee_id}`);
+    }
 
-      // Get shift name for check-in
-      const checkInCompletedCount = await getCompletedCount(employee_id, date);
-      const isCheckInOT = checkInCompletedCount > 0;
-      const checkInShiftName = matchShift.name || 'Unknown Shift';
+    // Get shift name for check-in
+    const checkInCompletedCount = await getCompletedCount(employee_id, date);
+    const isCheckInOT = checkInCompletedCount > 0;
+    const checkInShiftName = matchShift.name || 'Unknown Shift';
 
-      res.status(201).json({
+    return {
+      status: 201,
+      attendanceId: inserted.rows[0].attendance_id,
+      punchType: 'in',
+      body: {
         status: 'checked_in',
         employee_name,
         in_time: timestampStr,
         is_ot: isCheckInOT,
         shift_name: checkInShiftName,
         message: `Hi ${employee_name}! You have checked in successfully to ${checkInShiftName}.${isCheckInOT ? ' (OT Shift)' : ''}`
-      });
+      }
+    };
+  }
+}
+
+// Keep a snapshot of a recorded punch (see punchSnapshotService). Runs after the
+// response; a failure is logged and never affects the punch.
+function keepPunchSnapshot(punch, { employeeId, deviceId, image, box, fileName }) {
+  if (!punch.attendanceId) {
+    discardSnapshotFile(fileName);
+    return;
+  }
+  setImmediate(() => {
+    capturePunchSnapshot({ attendanceId: punch.attendanceId, punchType: punch.punchType, employeeId, deviceId, image, box, fileName })
+      .catch(err => console.warn('[SNAPSHOT] Capture failed:', err.message));
+  });
+}
+
+// Preview a punch: identify the face and report what /mark would do, without
+// writing anything. Send the returned confirmation_token to /mark (with timestamp
+// and date, no image) from the same device to commit it.
+router.post('/identify', protectDevice, punchUpload, async (req, res) => {
+  const requestId = `IDENTIFY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const { uploadedFiles } = punchUploads(req);
+
+  if (uploadedFiles.length === 0) {
+    return res.status(400).json({ message: 'Image file is required.' });
+  }
+  const timeError = punchTimeError(req.body);
+  if (timeError) {
+    removeUploadedFiles(uploadedFiles);
+    return res.status(400).json({ message: timeError });
+  }
+
+  try {
+    await ensureDevicesTable();
+    const device = req.device;
+    const bestMatch = await identifyPunchFace(req, res, requestId, 'identify');
+    if (!bestMatch) return;
+
+    const { employee_id, employee_name, distance } = bestMatch;
+    const plan = await planPunch(bestMatch, {
+      timestampStr: String(req.body.timestamp).trim(),
+      date: req.body.date,
+      device
+    });
+    if (plan.body) {
+      console.log(`[${requestId}] ❌ ${plan.body.message}`);
+      return res.status(plan.status).json({ ...plan.body, employee_id, employee_name });
+    }
+
+    const shiftName = plan.shift.name || 'Unknown Shift';
+    // Taken now, since /mark gets no image when the punch is confirmed
+    let snapshotFile = null;
+    try {
+      snapshotFile = await prepareSnapshot(bestMatch.image, bestMatch.organization_id);
+    } catch (snapshotErr) {
+      console.warn(`[${requestId}] Snapshot not stored:`, snapshotErr.message);
     }
+    const confirmation = await issuePunchConfirmation({
+      deviceId: device ? device.device_id : null,
+      employeeId: employee_id,
+      distance,
+      action: plan.action,
+      snapshotFile
+    });
+    res.status(200).json({
+      employee_id,
+      employee_name,
+      distance,
+      action: plan.action,
+      shift_name: shiftName,
+      confirmation_token: confirmation.token,
+      expires_in: confirmation.expires_in,
+      message: `Hi ${employee_name}! You are about to check ${plan.action === 'check_in' ? 'in to' : 'out of'} ${shiftName}.`
+    });
+  } catch (error) {
+    console.error('Attendance identify error:', error);
+    res.status(500).json({ message: 'Server error during identification.' });
+  }
+});
+
+// NOTE: This route takes no user JWT - face + DB matching identifies the employee.
+// Instead the kiosk itself must be a registered device (see protectDevice); matching
+// is limited to the device's organization and the punch records which device sent it.
+// Instead of an image, a confirmation_token from /identify commits a previewed punch.
+router.post('/mark', protectDevice, punchUpload, async (req, res) => {
+  const requestId = `MARK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  
+  console.log(`\n[${requestId}] ========== MARK ATTENDANCE REQUEST ==========`);
+  
+  const { latitude, longitude, timestamp, date, confirmation_token } = req.body;
+  const location = `(${latitude}, ${longitude})`;
+  const { uploadedFiles } = punchUploads(req);
+
+  if (uploadedFiles.length === 0 && !confirmation_token) {
+    console.log(`[${requestId}] ❌ No image file provided`);
+    return res.status(400).json({ message: 'Image file is required.' });
+  }
+
+  const timeError = punchTimeError(req.body);
+  if (timeError) {
+    console.log(`[${requestId}] ❌ ${timeError}`);
+    removeUploadedFiles(uploadedFiles);
+    return res.status(400).json({ message: timeError });
+  }
+  const timestampStr = String(timestamp).trim();
+
+  try {
+    await ensureMultiPunchSupport();
+    await ensureDevicesTable();
+    const device = req.device;
+    const deviceId = device ? device.device_id : null;
+
+    let bestMatch;
+    if (confirmation_token) {
+      removeUploadedFiles(uploadedFiles);
+      bestMatch = await consumePunchConfirmation(confirmation_token, deviceId);
+      if (!bestMatch) {
+        console.log(`[${requestId}] ❌ Unknown, expired or used confirmation token`);
+        return res.status(401).json({ message: 'Confirmation has expired. Please scan your face again.' });
+      }
+      console.log(`[${requestId}] ✅ CONFIRMED: ${bestMatch.employee_name} (identified by /identify)`);
+    } else {
+      bestMatch = await identifyPunchFace(req, res, requestId, 'mark');
+      if (!bestMatch) return;
+    }
+
+    const { employee_id } = bestMatch;
+    const snapshot = { employeeId: employee_id, deviceId, image: bestMatch.image, fileName: bestMatch.snapshot_file };
+    const plan = await planPunch(bestMatch, { timestampStr, date, device });
+    if (plan.body) {
+      console.log(`[${requestId}] ❌ ${plan.body.message}`);
+      discardSnapshotFile(snapshot.fileName);
+      if (plan.recordPresence) await recordPresenceDetection(employee_id, timestampStr, date);
+      return res.status(plan.status).json(plan.body);
+    }
+    // The employee punched again since /identify, so the previewed action no longer applies
+    if (confirmation_token && plan.action !== bestMatch.action) {
+      console.log(`[${requestId}] ❌ Previewed ${bestMatch.action} but punch would now ${plan.action}`);
+      discardSnapshotFile(snapshot.fileName);
+      return res.status(409).json({ message: 'Attendance changed since you were identified. Please scan your face again.' });
+    }
+    const result = await commitPunch(bestMatch, plan, { timestampStr, date, location, deviceId });
+    keepPunchSnapshot(result, snapshot);
+    res.status(result.status).json(result.body);
   } catch (error) {
     console.error('Attendance marking error:', error);
     if (error && error.code === '23505') {
@@ -449,7 +836,230 @@ router.post('/mark', upload.single('image'), async (req, res) => {
   }
 });
 
-async function fetchAttendanceRows(startDate, endDate) {
+// Group check-in: every face in one frame is matched on its own and each confident
+// match is punched. Faces that fail the quality gate, aren't recognized, are ambiguous
+// or repeat someone already matched in the frame are reported but not punched.
+// There is no liveness check on a single frame, so this is refused when liveness is required.
+router.post('/mark-group', protectDevice, upload.single('image'), async (req, res) => {
+  const requestId = `GROUP-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const startTime = Date.now();
+
+  console.log(`\n[${requestId}] ========== GROUP MARK REQUEST ==========`);
+
+  const { latitude, longitude, timestamp, date } = req.body;
+  const location = `(${latitude}, ${longitude})`;
+
+  if (!req.file) {
+    return res.status(400).json({ message: 'Image file is required.' });
+  }
+  const uploadedFiles = [req.file];
+  if (LIVENESS_MODE === 'required') {
+    removeUploadedFiles(uploadedFiles);
+    return res.status(400).json({ message: 'Group check-in is not available while liveness checks are required.' });
+  }
+  const timeError = punchTimeError(req.body);
+  if (timeError) {
+    removeUploadedFiles(uploadedFiles);
+    return res.status(400).json({ message: timeError });
+  }
+  const timestampStr = String(timestamp).trim();
+
+  try {
+    await ensureMultiPunchSupport();
+    await ensureDevicesTable();
+    const device = req.device;
+    const deviceId = device ? device.device_id : null;
+    const organizationId = device ? device.organization_id : null;
+
+    let imageBuffer;
+    try {
+      imageBuffer = fs.readFileSync(path.resolve(req.file.path));
+    } catch (readErr) {
+      console.error(`[${requestId}] ❌ Error reading uploaded image:`, readErr);
+      return res.status(500).json({ message: 'Error reading uploaded image.' });
+    } finally {
+      removeUploadedFiles(uploadedFiles);
+    }
+
+    const orgSettings = await getEffectiveFaceSettings({ organizationId });
+    let faces;
+    try {
+      faces = await getAllFaceEmbeddings(imageBuffer, { minConfidence: orgSettings.min_detection_confidence });
+    } catch (embedErr) {
+      console.error(`[${requestId}] ❌ Error during face detection/embedding:`, embedErr);
+      if (embedErr.code === 'FACE_BUSY') {
+        res.set('Retry-After', String(embedErr.retryAfter));
+        return res.status(503).json({ message: embedErr.message });
+      }
+      await recordRecognitionAttempt({ source: 'mark_group', deviceId, organizationId, outcome: 'error', processingMs: Date.now() - startTime });
+      return res.status(400).json({ message: embedErr.message || 'Error processing face image.' });
+    }
+    if (faces.length === 0) {
+      console.log(`[${requestId}] ❌ No face detected in image`);
+      await recordRecognitionAttempt({ source: 'mark_group', deviceId, organizationId, outcome: 'no_face', processingMs: Date.now() - startTime });
+      return res.status(400).json({ message: 'No face detected.' });
+    }
+    console.log(`[${requestId}] ${faces.length} face(s) detected`);
+
+    // Match every face before punching, so someone seen twice is punched once (closest face wins)
+    const results = [];
+    for (const face of faces) {
+      const result = { box: face.box };
+      results.push(result);
+      const attempt = { source: 'mark_group', deviceId, organizationId, processingMs: Date.now() - startTime };
+      if (!face.quality.passed) {
+        await recordRecognitionAttempt({ ...attempt, outcome: 'low_quality' });
+        Object.assign(result, { status: 'low_quality', reasons: face.quality.reasons });
+        continue;
+      }
+      const match = await matchPunchEmbedding(face.descriptor, organizationId);
+      await recordRecognitionAttempt({
+        ...attempt,
+        outcome: match.result,
+        bestMatch: match.bestMatch,
+        runnerUp: match.runnerUp,
+        threshold: match.threshold
+      });
+      if (match.result === 'matched') {
+        result.match = match.bestMatch;
+      } else {
+        result.status = match.result === 'ambiguous' ? 'ambiguous' : 'unmatched';
+        result.distance = match.bestMatch ? match.bestMatch.distance : null;
+      }
+    }
+
+    const closestFace = new Map();
+    results.filter(r => r.match).forEach(r => {
+      const current = closestFace.get(r.match.employee_id);
+      if (!current || r.match.distance < current.match.distance) closestFace.set(r.match.employee_id, r);
+    });
+
+    for (const result of results.filter(r => r.match)) {
+      const { match } = result;
+      Object.assign(result, { employee_id: match.employee_id, employee_name: match.employee_name, distance: match.distance });
+      if (closestFace.get(match.employee_id) !== result) {
+        result.status = 'duplicate';
+        continue;
+      }
+      try {
+        const plan = await planPunch(match, { timestampStr, date, device });
+        if (plan.body) {
+          if (plan.recordPresence) await recordPresenceDetection(match.employee_id, timestampStr, date);
+          Object.assign(result, { status: 'rejected', message: plan.body.message });
+          continue;
+        }
+        const punch = await commitPunch(match, plan, { timestampStr, date, location, deviceId });
+        keepPunchSnapshot(punch, { employeeId: match.employee_id, deviceId, image: imageBuffer, box: result.box });
+        Object.assign(result, {
+          status: punch.body.status || 'rejected',
+          shift_name: punch.body.shift_name,
+          message: punch.body.message
+        });
+      } catch (punchErr) {
+        console.error(`[${requestId}] ❌ Failed to mark ${match.employee_name}:`, punchErr);
+        Object.assign(result, { status: 'error', message: 'Failed to record attendance.' });
+      }
+    }
+
+    const summary = { faces: results.length, marked: 0, unmatched: 0 };
+    results.forEach(r => {
+      delete r.match;
+      if (r.status === 'checked_in' || r.status === 'checked_out') summary.marked++;
+      if (r.status === 'unmatched') summary.unmatched++;
+    });
+    console.log(`[${requestId}] ✅ Group mark: ${summary.marked}/${summary.faces} marked, ${summary.unmatched} unmatched`);
+    res.status(200).json({ summary, faces: results });
+  } catch (error) {
+    console.error('Group attendance marking error:', error);
+    res.status(500).json({ message: 'Server error during group attendance marking.' });
+  }
+});
+
+// Punch snapshot capture and retention for an organization: stored overrides and the values in force
+router.get('/snapshot-settings/:organizationId', protect, authorize('attendance_snapshots:manage'), async (req, res) => {
+  const { organizationId } = req.params;
+  if (!canAccessOrganization(req.user, organizationId)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
+  try {
+    res.json({
+      organization_id: parseInt(organizationId, 10),
+      defaults: SNAPSHOT_DEFAULTS,
+      overrides: await getSnapshotOverrides(organizationId),
+      effective: await getSnapshotSettings(organizationId)
+    });
+  } catch (e) {
+    console.error('Get snapshot settings error:', e);
+    res.status(500).json({ message: 'Failed to fetch snapshot settings' });
+  }
+});
+
+// Set capture_enabled and/or retention_days; null resets one to the default
+router.put('/snapshot-settings/:organizationId', protect, authorize('attendance_snapshots:manage'), async (req, res) => {
+  const { organizationId } = req.params;
+  if (!canAccessOrganization(req.user, organizationId)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
+  const { values, error } = parseSnapshotSettings(req.body);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    const { rows } = await db.query('SELECT 1 FROM organizations WHERE organization_id = $1', [organizationId]);
+    if (rows.length === 0) return res.status(404).json({ message: 'Organization not found' });
+    const before = await getSnapshotOverrides(organizationId);
+    const overrides = await setSnapshotOverrides(organizationId, values, req.user.user_id);
+    await recordAudit(req, { action: 'update', entityType: 'organization_snapshot_settings', entityId: organizationId, before, after: overrides });
+    res.json({
+      organization_id: parseInt(organizationId, 10),
+      overrides,
+      effective: await getSnapshotSettings(organizationId)
+    });
+  } catch (e) {
+    console.error('Update snapshot settings error:', e);
+    res.status(500).json({ message: 'Failed to update snapshot settings' });
+  }
+});
+
+// Snapshots kept for an attendance record (metadata only)
+router.get('/:attendanceId/snapshots', protect, authorize('attendance_snapshots:read'), async (req, res) => {
+  try {
+    const snapshots = (await listPunchSnapshots(req.params.attendanceId))
+      .filter(snapshot => canAccessOrganization(req.user, snapshot.organization_id));
+    res.json({ snapshots });
+  } catch (e) {
+    console.error('List punch snapshots error:', e);
+    res.status(500).json({ message: 'Failed to fetch punch snapshots' });
+  }
+});
+
+// Snapshot image of the check-in (in) or check-out (out) of an attendance record
+router.get('/:attendanceId/snapshots/:punchType', protect, authorize('attendance_snapshots:read'), async (req, res) => {
+  const { attendanceId, punchType } = req.params;
+  if (!PUNCH_TYPES.includes(punchType)) {
+    return res.status(400).json({ message: `Punch type must be one of: ${PUNCH_TYPES.join(', ')}` });
+  }
+  try {
+    const snapshot = await findPunchSnapshot(attendanceId, punchType);
+    if (!snapshot || !canAccessOrganization(req.user, snapshot.organization_id)) {
+      return res.status(404).json({ message: 'Snapshot not found' });
+    }
+    let image;
+    try {
+      image = readSnapshotImage(snapshot);
+    } catch (readError) {
+      if (readError.code === 'ENOENT') return res.status(404).json({ message: 'Snapshot not found' });
+      throw readError;
+    }
+    res.type('jpg');
+    res.set('Cache-Control', 'no-store');
+    res.send(image);
+  } catch (e) {
+    console.error('Get punch snapshot error:', e);
+    res.status(500).json({ message: 'Failed to fetch punch snapshot' });
+  }
+});
+
+async function fetchAttendanceRows(startDate, endDate, user) {
   let query = `SELECT COALESCE(d.employee_code, d.employee_id::text) AS employee_code,
     d.employee_name, d.employee_type, r.attendance_date, r.in_time::text AS in_time,
     CASE WHEN r.out_time IS NOT NULL THEN r.out_time::text ELSE NULL END AS out_time,
@@ -457,10 +1067,12 @@ async function fetchAttendanceRows(startDate, endDate) {
     r.location_in, r.location_out, r.attendance_id, r.employee_id
     FROM attendance_records r JOIN employee_details d ON r.employee_id = d.employee_id`;
   const params = [];
+  query += ' WHERE 1=1';
   if (startDate && endDate) {
     params.push(startDate, endDate);
-    query += ' WHERE r.attendance_date BETWEEN $1 AND $2';
+    query += ' AND r.attendance_date BETWEEN $1 AND $2';
   }
+  query += buildOrganizationFilter(user, 'd.organization_id', params);
   query += ' ORDER BY r.attendance_date DESC, d.employee_name, r.in_time ASC';
   const { rows } = await db.query(query, params);
   
@@ -522,10 +1134,10 @@ async function fetchAttendanceRows(startDate, endDate) {
   return processedRows;
 }
 
-router.get('/report', protect, async (req, res) => {
+router.get('/report', protect, authorize('attendance:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const rows = await fetchAttendanceRows(startDate, endDate);
+    const rows = await fetchAttendanceRows(startDate, endDate, req.user);
     res.json(rows);
   } catch (error) {
     console.error('Report error:', error);
@@ -533,10 +1145,10 @@ router.get('/report', protect, async (req, res) => {
   }
 });
 
-router.get('/download-excel', protect, async (req, res) => {
+router.get('/download-excel', protect, authorize('attendance:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    const rows = await fetchAttendanceRows(startDate, endDate);
+    const rows = await fetchAttendanceRows(startDate, endDate, req.user);
 
     const workbook = new exceljs.Workbook();
     const worksheet = workbook.addWorksheet('Attendance Report');
@@ -0,0 +1,83 @@
+const express = require('express');
+const exceljs = require('exceljs');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { ensureAuditTable, queryAuditLog } = require('../services/auditService');
+
+const router = express.Router();
+
+// Initialize table on module load
+ensureAuditTable();
+
+// Max rows in one Excel export
+const EXPORT_LIMIT = 50000;
+
+// Query the audit log.
+// Filters: actor_user_id, action, entity_type, entity_id, startDate & endDate, limit (max 1000), offset
+router.get('/', protect, authorize('audit:read'), async (req, res) => {
+  try {
+    const rows = await queryAuditLog(req.query);
+    res.json(rows);
+  } catch (e) {
+    console.error('Audit log query error:', e);
+    res.status(500).json({ message: 'Failed to fetch audit log' });
+  }
+});
+
+// Same filters as GET /, as an Excel workbook
+router.get('/download-excel', protect, authorize('audit:read'), async (req, res) => {
+  try {
+    const rows = await queryAuditLog({
+      ...req.query,
+      limit: req.query.limit || EXPORT_LIMIT,
+      maxLimit: EXPORT_LIMIT
+    });
+
+    const workbook = new exceljs.Workbook();
+    const worksheet = workbook.addWorksheet('Audit Log');
+
+    worksheet.columns = [
+      { header: 'Time', key: 'created_at', width: 20 },
+      { header: 'Actor ID', key: 'actor_user_id', width: 10 },
+      { header: 'Actor Email', key: 'actor_email', width: 28 },
+      { header: 'Actor Role', key: 'actor_role', width: 14 },
+      { header: 'Action', key: 'action', width: 16 },
+      { header: 'Entity', key: 'entity_type', width: 16 },
+      { header: 'Entity ID', key: 'entity_id', width: 38 },
+      { header: 'Before', key: 'before_data', width: 60 },
+      { header: 'After', key: 'after_data', width: 60 },
+      { header: 'IP Address', key: 'ip_address', width: 16 },
+      { header: 'User Agent', key: 'user_agent', width: 40 },
+    ];
+
+    worksheet.addRows(rows.map(row => ({
+      ...row,
+      created_at: new Date(row.created_at),
+      before_data: row.before_data ? JSON.stringify(row.before_data) : '',
+      after_data: row.after_data ? JSON.stringify(row.after_data) : '',
+    })));
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' },
+    };
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader(
+      'Content-Disposition',
+      'attachment; filename="audit_log.xlsx"'
+    );
+
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (e) {
+    console.error('Audit log export error:', e);
+    res.status(500).json({ message: 'Failed to export audit log' });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,388 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const { protect, protectTwoFactorSetup } = require('../middleware/authMiddleware');
+const { isTwoFactorRequired } = require('../config/roles');
+const {
+  MIN_PASSWORD_LENGTH,
+  findUserByEmail,
+  findUserById,
+  verifyPassword,
+  hashPassword,
+} = require('../services/userService');
+const {
+  LOGIN_CHALLENGE_TYPES,
+  createSession,
+  generateLoginChallengeToken,
+  verifyLoginChallengeToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessionsForUser,
+} = require('../services/sessionService');
+const {
+  TOKEN_PURPOSES,
+  consumeAccountToken,
+  sendAccountTokenEmail,
+} = require('../services/accountTokenService');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordLoginAttempt,
+  checkPasswordResetAllowed,
+  recordPasswordResetRequest,
+} = require('../services/loginProtectionService');
+const {
+  ensureTwoFactorTables,
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../services/twoFactorService');
+const { recordAudit } = require('../services/auditService');
 require('dotenv').config();
 
 const router = express.Router();
 
-const generateToken = (id) =>
-  jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN });
+// Initialize table on module load
+ensureTwoFactorTables();
 
-router.post('/login', (req, res) => {
+// Last step of every successful login: clear the failure counter and open a session
+async function completeLogin(req, res, user, extra = {}) {
+  const ip = req.ip;
+  const userAgent = req.headers['user-agent'];
+  await db.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE user_id = $1', [user.user_id]);
+  await recordLoginSuccess(user.email);
+  await recordLoginAttempt({ email: user.email, userId: user.user_id, ip, userAgent, success: true });
+
+  const tokens = await createSession(user.user_id, { ip, userAgent });
+  return res.json({
+    message: 'Login successful',
+    ...tokens,
+    ...extra,
+    user: { user_id: user.user_id, name: user.name, email: user.email, role: user.role }
+  });
+}
+
+router.post('/login', async (req, res) => {
   const { email, password } = req.body;
-  if (email === 'admin@anocab.com' && password === 'password123') {
-    const token = generateToken('admin_user_id');
-    return res.json({ message: 'Login successful', token });
+  if (!email || !password) {
+    return res.status(400).json({ message: 'Email and password are required' });
+  }
+
+  const ip = req.ip;
+  const userAgent = req.headers['user-agent'];
+  try {
+    // Refuse before checking the password while the account or IP is locked or cooling down
+    const gate = await checkLoginAllowed(email, ip);
+    if (!gate.allowed) {
+      await recordLoginAttempt({ email, ip, userAgent, success: false, reason: gate.reason });
+      res.set('Retry-After', String(gate.retryAfter));
+      return res.status(429).json({
+        message: gate.reason === 'locked'
+          ? 'Too many failed login attempts, try again later'
+          : 'Please wait before trying again',
+        retry_after: gate.retryAfter
+      });
+    }
+
+    const user = await findUserByEmail(email);
+    const passwordOk = await verifyPassword(password, user ? user.password_hash : null);
+    if (!user || !passwordOk || !user.is_active) {
+      await recordLoginFailure(email, ip);
+      await recordLoginAttempt({
+        email,
+        userId: user ? user.user_id : null,
+        ip,
+        userAgent,
+        success: false,
+        reason: !user ? 'unknown_user' : !passwordOk ? 'bad_password' : 'account_disabled'
+      });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Password is right; users with 2FA must still send a code to /login/2fa
+    if (await isTwoFactorEnabled(user.user_id)) {
+      const challenge = generateLoginChallengeToken(user.user_id, LOGIN_CHALLENGE_TYPES.TWO_FACTOR);
+      return res.json({
+        message: 'Two-factor code required',
+        two_factor_required: true,
+        challenge_token: challenge.token,
+        expires_in: challenge.expires_in
+      });
+    }
+
+    // Role requires 2FA but none is enrolled: only /2fa/setup and /2fa/verify accept this token
+    if (isTwoFactorRequired(user.role)) {
+      const setup = generateLoginChallengeToken(user.user_id, LOGIN_CHALLENGE_TYPES.TWO_FACTOR_SETUP);
+      return res.json({
+        message: 'Two-factor authentication must be set up before logging in',
+        two_factor_setup_required: true,
+        setup_token: setup.token,
+        expires_in: setup.expires_in
+      });
+    }
+
+    return completeLogin(req, res, user);
+  } catch (e) {
+    console.error('Login error:', e);
+    return res.status(500).json({ message: 'Server error during login' });
   }
-  return res.status(401).json({ message: 'Invalid credentials' });
 });
 
-module.exports = router;
+// Second login step: authenticator code or recovery code for the challenge from /login
+router.post('/login/2fa', async (req, res) => {
+  const { challenge_token, code } = req.body;
+  if (!challenge_token || !code) {
+    return res.status(400).json({ message: 'challenge_token and code are required' });
+  }
+
+  const ip = req.ip;
+  const userAgent = req.headers['user-agent'];
+  try {
+    const userId = verifyLoginChallengeToken(challenge_token, LOGIN_CHALLENGE_TYPES.TWO_FACTOR);
+    const user = userId ? await findUserById(userId) : null;
+    if (!user || !user.is_active) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const gate = await checkLoginAllowed(user.email, ip);
+    if (!gate.allowed) {
+      await recordLoginAttempt({ email: user.email, userId: user.user_id, ip, userAgent, success: false, reason: gate.reason });
+      res.set('Retry-After', String(gate.retryAfter));
+      return res.status(429).json({
+        message: gate.reason === 'locked'
+          ? 'Too many failed login attempts, try again later'
+          : 'Please wait before trying again',
+        retry_after: gate.retryAfter
+      });
+    }
+
+    const method = await verifySecondFactor(user.user_id, code);
+    if (!method) {
+      await recordLoginFailure(user.email, ip);
+      await recordLoginAttempt({ email: user.email, userId: user.user_id, ip, userAgent, success: false, reason: 'bad_2fa_code' });
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    return completeLogin(req, res, user, { two_factor_method: method });
+  } catch (e) {
+    console.error('2FA login error:', e);
+    return res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) {
+    return res.status(400).json({ message: 'refresh_token is required' });
+  }
+
+  try {
+    const tokens = await rotateRefreshToken(refresh_token);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    return res.json({ message: 'Token refreshed', ...tokens });
+  } catch (e) {
+    console.error('Refresh token error:', e);
+    return res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// End the current session; its access and refresh tokens stop working immediately
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.user.session_id);
+    return res.json({ message: 'Logged out successfully' });
+  } catch (e) {
+    console.error('Logout error:', e);
+    return res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Email a password reset link. Always answers the same way so the endpoint
+// can't be used to find out which emails have accounts.
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  try {
+    const gate = await checkPasswordResetAllowed(email, req.ip);
+    if (!gate.allowed) {
+      res.set('Retry-After', String(gate.retryAfter));
+      return res.status(429).json({
+        message: 'Too many password reset requests, try again later',
+        retry_after: gate.retryAfter
+      });
+    }
+    await recordPasswordResetRequest(email, req.ip);
+
+    const user = await findUserByEmail(email);
+    if (user && user.is_active) {
+      // Not awaited: waiting on the mail server would make real accounts answer slower
+      sendAccountTokenEmail(user, TOKEN_PURPOSES.PASSWORD_RESET)
+        .catch(e => console.error('Password reset email error:', e));
+    }
+    return res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (e) {
+    console.error('Forgot password error:', e);
+    return res.status(500).json({ message: 'Server error sending password reset link' });
+  }
+});
+
+// Set a new password from an emailed reset or invite link. Every existing
+// session is ended so a stolen session does not outlive the reset.
+function setPasswordFromToken(purpose, successMessage) {
+  return async (req, res) => {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
 
+    try {
+      const userId = await consumeAccountToken(token, purpose);
+      if (!userId) {
+        return res.status(400).json({ message: 'This link is invalid or has expired' });
+      }
+      const passwordHash = await hashPassword(password);
+      await db.query(
+        'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2',
+        [passwordHash, userId]
+      );
+      await revokeAllSessionsForUser(userId);
+      return res.json({ message: successMessage });
+    } catch (e) {
+      console.error(`Set password (${purpose}) error:`, e);
+      return res.status(500).json({ message: 'Server error setting password' });
+    }
+  };
+}
+
+router.post('/reset-password', setPasswordFromToken(TOKEN_PURPOSES.PASSWORD_RESET, 'Password has been reset, please log in'));
+
+router.post('/accept-invite', setPasswordFromToken(TOKEN_PURPOSES.USER_INVITE, 'Invitation accepted, please log in'));
+
+// 2FA state of the current user, and whether their role requires it
+router.get('/2fa/status', protect, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.user_id);
+    return res.json({ ...status, required: isTwoFactorRequired(req.user.role) });
+  } catch (e) {
+    console.error('2FA status error:', e);
+    return res.status(500).json({ message: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start enrollment: returns the secret and an otpauth:// URI to show as a QR code
+router.post('/2fa/setup', protectTwoFactorSetup, async (req, res) => {
+  try {
+    const enrollment = await startEnrollment(req.user);
+    if (!enrollment) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    return res.json(enrollment);
+  } catch (e) {
+    console.error('2FA setup error:', e);
+    return res.status(500).json({ message: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrollment with a code from the app. Recovery codes are only shown here.
+// When reached with a setup token from /login, this also completes the login.
+router.post('/2fa/verify', protectTwoFactorSetup, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ message: 'code is required' });
+  }
+
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user.user_id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid code, or two-factor setup was not started' });
+    }
+    await recordAudit(req, {
+      action: 'enable_2fa',
+      entityType: 'user',
+      entityId: req.user.user_id,
+      after: { two_factor_enabled: true }
+    });
+
+    if (req.twoFactorSetupLogin) {
+      return completeLogin(req, res, req.user, { recovery_codes: recoveryCodes });
+    }
+    return res.json({ message: 'Two-factor authentication enabled', recovery_codes: recoveryCodes });
+  } catch (e) {
+    console.error('2FA verify error:', e);
+    return res.status(500).json({ message: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turn 2FA off. Needs the password and a current code; not allowed where the role requires 2FA.
+router.post('/2fa/disable', protect, async (req, res) => {
+  const { password, code } = req.body;
+  if (!password || !code) {
+    return res.status(400).json({ message: 'Password and code are required' });
+  }
+  if (isTwoFactorRequired(req.user.role)) {
+    return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+  }
+
+  try {
+    const user = await findUserByEmail(req.user.email);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+    if (!(await verifySecondFactor(user.user_id, code))) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    await disableTwoFactor(user.user_id);
+    await recordAudit(req, {
+      action: 'disable_2fa',
+      entityType: 'user',
+      entityId: user.user_id,
+      before: { two_factor_enabled: true },
+      after: { two_factor_enabled: false }
+    });
+    return res.json({ message: 'Two-factor authentication disabled' });
+  } catch (e) {
+    console.error('2FA disable error:', e);
+    return res.status(500).json({ message: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace all recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', protect, async (req, res) => {
+  const { code } = req.body;
+  if (!code) {
+    return res.status(400).json({ message: 'code is required' });
+  }
+
+  try {
+    if (!(await verifySecondFactor(req.user.user_id, code))) {
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.user_id);
+    return res.json({ message: 'Recovery codes regenerated', recovery_codes: recoveryCodes });
+  } catch (e) {
+    console.error('2FA recovery codes error:', e);
+    return res.status(500).json({ message: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Current logged-in user
+router.get('/me', protect, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const db = require('../config/db');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { buildOrganizationFilter, canAccessOrganization } = require('../services/organizationScopeService');
+const {
+  DEVICE_PUBLIC_COLUMNS,
+  ensureDevicesTable,
+  hashSecret,
+  generateDeviceKey,
+  generateDeviceSecret,
+} = require('../services/deviceService');
+const { recordAudit } = require('../services/auditService');
+const { listSpoofAttempts } = require('../services/livenessService');
+
+const router = express.Router();
+
+// Initialize table on module load
+ensureDevicesTable();
+
+function parseAllowedShiftIds(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) return null;
+  return value.map(String);
+}
+
+// Load a device the current user is allowed to manage, or null
+async function findScopedDevice(user, id) {
+  const params = [id];
+  const orgFilter = buildOrganizationFilter(user, 'organization_id', params);
+  const { rows } = await db.query(
+    `SELECT ${DEVICE_PUBLIC_COLUMNS} FROM devices WHERE device_id = $1${orgFilter}`,
+    params
+  );
+  return rows[0] || null;
+}
+
+// Get all devices
+router.get('/', protect, authorize('devices:manage'), async (req, res) => {
+  try {
+    await ensureDevicesTable();
+    const params = [];
+    const orgFilter = buildOrganizationFilter(req.user, 'organization_id', params);
+    const { rows } = await db.query(
+      `SELECT ${DEVICE_PUBLIC_COLUMNS},
+        (SELECT organization_name FROM organizations o WHERE o.organization_id = devices.organization_id) AS organization_name
+       FROM devices
+       WHERE 1=1${orgFilter}
+       ORDER BY device_name ASC`,
+      params
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('List devices error:', e);
+    res.status(500).json({ message: 'Failed to fetch devices' });
+  }
+});
+
+// Punches rejected by the liveness check.
+// Query: device_id, employee_id, reason, startDate, endDate, limit
+router.get('/spoof-attempts', protect, authorize('devices:manage'), async (req, res) => {
+  try {
+    res.json(await listSpoofAttempts(req.user, req.query));
+  } catch (e) {
+    console.error('List spoof attempts error:', e);
+    res.status(500).json({ message: 'Failed to fetch spoof attempts' });
+  }
+});
+
+// Register a new kiosk. The secret is only ever returned here and on rotation.
+router.post('/', protect, authorize('devices:manage'), async (req, res) => {
+  const { device_name, organization_id, allowed_shift_ids } = req.body;
+
+  if (!device_name || !organization_id) {
+    return res.status(400).json({ message: 'Device name and organization are required' });
+  }
+  if (!canAccessOrganization(req.user, organization_id)) {
+    return res.status(403).json({ message: 'You can only register devices in your own organizations' });
+  }
+  const shiftIds = parseAllowedShiftIds(allowed_shift_ids);
+  if (shiftIds === null) {
+    return res.status(400).json({ message: 'allowed_shift_ids must be an array' });
+  }
+
+  try {
+    await ensureDevicesTable();
+    const deviceSecret = generateDeviceSecret();
+    const { rows } = await db.query(
+      `INSERT INTO devices (device_name, device_key, secret_hash, organization_id, allowed_shift_ids)
+       VALUES ($1, $2, $3, $4, $5::uuid[])
+       RETURNING ${DEVICE_PUBLIC_COLUMNS}`,
+      [device_name, generateDeviceKey(), hashSecret(deviceSecret), organization_id, shiftIds]
+    );
+    await recordAudit(req, { action: 'create', entityType: 'device', entityId: rows[0].device_id, after: rows[0] });
+    res.status(201).json({ ...rows[0], device_secret: deviceSecret });
+  } catch (e) {
+    console.error('Create device error:', e);
+    res.status(500).json({ message: 'Failed to create device' });
+  }
+});
+
+// Update device name, organization or allowed shifts
+router.put('/:id', protect, authorize('devices:manage'), async (req, res) => {
+  const { id } = req.params;
+  const { device_name, organization_id, allowed_shift_ids } = req.body;
+
+  if (organization_id !== undefined && !canAccessOrganization(req.user, organization_id)) {
+    return res.status(403).json({ message: 'You can only move devices into your own organizations' });
+  }
+  const shiftIds = allowed_shift_ids === undefined ? undefined : parseAllowedShiftIds(allowed_shift_ids);
+  if (shiftIds === null) {
+    return res.status(400).json({ message: 'allowed_shift_ids must be an array' });
+  }
+
+  try {
+    await ensureDevicesTable();
+    const before = await findScopedDevice(req.user, id);
+    if (!before) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    const { rows } = await db.query(
+      `UPDATE devices
+       SET device_name = COALESCE($1, device_name), organization_id = COALESCE($2, organization_id),
+           allowed_shift_ids = COALESCE($3::uuid[], allowed_shift_ids), updated_at = CURRENT_TIMESTAMP
+       WHERE device_id = $4
+       RETURNING ${DEVICE_PUBLIC_COLUMNS}`,
+      [device_name || null, organization_id || null, shiftIds === undefined ? null : shiftIds, id]
+    );
+    await recordAudit(req, { action: 'update', entityType: 'device', entityId: id, before, after: rows[0] });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('Update device error:', e);
+    res.status(500).json({ message: 'Failed to update device' });
+  }
+});
+
+// Issue a new secret; the old one stops working immediately
+router.post('/:id/rotate-secret', protect, authorize('devices:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureDevicesTable();
+    const before = await findScopedDevice(req.user, id);
+    if (!before) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    const deviceSecret = generateDeviceSecret();
+    const { rows } = await db.query(
+      `UPDATE devices
+       SET secret_hash = $1, secret_rotated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE device_id = $2
+       RETURNING ${DEVICE_PUBLIC_COLUMNS}`,
+      [hashSecret(deviceSecret), id]
+    );
+    await recordAudit(req, { action: 'rotate_secret', entityType: 'device', entityId: id, before, after: rows[0] });
+    res.json({ ...rows[0], device_secret: deviceSecret });
+  } catch (e) {
+    console.error('Rotate device secret error:', e);
+    res.status(500).json({ message: 'Failed to rotate device secret' });
+  }
+});
+
+// Disable device - kept for the punch history that references it
+router.put('/:id/disable', protect, authorize('devices:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureDevicesTable();
+    const before = await findScopedDevice(req.user, id);
+    if (!before) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    const { rows } = await db.query(
+      `UPDATE devices SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE device_id = $1
+       RETURNING ${DEVICE_PUBLIC_COLUMNS}`,
+      [id]
+    );
+    await recordAudit(req, { action: 'disable', entityType: 'device', entityId: id, before, after: rows[0] });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('Disable device error:', e);
+    res.status(500).json({ message: 'Failed to disable device' });
+  }
+});
+
+// Re-enable a disabled device
+router.put('/:id/enable', protect, authorize('devices:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureDevicesTable();
+    const before = await findScopedDevice(req.user, id);
+    if (!before) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    const { rows } = await db.query(
+      `UPDATE devices SET is_active = true, updated_at = CURRENT_TIMESTAMP
+       WHERE device_id = $1
+       RETURNING ${DEVICE_PUBLIC_COLUMNS}`,
+      [id]
+    );
+    await recordAudit(req, { action: 'enable', entityType: 'device', entityId: id, before, after: rows[0] });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('Enable device error:', e);
+    res.status(500).json({ message: 'Failed to enable device' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/db');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { recordAudit } = require('../services/auditService');
 
 const router = express.Router();
 
@@ -56,7 +57,7 @@ async function ensureEventTypeColumn() {
 ensureEventTypeColumn();
 
 // Get all email configurations
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, authorize('notifications:manage'), async (req, res) => {
   try {
     await ensureEmailConfigTable();
     const { rows } = await db.query(`
@@ -74,7 +75,7 @@ router.get('/', protect, async (req, res) => {
 });
 
 // Get single email configuration
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, authorize('notifications:manage'), async (req, res) => {
   const { id } = req.params;
   try {
     await ensureEmailConfigTable();
@@ -95,7 +96,7 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Get email configuration by template type
-router.get('/template/:type', protect, async (req, res) => {
+router.get('/template/:type', protect, authorize('notifications:manage'), async (req, res) => {
   const { type } = req.params;
   try {
     await ensureEmailConfigTable();
@@ -118,7 +119,7 @@ router.get('/template/:type', protect, async (req, res) => {
 });
 
 // Get all unique template types
-router.get('/templates/list', protect, async (req, res) => {
+router.get('/templates/list', protect, authorize('notifications:manage'), async (req, res) => {
   try {
     await ensureEmailConfigTable();
     const { rows } = await db.query(`
@@ -135,7 +136,7 @@ router.get('/templates/list', protect, async (req, res) => {
 });
 
 // Create new email configuration
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('notifications:manage'), async (req, res) => {
   const { 
     smtp_host, smtp_port, smtp_secure, smtp_user, smtp_password, 
     from_email, from_name, template_type, event_type, custom_event_name, subject, email_body, is_active 
@@ -165,6 +166,7 @@ router.post('/', protect, async (req, res) => {
       [smtp_host, smtp_port, smtp_secure, smtp_user, smtp_password, from_email, from_name, 
        template_type, finalEventType || null, subject, email_body, is_active !== undefined ? is_active : true]
     );
+    await recordAudit(req, { action: 'create', entityType: 'email_config', entityId: rows[0].config_id, after: rows[0] });
     res.status(201).json(rows[0]);
   } catch (e) {
     console.error('Create email config error:', e);
@@ -173,7 +175,7 @@ router.post('/', protect, async (req, res) => {
 });
 
 // Update email configuration
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('notifications:manage'), async (req, res) => {
   const { id } = req.params;
   const { 
     smtp_host, smtp_port, smtp_secure, smtp_user, smtp_password, 
@@ -190,6 +192,8 @@ router.put('/:id', protect, async (req, res) => {
     await ensureEmailConfigTable();
     await ensureEventTypeColumn();
     
+    const before = await db.query('SELECT * FROM email_config WHERE config_id = $1', [id]);
+
     // If password is provided, update it; otherwise keep existing password
     let query, params;
     if (smtp_password && smtp_password.trim() !== '') {
@@ -220,6 +224,13 @@ router.put('/:id', protect, async (req, res) => {
     
     const { rows } = await db.query(query, params);
     if (rows.length === 0) return res.status(404).json({ message: 'Email configuration not found' });
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'email_config',
+      entityId: id,
+      before: before.rows[0],
+      after: { ...rows[0], smtp_password_changed: !!(smtp_password && smtp_password.trim() !== '') }
+    });
     res.json(rows[0]);
   } catch (e) {
     console.error('Update email config error:', e);
@@ -228,12 +239,13 @@ router.put('/:id', protect, async (req, res) => {
 });
 
 // Delete email configuration
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('notifications:manage'), async (req, res) => {
   const { id } = req.params;
   try {
     await ensureEmailConfigTable();
-    const result = await db.query('DELETE FROM email_config WHERE config_id = $1', [id]);
+    const result = await db.query('DELETE FROM email_config WHERE config_id = $1 RETURNING *', [id]);
     if (result.rowCount === 0) return res.status(404).json({ message: 'Email configuration not found' });
+    await recordAudit(req, { action: 'delete', entityType: 'email_config', entityId: id, before: result.rows[0] });
     res.status(204).end();
   } catch (e) {
     console.error('Delete email config error:', e);
@@ -1,6 +1,14 @@
 const express = require('express');
 const db = require('../config/db');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { buildOrganizationFilter, canAccessEmployee } = require('../services/organizationScopeService');
+const { setPortalAccess, deletePortalAccount } = require('../services/employeePortalService');
+const { recordAudit } = require('../services/auditService');
+const { recordEmbeddingChange } = require('../services/faceEmbeddingIndexService');
+const { removeAllFaceSamples, removeSampleImages } = require('../services/faceEmbeddingService');
+const { takeEmployeeSnapshots, discardSnapshotFile } = require('../services/punchSnapshotService');
+
+const EMPLOYEE_AUDIT_COLUMNS = 'employee_id, employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code, organization_id';
 
 const router = express.Router();
 
@@ -31,17 +39,20 @@ async function ensureEmployeeTypeEnum() {
 // Removed duplicate verify/register endpoints. Those are now handled by dedicated microservices.
 
 // List all employees (basic fields)
-router.get('/', protect, async (_req, res) => {
+router.get('/', protect, authorize('employees:read'), async (req, res) => {
   try {
     // Ensure optional columns exist so SELECT doesn't fail on fresh DBs
     await db.query(`ALTER TABLE employee_details ADD COLUMN IF NOT EXISTS employee_code TEXT;`);
     await db.query(`ALTER TABLE employee_details ADD COLUMN IF NOT EXISTS aadhar_last4 TEXT;`);
 
+    const params = [];
+    const orgFilter = buildOrganizationFilter(req.user, 'organization_id', params);
     const { rows } = await db.query(`
-      SELECT employee_id, employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code
+      SELECT employee_id, employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code, organization_id
       FROM employee_details
+      WHERE 1=1${orgFilter}
       ORDER BY employee_name ASC
-    `);
+    `, params);
     res.json(rows);
   } catch (e) {
     console.error('List employees error:', e);
@@ -50,20 +61,24 @@ router.get('/', protect, async (_req, res) => {
 });
 
 // Update employee
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('employees:update'), async (req, res) => {
   const { id } = req.params;
   const { employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code } = req.body;
   try {
     await ensureEmployeeTypeEnum();
 
+    const before = await db.query(`SELECT ${EMPLOYEE_AUDIT_COLUMNS} FROM employee_details WHERE employee_id = $1`, [id]);
+    const params = [employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code, id];
+    const orgFilter = buildOrganizationFilter(req.user, 'organization_id', params);
     const { rows } = await db.query(
       `UPDATE employee_details
        SET employee_name=$1, department=$2, position=$3, email=$4, phone_number=$5, employee_type=$6, aadhar_last4=$7, employee_code=$8
-       WHERE employee_id=$9
-       RETURNING employee_id, employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code`,
-      [employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code, id]
+       WHERE employee_id=$9${orgFilter}
+       RETURNING ${EMPLOYEE_AUDIT_COLUMNS}`,
+      params
     );
     if (rows.length === 0) return res.status(404).json({ message: 'Employee not found' });
+    await recordAudit(req, { action: 'update', entityType: 'employee', entityId: id, before: before.rows[0], after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     console.error('Update employee error:', e);
@@ -71,18 +86,81 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
-// Delete employee (and related attendance records)
-router.delete('/:id', protect, async (req, res) => {
+// Set an employee's self-service portal password and/or enable/disable portal access
+router.put('/:id/portal-access', protect, authorize('employees:update'), async (req, res) => {
+  const { id } = req.params;
+  const { password, is_active } = req.body;
+
+  if (password === undefined && is_active === undefined) {
+    return res.status(400).json({ message: 'Provide a password and/or is_active' });
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+    return res.status(400).json({ message: 'Password must be at least 8 characters' });
+  }
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    return res.status(400).json({ message: 'is_active must be true or false' });
+  }
+
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const account = await setPortalAccess(id, { password, isActive: is_active });
+    await recordAudit(req, {
+      action: 'portal_access',
+      entityType: 'employee',
+      entityId: id,
+      after: { ...account, password_changed: password !== undefined }
+    });
+    res.json(account);
+  } catch (e) {
+    console.error('Set portal access error:', e);
+    res.status(500).json({ message: 'Failed to update portal access' });
+  }
+});
+
+// Delete employee (and related attendance records, face samples, photos and snapshots)
+router.delete('/:id', protect, authorize('employees:delete'), async (req, res) => {
   const { id } = req.params;
   try {
-    await db.query('BEGIN');
-    await db.query('DELETE FROM attendance_records WHERE employee_id = $1', [id]);
-    const result = await db.query('DELETE FROM employee_details WHERE employee_id = $1', [id]);
-    await db.query('COMMIT');
+    // Employees outside the user's organizations are reported as not found
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    // One connection for the whole delete, so a failure leaves the employee,
+    // their attendance, portal login and biometrics all in place
+    const client = await db.getClient();
+    let attendance;
+    let result;
+    let samples;
+    let snapshotFiles;
+    try {
+      await client.query('BEGIN');
+      await deletePortalAccount(id, client);
+      samples = await removeAllFaceSamples(id, client);
+      snapshotFiles = await takeEmployeeSnapshots(id, client);
+      attendance = await client.query('DELETE FROM attendance_records WHERE employee_id = $1 RETURNING *', [id]);
+      result = await client.query(`DELETE FROM employee_details WHERE employee_id = $1 RETURNING ${EMPLOYEE_AUDIT_COLUMNS}`, [id]);
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
     if (result.rowCount === 0) return res.status(404).json({ message: 'Employee not found' });
+    removeSampleImages(samples);
+    snapshotFiles.forEach(discardSnapshotFile);
+    await recordEmbeddingChange(id);
+    // Keep the cascaded attendance rows so the deletion can be traced and reconstructed
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'employee',
+      entityId: id,
+      before: { ...result.rows[0], attendance_records: attendance.rows }
+    });
     res.status(204).end();
   } catch (e) {
-    await db.query('ROLLBACK');
     console.error('Delete employee error:', e);
     res.status(500).json({ message: 'Failed to delete employee' });
   }
@@ -0,0 +1,163 @@
+const express = require('express');
+const db = require('../config/db');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { canAccessOrganization, canAccessEmployee } = require('../services/organizationScopeService');
+const {
+  FACE_MATCH_DEFAULTS,
+  SETTING_RANGES,
+  ORGANIZATION_SETTINGS,
+  EMPLOYEE_SETTINGS,
+  ensureFaceSettingsTables,
+  parseSettings,
+  getOrganizationOverrides,
+  getEmployeeOverrides,
+  getEffectiveFaceSettings,
+  setOrganizationOverrides,
+  setEmployeeOverrides,
+  clearOrganizationOverrides,
+  clearEmployeeOverrides,
+} = require('../services/faceMatchSettingsService');
+const { recordAudit } = require('../services/auditService');
+
+const router = express.Router();
+
+// Initialize table on module load
+ensureFaceSettingsTables();
+
+async function organizationExists(organizationId) {
+  const { rows } = await db.query('SELECT 1 FROM organizations WHERE organization_id = $1', [organizationId]);
+  return rows.length > 0;
+}
+
+// Built-in values and allowed ranges
+router.get('/defaults', protect, authorize('face_settings:manage'), (_req, res) => {
+  res.json({ defaults: FACE_MATCH_DEFAULTS, ranges: SETTING_RANGES });
+});
+
+// Organization defaults: the overrides stored for the organization and the values in force
+router.get('/organizations/:organizationId', protect, authorize('face_settings:manage'), async (req, res) => {
+  const { organizationId } = req.params;
+  if (!canAccessOrganization(req.user, organizationId)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
+  try {
+    if (!(await organizationExists(organizationId))) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+    res.json({
+      organization_id: parseInt(organizationId, 10),
+      overrides: await getOrganizationOverrides(organizationId),
+      effective: await getEffectiveFaceSettings({ organizationId })
+    });
+  } catch (e) {
+    console.error('Get organization face settings error:', e);
+    res.status(500).json({ message: 'Failed to fetch face settings' });
+  }
+});
+
+// Set any of match_threshold, match_margin, min_detection_confidence; null resets one to the default
+router.put('/organizations/:organizationId', protect, authorize('face_settings:manage'), async (req, res) => {
+  const { organizationId } = req.params;
+  if (!canAccessOrganization(req.user, organizationId)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
+  const { values, error } = parseSettings(req.body, ORGANIZATION_SETTINGS);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    if (!(await organizationExists(organizationId))) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+    const before = await getOrganizationOverrides(organizationId);
+    const overrides = await setOrganizationOverrides(organizationId, values, req.user.user_id);
+    await recordAudit(req, { action: 'update', entityType: 'organization_face_settings', entityId: organizationId, before, after: overrides });
+    res.json({
+      organization_id: parseInt(organizationId, 10),
+      overrides,
+      effective: await getEffectiveFaceSettings({ organizationId })
+    });
+  } catch (e) {
+    console.error('Update organization face settings error:', e);
+    res.status(500).json({ message: 'Failed to update face settings' });
+  }
+});
+
+// Remove all overrides for the organization
+router.delete('/organizations/:organizationId', protect, authorize('face_settings:manage'), async (req, res) => {
+  const { organizationId } = req.params;
+  if (!canAccessOrganization(req.user, organizationId)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
+  try {
+    const before = await getOrganizationOverrides(organizationId);
+    if (!(await clearOrganizationOverrides(organizationId))) {
+      return res.status(404).json({ message: 'No face settings stored for this organization' });
+    }
+    await recordAudit(req, { action: 'delete', entityType: 'organization_face_settings', entityId: organizationId, before });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete organization face settings error:', e);
+    res.status(500).json({ message: 'Failed to reset face settings' });
+  }
+});
+
+// Employee overrides (match_threshold, match_margin) on top of their organization's settings
+router.get('/employees/:employeeId', protect, authorize('face_settings:manage'), async (req, res) => {
+  const { employeeId } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, employeeId))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.json({
+      employee_id: employeeId,
+      overrides: await getEmployeeOverrides(employeeId),
+      effective: await getEffectiveFaceSettings({ employeeId })
+    });
+  } catch (e) {
+    console.error('Get employee face settings error:', e);
+    res.status(500).json({ message: 'Failed to fetch face settings' });
+  }
+});
+
+router.put('/employees/:employeeId', protect, authorize('face_settings:manage'), async (req, res) => {
+  const { employeeId } = req.params;
+  const { values, error } = parseSettings(req.body, EMPLOYEE_SETTINGS);
+  if (error) return res.status(400).json({ message: error });
+
+  try {
+    if (!(await canAccessEmployee(req.user, employeeId))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const before = await getEmployeeOverrides(employeeId);
+    const overrides = await setEmployeeOverrides(employeeId, values, req.user.user_id);
+    await recordAudit(req, { action: 'update', entityType: 'employee_face_settings', entityId: employeeId, before, after: overrides });
+    res.json({
+      employee_id: employeeId,
+      overrides,
+      effective: await getEffectiveFaceSettings({ employeeId })
+    });
+  } catch (e) {
+    console.error('Update employee face settings error:', e);
+    res.status(500).json({ message: 'Failed to update face settings' });
+  }
+});
+
+router.delete('/employees/:employeeId', protect, authorize('face_settings:manage'), async (req, res) => {
+  const { employeeId } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, employeeId))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const before = await getEmployeeOverrides(employeeId);
+    if (!(await clearEmployeeOverrides(employeeId))) {
+      return res.status(404).json({ message: 'No face settings stored for this employee' });
+    }
+    await recordAudit(req, { action: 'delete', entityType: 'employee_face_settings', entityId: employeeId, before });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Delete employee face settings error:', e);
+    res.status(500).json({ message: 'Failed to reset face settings' });
+  }
+});
+
+module.exports = router;
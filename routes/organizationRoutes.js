@@ -1,6 +1,9 @@
 const express = require('express');
 const db = require('../config/db');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { buildOrganizationFilter, canAccessOrganization } = require('../services/organizationScopeService');
+const { recordAudit } = require('../services/auditService');
+const { recordEmbeddingChange } = require('../services/faceEmbeddingIndexService');
 
 const router = express.Router();
 
@@ -37,15 +40,18 @@ async function ensureOrganizationTable() {
 ensureOrganizationTable();
 
 // Get all organizations
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, authorize('organizations:read'), async (req, res) => {
   try {
     await ensureOrganizationTable();
+    const params = [];
+    const orgFilter = buildOrganizationFilter(req.user, 'o.organization_id', params);
     const { rows } = await db.query(`
       SELECT o.*, 
         (SELECT COUNT(*) FROM employee_details WHERE organization_id = o.organization_id) as employee_count
       FROM organizations o
+      WHERE 1=1${orgFilter}
       ORDER BY o.organization_name ASC
-    `);
+    `, params);
     res.json(rows);
   } catch (e) {
     console.error('List organizations error:', e);
@@ -54,8 +60,11 @@ router.get('/', protect, async (req, res) => {
 });
 
 // Get single organization
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, authorize('organizations:read'), async (req, res) => {
   const { id } = req.params;
+  if (!canAccessOrganization(req.user, id)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
   try {
     await ensureOrganizationTable();
     const { rows } = await db.query(
@@ -74,7 +83,7 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Create new organization
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('organizations:manage'), async (req, res) => {
   const { organization_name, organization_code, address, city, state, country, phone_number, email } = req.body;
   
   if (!organization_name) {
@@ -90,6 +99,7 @@ router.post('/', protect, async (req, res) => {
        RETURNING *`,
       [organization_name, organization_code, address, city, state, country, phone_number, email]
     );
+    await recordAudit(req, { action: 'create', entityType: 'organization', entityId: rows[0].organization_id, after: rows[0] });
     res.status(201).json(rows[0]);
   } catch (e) {
     console.error('Create organization error:', e);
@@ -102,12 +112,16 @@ router.post('/', protect, async (req, res) => {
 });
 
 // Update organization
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('organizations:manage'), async (req, res) => {
   const { id } = req.params;
+  if (!canAccessOrganization(req.user, id)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
   const { organization_name, organization_code, address, city, state, country, phone_number, email } = req.body;
   
   try {
     await ensureOrganizationTable();
+    const before = await db.query('SELECT * FROM organizations WHERE organization_id = $1', [id]);
     const { rows } = await db.query(
       `UPDATE organizations 
        SET organization_name=$1, organization_code=$2, address=$3, city=$4, state=$5, 
@@ -117,6 +131,7 @@ router.put('/:id', protect, async (req, res) => {
       [organization_name, organization_code, address, city, state, country, phone_number, email, id]
     );
     if (rows.length === 0) return res.status(404).json({ message: 'Organization not found' });
+    await recordAudit(req, { action: 'update', entityType: 'organization', entityId: id, before: before.rows[0], after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     console.error('Update organization error:', e);
@@ -129,15 +144,28 @@ router.put('/:id', protect, async (req, res) => {
 });
 
 // Delete organization
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('organizations:manage'), async (req, res) => {
   const { id } = req.params;
+  if (!canAccessOrganization(req.user, id)) {
+    return res.status(404).json({ message: 'Organization not found' });
+  }
   try {
     await ensureOrganizationTable();
     // Set organization_id to NULL for all employees in this organization
-    await db.query('UPDATE employee_details SET organization_id = NULL WHERE organization_id = $1', [id]);
+    const unassigned = await db.query('UPDATE employee_details SET organization_id = NULL WHERE organization_id = $1', [id]);
+    // Indexed faces carry the organization; have them reloaded
+    if (unassigned.rowCount > 0) await recordEmbeddingChange(null);
+    // Unbind users from the organization being removed
+    await db.query('DELETE FROM user_organizations WHERE organization_id = $1', [id]);
     
-    const result = await db.query('DELETE FROM organizations WHERE organization_id = $1', [id]);
+    const result = await db.query('DELETE FROM organizations WHERE organization_id = $1 RETURNING *', [id]);
     if (result.rowCount === 0) return res.status(404).json({ message: 'Organization not found' });
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'organization',
+      entityId: id,
+      before: { ...result.rows[0], employees_unassigned: unassigned.rowCount }
+    });
     res.status(204).end();
   } catch (e) {
     console.error('Delete organization error:', e);
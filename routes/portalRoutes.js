@@ -0,0 +1,254 @@
+const express = require('express');
+const db = require('../config/db');
+const { protectEmployee } = require('../middleware/authMiddleware');
+const {
+  getAllShifts,
+  findShiftForPunchWithGrace,
+  toLocalTime
+} = require('../services/attendanceLogicService');
+const { fetchAttendanceRows } = require('../services/attendanceReportService');
+const { sendEmailNotification } = require('../services/notificationService');
+const {
+  ensurePortalAccountsTable,
+  verifyEmployeePassword,
+  createLoginOtp,
+  verifyLoginOtp,
+  recordEmployeeLogin,
+  generateEmployeeToken,
+  toPublicProfile,
+} = require('../services/employeePortalService');
+const {
+  checkEmployeeLoginAllowed,
+  recordEmployeeLoginFailure,
+  recordEmployeeLoginSuccess,
+} = require('../services/loginProtectionService');
+
+const router = express.Router();
+
+// Initialize table on module load
+ensurePortalAccountsTable();
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Today in business-local time as YYYY-MM-DD
+function localToday() {
+  return toLocalTime(new Date()).toISOString().split('T')[0];
+}
+
+function monthRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return { startDate: `${month}-01`, endDate: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+// Refuse a login while the employee code or IP is locked or cooling down (the same
+// counters as staff logins); sends the 429 and returns false
+async function checkPortalLoginAllowed(req, res, employeeCode) {
+  const gate = await checkEmployeeLoginAllowed(employeeCode, req.ip);
+  if (gate.allowed) return true;
+  res.set('Retry-After', String(gate.retryAfter));
+  res.status(429).json({
+    message: gate.reason === 'locked'
+      ? 'Too many failed login attempts, try again later'
+      : 'Please wait before trying again',
+    retry_after: gate.retryAfter
+  });
+  return false;
+}
+
+async function issueEmployeeLogin(req, res, employee) {
+  await recordEmployeeLoginSuccess(req.body.employee_code);
+  await recordEmployeeLogin(employee.employee_id);
+  return res.json({
+    message: 'Login successful',
+    ...generateEmployeeToken(employee.employee_id),
+    employee: toPublicProfile(employee)
+  });
+}
+
+// ========== Employee login ==========
+
+router.post('/auth/login', async (req, res) => {
+  const { employee_code, password } = req.body;
+  if (!employee_code || !password) {
+    return res.status(400).json({ message: 'Employee code and password are required' });
+  }
+
+  try {
+    if (!(await checkPortalLoginAllowed(req, res, employee_code))) return;
+    const employee = await verifyEmployeePassword(employee_code, password);
+    if (!employee) {
+      await recordEmployeeLoginFailure(employee_code, req.ip);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    return issueEmployeeLogin(req, res, employee);
+  } catch (e) {
+    console.error('Employee login error:', e);
+    return res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// Email a one-time login code. The response is the same whether or not the code
+// exists, or a code was sent moments ago, so the endpoint can't be used to discover
+// employee codes.
+router.post('/auth/request-otp', async (req, res) => {
+  const { employee_code } = req.body;
+  if (!employee_code) {
+    return res.status(400).json({ message: 'Employee code is required' });
+  }
+
+  const genericResponse = { message: 'If the employee code is registered, a login code has been sent to its email' };
+  try {
+    const result = await createLoginOtp(employee_code);
+    // Unknown code, or still in the resend cooldown: nothing is sent
+    if (!result || result.retryAfter) {
+      return res.json(genericResponse);
+    }
+
+    const { employee, otp, expiresMinutes } = result;
+    const emailResult = await sendEmailNotification('employee_login_otp', {
+      ...employee,
+      otp,
+      otp_expires_minutes: expiresMinutes
+    }, 'employee_login_otp');
+    if (!emailResult.success) {
+      console.warn(`[PORTAL] Login code for employee ${employee.employee_id} not sent: ${emailResult.message}`);
+    }
+    return res.json(genericResponse);
+  } catch (e) {
+    console.error('Employee OTP request error:', e);
+    return res.status(500).json({ message: 'Server error sending login code' });
+  }
+});
+
+router.post('/auth/verify-otp', async (req, res) => {
+  const { employee_code, otp } = req.body;
+  if (!employee_code || !otp) {
+    return res.status(400).json({ message: 'Employee code and login code are required' });
+  }
+
+  try {
+    if (!(await checkPortalLoginAllowed(req, res, employee_code))) return;
+    const employee = await verifyLoginOtp(employee_code, otp);
+    if (!employee) {
+      await recordEmployeeLoginFailure(employee_code, req.ip);
+      return res.status(401).json({ message: 'Invalid or expired login code' });
+    }
+    return issueEmployeeLogin(req, res, employee);
+  } catch (e) {
+    console.error('Employee OTP verify error:', e);
+    return res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// ========== Read-only self-service (always limited to the caller) ==========
+
+router.get('/me', protectEmployee, (req, res) => {
+  res.json(toPublicProfile(req.employee));
+});
+
+// My attendance records; defaults to the current month
+router.get('/attendance', protectEmployee, async (req, res) => {
+  try {
+    let { startDate, endDate } = req.query;
+    if (!startDate && !endDate) {
+      ({ startDate, endDate } = monthRange(localToday().slice(0, 7)));
+    }
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+      return res.status(400).json({ message: 'startDate and endDate must be YYYY-MM-DD' });
+    }
+
+    const rows = await fetchAttendanceRows(startDate, endDate, { employeeId: req.employee.employee_id });
+    res.json(rows);
+  } catch (e) {
+    console.error('Portal attendance error:', e);
+    res.status(500).json({ message: 'Failed to fetch attendance' });
+  }
+});
+
+// My monthly summary (?month=YYYY-MM, defaults to the current month)
+router.get('/summary', protectEmployee, async (req, res) => {
+  const month = req.query.month || localToday().slice(0, 7);
+  if (!MONTH_PATTERN.test(month)) {
+    return res.status(400).json({ message: 'month must be YYYY-MM' });
+  }
+
+  try {
+    const { startDate, endDate } = monthRange(month);
+    const rows = await fetchAttendanceRows(startDate, endDate, { employeeId: req.employee.employee_id });
+
+    const presentDays = new Set();
+    const absentDays = new Set();
+    const lateDays = new Set();
+    const incompleteDays = new Set();
+    let totalHours = 0;
+    let otHours = 0;
+    let totalDelayMinutes = 0;
+    let otShifts = 0;
+
+    rows.forEach(row => {
+      const day = String(row.attendance_date);
+      if (!row.in_time) {
+        if (!row.out_time) absentDays.add(day);
+        return;
+      }
+      presentDays.add(day);
+      if (!row.out_time) incompleteDays.add(day);
+      if (!row.is_ot && row.delay_by_minutes > 0) {
+        lateDays.add(day);
+        totalDelayMinutes += row.delay_by_minutes;
+      }
+      if (row.is_ot) otShifts += 1;
+      totalHours += parseFloat(row.total_working_hours_decimal) || 0;
+      otHours += parseFloat(row.ot_hours_decimal) || 0;
+    });
+    // A day with a later check-in is not absent even if an absent marker row exists
+    presentDays.forEach(day => absentDays.delete(day));
+
+    res.json({
+      employee_id: req.employee.employee_id,
+      month,
+      start_date: startDate,
+      end_date: endDate,
+      present_days: presentDays.size,
+      absent_days: absentDays.size,
+      late_days: lateDays.size,
+      incomplete_days: incompleteDays.size,
+      total_delay_minutes: totalDelayMinutes,
+      total_working_hours: parseFloat(totalHours.toFixed(2)),
+      ot_hours: parseFloat(otHours.toFixed(2)),
+      ot_shifts: otShifts
+    });
+  } catch (e) {
+    console.error('Portal summary error:', e);
+    res.status(500).json({ message: 'Failed to fetch monthly summary' });
+  }
+});
+
+// My shifts (those configured for my employee type) and the one that applies right now
+router.get('/shift', protectEmployee, async (req, res) => {
+  try {
+    const { employee_type } = req.employee;
+    const { rows } = await db.query(
+      `SELECT id, name, employee_type, start_time, end_time, grace_before, grace_after
+       FROM shift_settings WHERE employee_type = $1 ORDER BY start_time ASC`,
+      [employee_type]
+    );
+
+    const shifts = await getAllShifts(employee_type);
+    const now = toLocalTime(new Date());
+    const current = findShiftForPunchWithGrace(now, shifts);
+
+    res.json({
+      employee_type,
+      shifts: rows,
+      current_shift_id: current?.shift?.id || null
+    });
+  } catch (e) {
+    console.error('Portal shift error:', e);
+    res.status(500).json({ message: 'Failed to fetch shift' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,28 @@
 const express = require('express');
 const db = require('../config/db');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { buildOrganizationFilter } = require('../services/organizationScopeService');
 const { getAllShifts, buildLocalTime, buildShiftEndTime, calculateAttendanceMetrics, detectShiftForTime } = require('../services/attendanceLogicService');
+const {
+  NEAR_MISS_MARGIN,
+  REJECTED_OUTCOMES,
+  HOTSPOT_GROUPS,
+  ensureRecognitionAttemptsTable,
+  listRecognitionAttempts,
+  getRecognitionHotspots,
+} = require('../services/recognitionLogService');
 
 const router = express.Router();
 
+// Initialize table on module load
+ensureRecognitionAttemptsTable();
+
 // Get organization-wise statistics for today
-router.get('/organization-stats', protect, async (req, res) => {
+router.get('/organization-stats', protect, authorize('reports:read'), async (req, res) => {
   try {
     const today = new Date().toISOString().split('T')[0];
+    const params = [today];
+    const orgFilter = buildOrganizationFilter(req.user, 'o.organization_id', params);
     
     const { rows } = await db.query(
       `WITH org_stats AS (
@@ -28,6 +42,7 @@ router.get('/organization-stats', protect, async (req, res) => {
         FROM organizations o
         LEFT JOIN employee_details e ON e.organization_id = o.organization_id
         LEFT JOIN attendance_records ar ON ar.employee_id = e.employee_id
+        WHERE 1=1${orgFilter}
         GROUP BY o.organization_id, o.organization_name
       ),
       -- Employees counted as OT only if they actually have OT hours recorded
@@ -57,7 +72,7 @@ router.get('/organization-stats', protect, async (req, res) => {
       FROM org_stats os
       LEFT JOIN ot_stats ots ON ots.organization_id = os.organization_id
       ORDER BY os.organization_name`,
-      [today]
+      params
     );
     
     res.json(rows);
@@ -68,9 +83,11 @@ router.get('/organization-stats', protect, async (req, res) => {
 });
 
 // Alias endpoint for backward compatibility
-router.get('/organizations/summary', protect, async (req, res) => {
+router.get('/organizations/summary', protect, authorize('reports:read'), async (req, res) => {
   try {
     const today = new Date().toISOString().split('T')[0];
+    const params = [today];
+    const orgFilter = buildOrganizationFilter(req.user, 'o.organization_id', params);
     
     const { rows } = await db.query(
       `WITH org_stats AS (
@@ -90,6 +107,7 @@ router.get('/organizations/summary', protect, async (req, res) => {
         FROM organizations o
         LEFT JOIN employee_details e ON e.organization_id = o.organization_id
         LEFT JOIN attendance_records ar ON ar.employee_id = e.employee_id
+        WHERE 1=1${orgFilter}
         GROUP BY o.organization_id, o.organization_name
       ),
       ot_stats AS (
@@ -123,7 +141,7 @@ router.get('/organizations/summary', protect, async (req, res) => {
       FROM org_stats os
       LEFT JOIN ot_stats ots ON ots.organization_id = os.organization_id
       ORDER BY os.organization_name`,
-      [today]
+      params
     );
     
     res.json(rows);
@@ -134,10 +152,12 @@ router.get('/organizations/summary', protect, async (req, res) => {
 });
 
 // Get employee attendance for a specific date (default: today)
-router.get('/employee-attendance', protect, async (req, res) => {
+router.get('/employee-attendance', protect, authorize('reports:read'), async (req, res) => {
   try {
     const { date } = req.query;
     const targetDate = date || new Date().toISOString().split('T')[0];
+    const params = [targetDate];
+    const orgFilter = buildOrganizationFilter(req.user, 'e.organization_id', params);
     
     const { rows } = await db.query(
       `WITH attendance_data AS (
@@ -167,10 +187,11 @@ router.get('/employee-attendance', protect, async (req, res) => {
         FROM employee_details e
         LEFT JOIN organizations o ON o.organization_id = e.organization_id
         LEFT JOIN attendance_records ar ON ar.employee_id = e.employee_id AND ar.attendance_date = $1
+        WHERE 1=1${orgFilter}
       )
       SELECT * FROM attendance_data
       ORDER BY organization_name, employee_name`,
-      [targetDate]
+      params
     );
     
     res.json(rows);
@@ -181,13 +202,15 @@ router.get('/employee-attendance', protect, async (req, res) => {
 });
 
 // Get attendance trend for last N days
-router.get('/attendance-trend', protect, async (req, res) => {
+router.get('/attendance-trend', protect, authorize('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
     if (!startDate || !endDate) {
       return res.status(400).json({ message: 'startDate and endDate are required' });
     }
+    const params = [startDate, endDate];
+    const orgFilter = buildOrganizationFilter(req.user, 'e.organization_id', params);
     
     const { rows } = await db.query(
       `WITH date_series AS (
@@ -209,6 +232,7 @@ router.get('/attendance-trend', protect, async (req, res) => {
         FROM date_series ds
         CROSS JOIN employee_details e
         LEFT JOIN attendance_records ar ON ar.employee_id = e.employee_id AND ar.attendance_date = ds.date
+        WHERE 1=1${orgFilter}
         GROUP BY ds.date
       )
       SELECT 
@@ -219,7 +243,7 @@ router.get('/attendance-trend', protect, async (req, res) => {
         COALESCE(late, 0) as late
       FROM daily_stats
       ORDER BY date ASC`,
-      [startDate, endDate]
+      params
     );
     
     res.json(rows);
@@ -230,7 +254,7 @@ router.get('/attendance-trend', protect, async (req, res) => {
 });
 
 // Get detailed attendance report with filters
-router.get('/detailed-report', protect, async (req, res) => {
+router.get('/detailed-report', protect, authorize('reports:read'), async (req, res) => {
   try {
     const { startDate, endDate, organizationId, employeeType, searchText } = req.query;
     
@@ -290,6 +314,9 @@ router.get('/detailed-report', protect, async (req, res) => {
       paramIndex++;
     }
     
+    query += buildOrganizationFilter(req.user, 'e.organization_id', params);
+    paramIndex = params.length + 1;
+    
     if (employeeType) {
       query += ` AND e.employee_type = $${paramIndex}`;
       params.push(employeeType);
@@ -400,4 +427,36 @@ router.get('/detailed-report', protect, async (req, res) => {
   }
 });
 
+// Recognition audit trail: every face a kiosk tried to match, newest first.
+// Filters: startDate, endDate, device_id, employee_id, outcome, source, limit (max 1000)
+router.get('/recognition/attempts', protect, authorize('recognition:read'), async (req, res) => {
+  try {
+    res.json(await listRecognitionAttempts(req.user, req.query));
+  } catch (error) {
+    console.error('Error fetching recognition attempts:', error);
+    res.status(500).json({ message: 'Failed to fetch recognition attempts' });
+  }
+});
+
+// False-reject hot spots, by=device|employee|hour (same filters as /recognition/attempts).
+// Near misses are ambiguous matches and rejections within NEAR_MISS_MARGIN of the threshold;
+// kiosks and employees with many of them are the ones to check or re-enroll.
+router.get('/recognition/hotspots', protect, authorize('recognition:read'), async (req, res) => {
+  const by = req.query.by || 'device';
+  if (!HOTSPOT_GROUPS[by]) {
+    return res.status(400).json({ message: `by must be one of: ${Object.keys(HOTSPOT_GROUPS).join(', ')}` });
+  }
+  try {
+    res.json({
+      by,
+      rejected_outcomes: REJECTED_OUTCOMES,
+      near_miss_margin: NEAR_MISS_MARGIN,
+      rows: await getRecognitionHotspots(req.user, by, req.query)
+    });
+  } catch (error) {
+    console.error('Error fetching recognition hot spots:', error);
+    res.status(500).json({ message: 'Failed to fetch recognition hot spots' });
+  }
+});
+
 module.exports = router;
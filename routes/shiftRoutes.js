@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { recordAudit } = require('../services/auditService');
 
 router.use(async (_req, _res, next) => {
   try {
@@ -34,7 +35,7 @@ router.use(async (_req, _res, next) => {
   next();
 });
 
-router.get('/', protect, async (_req, res) => {
+router.get('/', protect, authorize('shifts:read'), async (_req, res) => {
   try {
     const { rows } = await db.query('SELECT * FROM shift_settings ORDER BY created_at DESC');
     res.json(rows);
@@ -44,7 +45,7 @@ router.get('/', protect, async (_req, res) => {
   }
 });
 
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('shifts:manage'), async (req, res) => {
   try {
     const { 
       name, employee_type, start_time, end_time, 
@@ -56,6 +57,7 @@ router.post('/', protect, async (req, res) => {
        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
       [name, employee_type, start_time, end_time, grace_before, grace_after, presence_time, presence_count, presence_window]
     );
+    await recordAudit(req, { action: 'create', entityType: 'shift', entityId: rows[0].id, after: rows[0] });
     res.status(201).json(rows[0]);
   } catch (error) {
     console.error('Create shift error:', error);
@@ -63,7 +65,7 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('shifts:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { 
@@ -71,6 +73,7 @@ router.put('/:id', protect, async (req, res) => {
       grace_before, grace_after, 
       presence_time, presence_count, presence_window 
     } = req.body;
+    const before = await db.query('SELECT * FROM shift_settings WHERE id=$1', [id]);
     const { rows } = await db.query(
       `UPDATE shift_settings 
        SET name=$1, employee_type=$2, start_time=$3, end_time=$4,
@@ -82,6 +85,7 @@ router.put('/:id', protect, async (req, res) => {
        presence_time, presence_count, presence_window, id]
     );
     if (rows.length === 0) return res.status(404).json({ message: 'Shift not found' });
+    await recordAudit(req, { action: 'update', entityType: 'shift', entityId: id, before: before.rows[0], after: rows[0] });
     res.json(rows[0]);
   } catch (error) {
     console.error('Update shift error:', error);
@@ -89,11 +93,12 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('shifts:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await db.query('DELETE FROM shift_settings WHERE id=$1', [id]);
+    const result = await db.query('DELETE FROM shift_settings WHERE id=$1 RETURNING *', [id]);
     if (result.rowCount === 0) return res.status(404).json({ message: 'Shift not found' });
+    await recordAudit(req, { action: 'delete', entityType: 'shift', entityId: id, before: result.rows[0] });
     res.status(204).end();
   } catch (error) {
     console.error('Delete shift error:', error);
@@ -101,7 +106,7 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-router.get('/by-type/:employeeType', protect, async (req, res) => {
+router.get('/by-type/:employeeType', protect, authorize('shifts:read'), async (req, res) => {
   try {
     const { employeeType } = req.params;
     const { rows } = await db.query(
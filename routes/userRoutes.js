@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const express = require('express');
+const db = require('../config/db');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+  USER_PUBLIC_COLUMNS,
+  MIN_PASSWORD_LENGTH,
+  ensureUsersTable,
+  normalizeEmail,
+  hashPassword,
+  setUserOrganizationIds,
+} = require('../services/userService');
+const { revokeAllSessionsForUser } = require('../services/sessionService');
+const { TOKEN_PURPOSES, hasPendingInvite, sendAccountTokenEmail } = require('../services/accountTokenService');
+const {
+  ensureLoginTables,
+  unlockAccount,
+  unlockIp,
+  listLockouts,
+} = require('../services/loginProtectionService');
+const { disableTwoFactor } = require('../services/twoFactorService');
+const { recordAudit } = require('../services/auditService');
+const { ALL_ROLES, DEFAULT_ROLE, isValidRole } = require('../config/roles');
+
+const router = express.Router();
+
+// Organizations each user is bound to, as an int array
+const USER_ORGANIZATIONS_COLUMN = `COALESCE((
+  SELECT array_agg(uo.organization_id ORDER BY uo.organization_id)
+  FROM user_organizations uo WHERE uo.user_id = users.user_id
+), '{}') AS organization_ids`;
+
+// Initialize table on module load
+ensureUsersTable();
+
+// User with organization_ids, for audit before/after snapshots
+async function loadUser(id) {
+  const { rows } = await db.query(
+    `SELECT ${USER_PUBLIC_COLUMNS}, ${USER_ORGANIZATIONS_COLUMN} FROM users WHERE user_id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// List the available roles (for the user management form)
+router.get('/roles', protect, authorize('users:manage'), (_req, res) => {
+  res.json(ALL_ROLES);
+});
+
+// Login audit: every successful and failed login with IP and user agent
+router.get('/login-attempts', protect, authorize('users:manage'), async (req, res) => {
+  try {
+    await ensureLoginTables();
+    const { email, ip, success, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+    const params = [];
+    let query = `SELECT attempt_id, email, user_id, ip_address, user_agent, success, failure_reason, created_at
+      FROM login_attempts WHERE 1=1`;
+    if (email) {
+      params.push(normalizeEmail(email));
+      query += ` AND email = $${params.length}`;
+    }
+    if (ip) {
+      params.push(ip);
+      query += ` AND ip_address = $${params.length}`;
+    }
+    if (success === 'true' || success === 'false') {
+      params.push(success === 'true');
+      query += ` AND success = $${params.length}`;
+    }
+    if (startDate && endDate) {
+      params.push(startDate, endDate);
+      query += ` AND created_at::date BETWEEN $${params.length - 1} AND $${params.length}`;
+    }
+    params.push(limit);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+    const { rows } = await db.query(query, params);
+    res.json(rows);
+  } catch (e) {
+    console.error('List login attempts error:', e);
+    res.status(500).json({ message: 'Failed to fetch login attempts' });
+  }
+});
+
+// Accounts and IP addresses that are currently locked out
+router.get('/lockouts', protect, authorize('users:manage'), async (_req, res) => {
+  try {
+    res.json(await listLockouts());
+  } catch (e) {
+    console.error('List lockouts error:', e);
+    res.status(500).json({ message: 'Failed to fetch lockouts' });
+  }
+});
+
+// Clear the failed-login counter and lockout for an IP address
+router.post('/unlock-ip', protect, authorize('users:manage'), async (req, res) => {
+  const { ip_address } = req.body;
+  if (!ip_address) {
+    return res.status(400).json({ message: 'ip_address is required' });
+  }
+  try {
+    const cleared = await unlockIp(ip_address);
+    await recordAudit(req, { action: 'unlock_ip', entityType: 'login_throttle', entityId: ip_address, after: { cleared } });
+    res.json({ message: cleared ? 'IP address unlocked' : 'IP address was not locked', cleared });
+  } catch (e) {
+    console.error('Unlock IP error:', e);
+    res.status(500).json({ message: 'Failed to unlock IP address' });
+  }
+});
+
+// Get all users
+router.get('/', protect, authorize('users:manage'), async (_req, res) => {
+  try {
+    await ensureUsersTable();
+    const { rows } = await db.query(
+      `SELECT ${USER_PUBLIC_COLUMNS}, ${USER_ORGANIZATIONS_COLUMN} FROM users ORDER BY name ASC`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error('List users error:', e);
+    res.status(500).json({ message: 'Failed to fetch users' });
+  }
+});
+
+// Get single user
+router.get('/:id', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureUsersTable();
+    const { rows } = await db.query(
+      `SELECT ${USER_PUBLIC_COLUMNS}, ${USER_ORGANIZATIONS_COLUMN} FROM users WHERE user_id = $1`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('Get user error:', e);
+    res.status(500).json({ message: 'Failed to fetch user' });
+  }
+});
+
+// Create new user
+router.post('/', protect, authorize('users:manage'), async (req, res) => {
+  const { name, email, password, role = DEFAULT_ROLE, organization_ids = [] } = req.body;
+
+  if (!name || !email || !password) {
+    return res.status(400).json({ message: 'Name, email and password are required' });
+  }
+  if (!isValidRole(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ALL_ROLES.join(', ')}` });
+  }
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (!Array.isArray(organization_ids)) {
+    return res.status(400).json({ message: 'organization_ids must be an array' });
+  }
+
+  try {
+    await ensureUsersTable();
+    const passwordHash = await hashPassword(password);
+    const { rows } = await db.query(
+      `INSERT INTO users (name, email, password_hash, role)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${USER_PUBLIC_COLUMNS}`,
+      [name, normalizeEmail(email), passwordHash, role]
+    );
+    const organizationIds = await setUserOrganizationIds(rows[0].user_id, organization_ids);
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'user',
+      entityId: rows[0].user_id,
+      after: { ...rows[0], organization_ids: organizationIds }
+    });
+    res.status(201).json({ ...rows[0], organization_ids: organizationIds });
+  } catch (e) {
+    console.error('Create user error:', e);
+    if (e.code === '23505') {
+      res.status(400).json({ message: 'A user with this email already exists' });
+    } else {
+      res.status(500).json({ message: 'Failed to create user' });
+    }
+  }
+});
+
+// Invite a new user by email; they choose their own password from the emailed link
+router.post('/invite', protect, authorize('users:manage'), async (req, res) => {
+  const { name, email, role = DEFAULT_ROLE, organization_ids = [] } = req.body;
+
+  if (!name || !email) {
+    return res.status(400).json({ message: 'Name and email are required' });
+  }
+  if (!isValidRole(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ALL_ROLES.join(', ')}` });
+  }
+  if (!Array.isArray(organization_ids)) {
+    return res.status(400).json({ message: 'organization_ids must be an array' });
+  }
+
+  try {
+    await ensureUsersTable();
+    // Random password nobody knows until the invite is accepted
+    const passwordHash = await hashPassword(crypto.randomBytes(32).toString('hex'));
+    const { rows } = await db.query(
+      `INSERT INTO users (name, email, password_hash, role)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${USER_PUBLIC_COLUMNS}`,
+      [name, normalizeEmail(email), passwordHash, role]
+    );
+    const organizationIds = await setUserOrganizationIds(rows[0].user_id, organization_ids);
+    const invite = await sendAccountTokenEmail(rows[0], TOKEN_PURPOSES.USER_INVITE, req.user.id);
+    await recordAudit(req, {
+      action: 'invite',
+      entityType: 'user',
+      entityId: rows[0].user_id,
+      after: { ...rows[0], organization_ids: organizationIds }
+    });
+    res.status(201).json({
+      ...rows[0],
+      organization_ids: organizationIds,
+      invite_sent: invite.success,
+      invite_expires_at: invite.expires_at
+    });
+  } catch (e) {
+    console.error('Invite user error:', e);
+    if (e.code === '23505') {
+      res.status(400).json({ message: 'A user with this email already exists' });
+    } else {
+      res.status(500).json({ message: 'Failed to invite user' });
+    }
+  }
+});
+
+// Send a fresh invite link (the previous one stops working)
+router.post('/:id/resend-invite', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureUsersTable();
+    const { rows } = await db.query(
+      `SELECT ${USER_PUBLIC_COLUMNS} FROM users WHERE user_id = $1`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    if (!(await hasPendingInvite(id))) {
+      return res.status(400).json({ message: 'This user has no pending invitation' });
+    }
+    const invite = await sendAccountTokenEmail(rows[0], TOKEN_PURPOSES.USER_INVITE, req.user.id);
+    await recordAudit(req, { action: 'resend_invite', entityType: 'user', entityId: id });
+    res.json({ message: 'Invitation resent', invite_sent: invite.success, invite_expires_at: invite.expires_at });
+  } catch (e) {
+    console.error('Resend invite error:', e);
+    res.status(500).json({ message: 'Failed to resend invitation' });
+  }
+});
+
+// Update user (password is only changed when a new one is provided)
+router.put('/:id', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  const { name, email, password, role, is_active, organization_ids } = req.body;
+
+  if (password && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (role !== undefined && !isValidRole(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${ALL_ROLES.join(', ')}` });
+  }
+  if (organization_ids !== undefined && !Array.isArray(organization_ids)) {
+    return res.status(400).json({ message: 'organization_ids must be an array' });
+  }
+  if (String(id) === String(req.user.id) && (is_active === false || (role && role !== req.user.role))) {
+    return res.status(400).json({ message: 'You cannot disable your own account or change your own role' });
+  }
+
+  try {
+    await ensureUsersTable();
+    const before = await loadUser(id);
+    const passwordHash = password ? await hashPassword(password) : null;
+    const { rows } = await db.query(
+      `UPDATE users
+       SET name = COALESCE($1, name), email = COALESCE($2, email),
+           password_hash = COALESCE($3, password_hash), role = COALESCE($4, role),
+           is_active = COALESCE($5, is_active), updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $6
+       RETURNING ${USER_PUBLIC_COLUMNS}`,
+      [name || null, email ? normalizeEmail(email) : null, passwordHash, role || null,
+       typeof is_active === 'boolean' ? is_active : null, id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    if (organization_ids !== undefined) {
+      rows[0].organization_ids = await setUserOrganizationIds(rows[0].user_id, organization_ids);
+    }
+    // A new password or a disabled account logs the user out everywhere
+    if (passwordHash || is_active === false) {
+      await revokeAllSessionsForUser(rows[0].user_id);
+    }
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'user',
+      entityId: id,
+      before,
+      after: { ...(await loadUser(id)), password_changed: !!passwordHash }
+    });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('Update user error:', e);
+    if (e.code === '23505') {
+      res.status(400).json({ message: 'A user with this email already exists' });
+    } else {
+      res.status(500).json({ message: 'Failed to update user' });
+    }
+  }
+});
+
+// Disable user - accounts are never hard-deleted so their history stays attributable
+router.put('/:id/disable', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  if (String(id) === String(req.user.id)) {
+    return res.status(400).json({ message: 'You cannot disable your own account' });
+  }
+
+  try {
+    await ensureUsersTable();
+    const before = await loadUser(id);
+    const { rows } = await db.query(
+      `UPDATE users SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING ${USER_PUBLIC_COLUMNS}`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    await revokeAllSessionsForUser(rows[0].user_id);
+    await recordAudit(req, { action: 'disable', entityType: 'user', entityId: id, before, after: rows[0] });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('Disable user error:', e);
+    res.status(500).json({ message: 'Failed to disable user' });
+  }
+});
+
+// Re-enable a disabled user
+router.put('/:id/enable', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureUsersTable();
+    const before = await loadUser(id);
+    const { rows } = await db.query(
+      `UPDATE users SET is_active = true, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING ${USER_PUBLIC_COLUMNS}`,
+      [id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    await recordAudit(req, { action: 'enable', entityType: 'user', entityId: id, before, after: rows[0] });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error('Enable user error:', e);
+    res.status(500).json({ message: 'Failed to enable user' });
+  }
+});
+
+// Clear the failed-login counter and lockout for a user's account
+router.post('/:id/unlock', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureUsersTable();
+    const { rows } = await db.query('SELECT email FROM users WHERE user_id = $1', [id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    const cleared = await unlockAccount(rows[0].email);
+    await recordAudit(req, { action: 'unlock', entityType: 'user', entityId: id, after: { cleared } });
+    res.json({ message: cleared ? 'Account unlocked' : 'Account was not locked', cleared });
+  } catch (e) {
+    console.error('Unlock user error:', e);
+    res.status(500).json({ message: 'Failed to unlock account' });
+  }
+});
+
+// Revoke all sessions for a user (e.g. lost device or leaked token)
+router.post('/:id/revoke-sessions', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureUsersTable();
+    const { rows } = await db.query('SELECT user_id FROM users WHERE user_id = $1', [id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    const revoked = await revokeAllSessionsForUser(rows[0].user_id);
+    await recordAudit(req, { action: 'revoke_sessions', entityType: 'user', entityId: id, after: { revoked } });
+    res.json({ message: `Revoked ${revoked} active session(s)`, revoked });
+  } catch (e) {
+    console.error('Revoke sessions error:', e);
+    res.status(500).json({ message: 'Failed to revoke sessions' });
+  }
+});
+
+// Remove a user's 2FA (lost authenticator and recovery codes). Their sessions are
+// ended; if their role requires 2FA they must enroll again at next login.
+router.post('/:id/reset-2fa', protect, authorize('users:manage'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    await ensureUsersTable();
+    const { rows } = await db.query('SELECT user_id FROM users WHERE user_id = $1', [id]);
+    if (rows.length === 0) return res.status(404).json({ message: 'User not found' });
+    const removed = await disableTwoFactor(rows[0].user_id);
+    const revoked = await revokeAllSessionsForUser(rows[0].user_id);
+    await recordAudit(req, { action: 'reset_2fa', entityType: 'user', entityId: id, after: { removed, revoked } });
+    res.json({ message: removed ? 'Two-factor authentication reset' : 'Two-factor authentication was not set up', removed });
+  } catch (e) {
+    console.error('Reset 2FA error:', e);
+    res.status(500).json({ message: 'Failed to reset two-factor authentication' });
+  }
+});
+
+module.exports = router;
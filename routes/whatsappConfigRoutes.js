@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/db');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { recordAudit } = require('../services/auditService');
 
 const router = express.Router();
 
@@ -31,7 +32,7 @@ async function ensureWhatsAppConfigTable() {
 ensureWhatsAppConfigTable();
 
 // Get all WhatsApp configurations
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, authorize('notifications:manage'), async (req, res) => {
   try {
     await ensureWhatsAppConfigTable();
     const { rows } = await db.query(`
@@ -48,7 +49,7 @@ router.get('/', protect, async (req, res) => {
 });
 
 // Get single WhatsApp configuration
-router.get('/:id', protect, async (req, res) => {
+router.get('/:id', protect, authorize('notifications:manage'), async (req, res) => {
   const { id } = req.params;
   try {
     await ensureWhatsAppConfigTable();
@@ -68,7 +69,7 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // Get WhatsApp configuration by template type
-router.get('/template/:type', protect, async (req, res) => {
+router.get('/template/:type', protect, authorize('notifications:manage'), async (req, res) => {
   const { type } = req.params;
   try {
     await ensureWhatsAppConfigTable();
@@ -90,7 +91,7 @@ router.get('/template/:type', protect, async (req, res) => {
 });
 
 // Get all unique template types
-router.get('/templates/list', protect, async (req, res) => {
+router.get('/templates/list', protect, authorize('notifications:manage'), async (req, res) => {
   try {
     await ensureWhatsAppConfigTable();
     const { rows } = await db.query(`
@@ -107,7 +108,7 @@ router.get('/templates/list', protect, async (req, res) => {
 });
 
 // Create new WhatsApp configuration
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, authorize('notifications:manage'), async (req, res) => {
   const { 
     api_url, api_key, phone_number_id, business_account_id, from_number,
     template_type, message_body, is_active 
@@ -129,6 +130,7 @@ router.post('/', protect, async (req, res) => {
       [api_url, api_key, phone_number_id, business_account_id, from_number, 
        template_type, message_body, is_active !== undefined ? is_active : true]
     );
+    await recordAudit(req, { action: 'create', entityType: 'whatsapp_config', entityId: rows[0].config_id, after: rows[0] });
     res.status(201).json(rows[0]);
   } catch (e) {
     console.error('Create WhatsApp config error:', e);
@@ -137,7 +139,7 @@ router.post('/', protect, async (req, res) => {
 });
 
 // Update WhatsApp configuration
-router.put('/:id', protect, async (req, res) => {
+router.put('/:id', protect, authorize('notifications:manage'), async (req, res) => {
   const { id } = req.params;
   const { 
     api_url, api_key, phone_number_id, business_account_id, from_number,
@@ -146,6 +148,7 @@ router.put('/:id', protect, async (req, res) => {
   
   try {
     await ensureWhatsAppConfigTable();
+    const before = await db.query('SELECT * FROM whatsapp_config WHERE config_id = $1', [id]);
     const { rows } = await db.query(
       `UPDATE whatsapp_config 
        SET api_url=$1, api_key=$2, phone_number_id=$3, business_account_id=$4, 
@@ -158,6 +161,7 @@ router.put('/:id', protect, async (req, res) => {
        template_type, message_body, is_active, id]
     );
     if (rows.length === 0) return res.status(404).json({ message: 'WhatsApp configuration not found' });
+    await recordAudit(req, { action: 'update', entityType: 'whatsapp_config', entityId: id, before: before.rows[0], after: rows[0] });
     res.json(rows[0]);
   } catch (e) {
     console.error('Update WhatsApp config error:', e);
@@ -166,12 +170,13 @@ router.put('/:id', protect, async (req, res) => {
 });
 
 // Delete WhatsApp configuration
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, authorize('notifications:manage'), async (req, res) => {
   const { id } = req.params;
   try {
     await ensureWhatsAppConfigTable();
-    const result = await db.query('DELETE FROM whatsapp_config WHERE config_id = $1', [id]);
+    const result = await db.query('DELETE FROM whatsapp_config WHERE config_id = $1 RETURNING *', [id]);
     if (result.rowCount === 0) return res.status(404).json({ message: 'WhatsApp configuration not found' });
+    await recordAudit(req, { action: 'delete', entityType: 'whatsapp_config', entityId: id, before: result.rows[0] });
     res.status(204).end();
   } catch (e) {
     console.error('Delete WhatsApp config error:', e);
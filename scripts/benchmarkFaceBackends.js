@@ -0,0 +1,226 @@
+// Offline benchmark of the face detector backends (no database needed).
+//
+//   npm run benchmark:faces -- <folder> [--backends ssd,tiny] [--enroll 1]
+//                              [--threshold 0.45] [--margin 0.05] [--json results.json]
+//
+// <folder> holds one sub-folder per person: <folder>/<person>/<image>. For each
+// backend the first --enroll images of every person are registered (with the
+// quality checks used by /register) and the rest are matched against everyone
+// registered (as /mark does). Reported per backend:
+//   accuracy  probes matched to the right person
+//   FRR       probes farther than the threshold from their own samples
+//   FAR       probe/other-person pairs within the threshold
+//   latency   time to detect and embed one image
+// --json also writes the full results to a file.
+//
+// By default every backend whose weights are in MODEL_PATH is run. Only the ssd
+// weights ship with the repo; see DETECTOR_BACKENDS for the files tiny needs.
+const fs = require('fs');
+const path = require('path');
+const {
+  DETECTOR_BACKENDS, hasDetectorWeights, loadModelsInProcess, INFERENCE_TASKS
+} = require('../services/faceRecognitionService');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+function parseArgs(argv) {
+  const options = {
+    folder: null,
+    backends: Object.keys(DETECTOR_BACKENDS).filter(hasDetectorWeights),
+    enroll: 1,
+    // Same defaults as faceMatchSettingsService
+    threshold: parseFloat(process.env.FACE_MATCH_THRESHOLD || '0.45'),
+    margin: parseFloat(process.env.FACE_MATCH_MARGIN || '0.05'),
+    json: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = argv[++i];
+    else if (arg === '--backends') options.backends = argv[++i].split(',').map(b => b.trim().toLowerCase()).filter(Boolean);
+    else if (arg === '--enroll') options.enroll = parseInt(argv[++i], 10);
+    else if (arg === '--threshold') options.threshold = parseFloat(argv[++i]);
+    else if (arg === '--margin') options.margin = parseFloat(argv[++i]);
+    else if (!options.folder) options.folder = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  if (!options.folder) throw new Error('Usage: benchmarkFaceBackends.js <folder> [--backends ssd,tiny] [--enroll 1] [--threshold 0.45] [--margin 0.05] [--json results.json]');
+  if (!Number.isInteger(options.enroll) || options.enroll < 1) throw new Error('--enroll must be a whole number of at least 1');
+  if (Number.isNaN(options.threshold) || Number.isNaN(options.margin)) throw new Error('--threshold and --margin must be numbers');
+  const unknown = options.backends.filter(b => !DETECTOR_BACKENDS[b]);
+  if (unknown.length) throw new Error(`Unknown backend(s): ${unknown.join(', ')}; expected ${Object.keys(DETECTOR_BACKENDS).join(', ')}`);
+  return options;
+}
+
+// [{ person, images: [path, ...] }], images in name order
+function readLabelledFolder(folder) {
+  return fs.readdirSync(folder, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => ({
+      person: entry.name,
+      images: fs.readdirSync(path.join(folder, entry.name))
+        .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .map(file => path.join(folder, entry.name, file)),
+    }))
+    .filter(person => person.images.length > 0)
+    .sort((a, b) => a.person.localeCompare(b.person));
+}
+
+function distance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+async function timedEmbedding(file, checkQuality, latencies) {
+  const image = fs.readFileSync(file);
+  const startedAt = process.hrtime.bigint();
+  try {
+    return await INFERENCE_TASKS.getFaceEmbedding(image, { checkQuality });
+  } finally {
+    latencies.push(Number(process.hrtime.bigint() - startedAt) / 1e6);
+  }
+}
+
+// Closest sample distance per registered person
+function distancesByPerson(gallery, embedding) {
+  const best = new Map();
+  gallery.forEach(({ person, embedding: sample }) => {
+    const d = distance(sample, embedding);
+    if (!best.has(person) || d < best.get(person)) best.set(person, d);
+  });
+  return best;
+}
+
+async function benchmarkBackend(backend, people, options) {
+  const loadStartedAt = Date.now();
+  await loadModelsInProcess(backend);
+  const loadMs = Date.now() - loadStartedAt;
+
+  const latencies = [];
+  const gallery = [];
+  let enrollFailures = 0;
+  for (const { person, images } of people) {
+    for (const file of images.slice(0, options.enroll)) {
+      try {
+        gallery.push({ person, embedding: await timedEmbedding(file, true, latencies) });
+      } catch (e) {
+        enrollFailures++;
+        console.warn(`  [${backend}] not enrolled ${path.relative(options.folder, file)}: ${e.message}`);
+      }
+    }
+  }
+
+  const counts = { probes: 0, correct: 0, wrong: 0, rejected: 0, no_face: 0, genuine: 0, false_rejects: 0, impostor: 0, false_accepts: 0 };
+  for (const { person, images } of people) {
+    for (const file of images.slice(options.enroll)) {
+      counts.probes++;
+      let embedding;
+      try {
+        embedding = await timedEmbedding(file, false, latencies);
+      } catch (_) {
+        // No usable face: the person is turned away
+        counts.no_face++;
+        counts.rejected++;
+        counts.genuine++;
+        counts.false_rejects++;
+        continue;
+      }
+
+      const byPerson = distancesByPerson(gallery, embedding);
+      if (byPerson.has(person)) {
+        counts.genuine++;
+        if (byPerson.get(person) > options.threshold) counts.false_rejects++;
+      }
+      byPerson.forEach((d, other) => {
+        if (other === person) return;
+        counts.impostor++;
+        if (d <= options.threshold) counts.false_accepts++;
+      });
+
+      // Identification as in /mark: closest person, within the threshold and clear of the runner-up
+      const ranked = [...byPerson.entries()].sort((a, b) => a[1] - b[1]);
+      const [best, second] = ranked;
+      const accepted = best && best[1] <= options.threshold && (!second || second[1] - best[1] >= options.margin);
+      if (!accepted) counts.rejected++;
+      else if (best[0] === person) counts.correct++;
+      else counts.wrong++;
+    }
+  }
+
+  return {
+    backend,
+    model_load_ms: loadMs,
+    people: people.length,
+    enrolled_samples: gallery.length,
+    enroll_failures: enrollFailures,
+    ...counts,
+    accuracy: ratio(counts.correct, counts.probes),
+    frr: ratio(counts.false_rejects, counts.genuine),
+    far: ratio(counts.false_accepts, counts.impostor),
+    latency_ms: {
+      images: latencies.length,
+      avg: Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / Math.max(latencies.length, 1)),
+      p50: Math.round(percentile(latencies, 50)),
+      p95: Math.round(percentile(latencies, 95)),
+    },
+  };
+}
+
+function printResults(results, options) {
+  console.log(`\nThreshold ${options.threshold}, margin ${options.margin}, ${options.enroll} enrollment image(s) per person\n`);
+  console.table(results.map(r => (r.error ? { backend: r.backend, error: r.error } : {
+    backend: r.backend,
+    enrolled: r.enrolled_samples,
+    probes: r.probes,
+    accuracy: r.accuracy,
+    frr: r.frr,
+    far: r.far,
+    wrong: r.wrong,
+    rejected: r.rejected,
+    'avg ms': r.latency_ms.avg,
+    'p95 ms': r.latency_ms.p95,
+    'load ms': r.model_load_ms,
+  })));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const people = readLabelledFolder(options.folder);
+  if (people.length < 2) throw new Error(`Need images of at least two people in ${options.folder}`);
+
+  const results = [];
+  for (const backend of options.backends) {
+    console.log(`Benchmarking ${backend}...`);
+    try {
+      results.push(await benchmarkBackend(backend, people, options));
+    } catch (e) {
+      // e.g. a backend asked for with --backends whose weights are missing; carry on with the others
+      results.push({ backend, error: e.message });
+    }
+  }
+
+  printResults(results, options);
+  if (options.json) {
+    fs.writeFileSync(options.json, JSON.stringify({ options, results }, null, 2));
+    console.log(`Results written to ${options.json}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
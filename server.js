@@ -11,6 +11,14 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+// and not the proxy's; login throttling counts failures per IP.
+if (process.env.TRUST_PROXY) {
+  const value = process.env.TRUST_PROXY;
+  const hops = parseInt(value, 10);
+  app.set('trust proxy', value === 'true' ? true : (Number.isNaN(hops) ? value : hops));
+}
+
 // Apply security headers with helmet
 app.use(helmet());
 
@@ -39,14 +47,30 @@ app.get('/', (req, res) => {
   });
 });
 
+// Face inference worker pool: queue depth and latency
+app.get('/health/inference', (_req, res) => {
+  res.status(200).json(getInferenceStats());
+});
+
+// Detector and nets this service loaded; 503 until they are all ready
+app.get('/health/models', (_req, res) => {
+  const status = getModelStatus();
+  res.status(status.ready ? 200 : 503).json(status);
+});
+
 // Auth routes
 app.use('/api/auth', require('./routes/authRoutes'));
 
+// User account routes
+app.use('/api/users', require('./routes/userRoutes'));
+
 // Employee routes
 app.use('/api/employees', require('./routes/employeeRoutes'));
 
 // Attendance report/download routes stay on monolith; /mark is handled by Mark microservice
 app.use('/api/attendance', require('./routes/attendanceReportRoutes'));
+// Kiosk device routes
+app.use('/api/devices', require('./routes/deviceRoutes'));
 // Shift routes
 app.use('/api/shifts', require('./routes/shiftRoutes'));
 // Organization routes
@@ -57,14 +81,20 @@ app.use('/api/email-config', require('./routes/emailConfigRoutes'));
 app.use('/api/whatsapp-config', require('./routes/whatsappConfigRoutes'));
 // Report routes
 app.use('/api/reports', require('./routes/reportRoutes'));
+// Employee self-service portal routes
+app.use('/api/portal', require('./routes/portalRoutes'));
+// Admin action audit log
+app.use('/api/audit', require('./routes/auditRoutes'));
+// Face-match threshold and detector tuning per organization/employee
+app.use('/api/face-settings', require('./routes/faceSettingsRoutes'));
 
 // Load face recognition models and start server
-const { loadModels } = require('./services/faceRecognitionService');
+const { loadModels, getInferenceStats, getModelStatus } = require('./services/faceRecognitionService');
 const { processAbsentMarking } = require('./services/absentMarkingService');
 const { clearOldDetections } = require('./services/presenceDetectionService');
 
 // Load models before starting the server
-loadModels()
+loadModels('main')
   .then(() => {
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, '0.0.0.0', () => {
@@ -23,13 +23,34 @@ app.get('/', (_req, res) => {
   res.status(200).json({ status: 'ok', service: 'mark-service' });
 });
 
+// Face inference worker pool: queue depth and latency
+app.get('/health/inference', (_req, res) => {
+  res.status(200).json(getInferenceStats());
+});
+
+// Detector and nets this service loaded; 503 until they are all ready
+app.get('/health/models', (_req, res) => {
+  const status = getModelStatus();
+  res.status(status.ready ? 200 : 503).json(status);
+});
+
+// In-memory face index (FACE_EMBEDDING_INDEX): size and last sync
+app.get('/health/embedding-index', (_req, res) => {
+  res.status(200).json(getEmbeddingIndexStats());
+});
+
 // Reuse existing attendance routes (contains /mark and others; contract unchanged)
 app.use('/api/attendance', require('./routes/attendanceRoutes'));
 
-const { loadModels } = require('./services/faceRecognitionService');
+const { loadModels, getInferenceStats, getModelStatus } = require('./services/faceRecognitionService');
 const { autoCheckoutOverdue } = require('./services/autoCheckoutService');
+const { purgeExpiredSnapshots } = require('./services/punchSnapshotService');
+const { startEmbeddingIndex } = require('./services/faceEmbeddingService');
+const { FACE_EMBEDDING_INDEX, getEmbeddingIndexStats } = require('./services/faceEmbeddingIndexService');
 
-loadModels()
+loadModels('mark')
+  // Warm the face index before taking punches
+  .then(() => (FACE_EMBEDDING_INDEX ? startEmbeddingIndex() : null))
   .then(() => {
     const PORT = process.env.MARK_SERVICE_PORT || process.env.PORT || 5001;
     app.listen(PORT, '0.0.0.0', () => {
@@ -37,6 +58,9 @@ loadModels()
       setInterval(() => {
         autoCheckoutOverdue().catch(() => {});
       }, 5 * 60 * 1000); // every 5 minutes
+      setInterval(() => {
+        purgeExpiredSnapshots().catch((e) => console.warn('[SNAPSHOT] Purge failed:', e.message));
+      }, 60 * 60 * 1000); // hourly
     });
   })
   .catch((err) => {
@@ -8,9 +8,42 @@ const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const db = require('./config/db');
-const { protect } = require('./middleware/authMiddleware');
-const { getFaceEmbedding } = require('./services/faceRecognitionService');
+const { protect, authorize } = require('./middleware/authMiddleware');
+const { getFaceEmbedding, getInferenceStats, getModelStatus } = require('./services/faceRecognitionService');
+const { canAccessOrganization, canAccessEmployee, getScopedOrganizationIds } = require('./services/organizationScopeService');
 const { triggerEmployeeRegistrationNotification } = require('./services/notificationService');
+const { recordAudit } = require('./services/auditService');
+const {
+  MAX_FACE_SAMPLES,
+  DUPLICATE_FACE_THRESHOLD,
+  ensureFaceEmbeddingsTable,
+  toVectorLiteral,
+  faceImagePath,
+  protectStoredImage,
+  listFaceSamples,
+  findFaceSample,
+  countFaceSamples,
+  addFaceSample,
+  replaceFaceSamples,
+  rollbackFaceEnrollment,
+  removeFaceSample,
+  findDuplicateEmployee,
+  linkLegacyEnrollmentPhotos,
+} = require('./services/faceEmbeddingService');
+const { recordEmbeddingChange } = require('./services/faceEmbeddingIndexService');
+const { ensureFaceSettingsTables, getEffectiveFaceSettings } = require('./services/faceMatchSettingsService');
+const { isBiometricEncryptionEnabled, readStoredFile } = require('./services/biometricCryptoService');
+const {
+  BIOMETRIC_CONSENT_VERSION,
+  BIOMETRIC_CONSENT_REQUIRED,
+  ensureBiometricConsentsTable,
+  parseConsent,
+  recordConsent,
+  getActiveConsent,
+  listConsents,
+  hasEnrollmentConsent,
+  eraseEmployeeBiometrics,
+} = require('./services/biometricPrivacyService');
 
 dotenv.config();
 
@@ -29,6 +62,17 @@ app.get('/', (_req, res) => {
   res.status(200).json({ status: 'ok', service: 'register-service' });
 });
 
+// Face inference worker pool: queue depth and latency
+app.get('/health/inference', (_req, res) => {
+  res.status(200).json(getInferenceStats());
+});
+
+// Detector and nets this service loaded; 503 until they are all ready
+app.get('/health/models', (_req, res) => {
+  const status = getModelStatus();
+  res.status(status.ready ? 200 : 503).json(status);
+});
+
 // Multer config mirroring employeeRoutes.js for register
 const upload = multer({
   storage: multer.diskStorage({
@@ -53,7 +97,62 @@ const upload = multer({
 
 const router = express.Router();
 
-router.post('/register', protect, upload.single('image'), async (req, res) => {
+// Initialize table on module load
+ensureFaceEmbeddingsTable();
+ensureFaceSettingsTables();
+ensureBiometricConsentsTable();
+
+function removeUploadedFile(filePath) {
+  if (filePath) fs.unlink(filePath, () => {});
+}
+
+// Embedding for an uploaded image of an existing employee, detected with their
+// organization's settings; sends the 400 and returns null when no face is usable
+async function embeddingFromUpload(req, res, employeeId) {
+  const settings = await getEffectiveFaceSettings({ employeeId });
+  let embedding;
+  try {
+    embedding = await getFaceEmbedding(fs.readFileSync(req.file.path), {
+      minConfidence: settings.min_detection_confidence,
+      checkQuality: true
+    });
+  } catch (embeddingError) {
+    removeUploadedFile(req.file.path);
+    if (embeddingError.code === 'FACE_BUSY') {
+      res.set('Retry-After', String(embeddingError.retryAfter));
+      res.status(503).json({ message: embeddingError.message });
+      return null;
+    }
+    res.status(400).json({
+      message: embeddingError.message || 'Error processing face detection',
+      reasons: embeddingError.reasons,
+      quality: embeddingError.quality
+    });
+    return null;
+  }
+  if (!embedding || embedding.length === 0) {
+    removeUploadedFile(req.file.path);
+    res.status(400).json({ message: 'No face detected in the image' });
+    return null;
+  }
+  return embedding;
+}
+
+const CONSENT_REQUIRED_MESSAGE = `Biometric consent is required before enrolling a face. Send biometric_consent=true and consent_version=${BIOMETRIC_CONSENT_VERSION}.`;
+
+// Consent sent with an enrollment upload for an existing employee; sends the 400
+// and returns null when it is invalid or missing and none is on file
+async function enrollmentConsent(req, res, employeeId) {
+  const consent = parseConsent(req.body);
+  if (consent.error || !(await hasEnrollmentConsent(employeeId, consent))) {
+    removeUploadedFile(req.file.path);
+    res.status(400).json({ message: consent.error || CONSENT_REQUIRED_MESSAGE, consent_version: BIOMETRIC_CONSENT_VERSION });
+    return null;
+  }
+  return consent;
+}
+
+router.post('/register', protect, authorize('employees:register'), upload.single('image'), async (req, res) => {
   const startTime = Date.now();
   req.setTimeout(90000);
   res.setTimeout(90000);
@@ -61,6 +160,7 @@ router.post('/register', protect, upload.single('image'), async (req, res) => {
   let filePath = null;
   try {
     const { employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code, organization_id } = req.body;
+    const allowDuplicate = String(req.body.allow_duplicate || '').toLowerCase() === 'true';
 
     try {
       await db.query(`DO $$
@@ -105,6 +205,17 @@ router.post('/register', protect, upload.single('image'), async (req, res) => {
     }
 
     filePath = req.file.path;
+
+    // Organization-scoped users may only register staff into their own organizations
+    if (getScopedOrganizationIds(req.user) !== null && !canAccessOrganization(req.user, organization_id)) {
+      fs.unlink(filePath, () => {});
+      return res.status(403).json({ message: 'You can only register employees in your own organizations' });
+    }
+    const consent = parseConsent(req.body);
+    if (consent.error || (BIOMETRIC_CONSENT_REQUIRED && !consent.given)) {
+      fs.unlink(filePath, () => {});
+      return res.status(400).json({ message: consent.error || CONSENT_REQUIRED_MESSAGE, consent_version: BIOMETRIC_CONSENT_VERSION });
+    }
     let imageBuffer;
     try {
       imageBuffer = fs.readFileSync(filePath);
@@ -112,15 +223,25 @@ router.post('/register', protect, upload.single('image'), async (req, res) => {
       return res.status(500).json({ message: 'Error reading uploaded image file' });
     }
 
+    const settings = await getEffectiveFaceSettings({ organizationId: organization_id || null });
     let embedding;
     try {
-      embedding = await getFaceEmbedding(imageBuffer);
+      embedding = await getFaceEmbedding(imageBuffer, {
+        minConfidence: settings.min_detection_confidence,
+        checkQuality: true
+      });
     } catch (embeddingError) {
       if (filePath) {
         fs.unlink(filePath, () => {});
       }
+      if (embeddingError.code === 'FACE_BUSY') {
+        res.set('Retry-After', String(embeddingError.retryAfter));
+        return res.status(503).json({ message: embeddingError.message });
+      }
       return res.status(400).json({
-        message: embeddingError.message || 'Error processing face detection'
+        message: embeddingError.message || 'Error processing face detection',
+        reasons: embeddingError.reasons,
+        quality: embeddingError.quality
       });
     }
 
@@ -142,6 +263,32 @@ router.post('/register', protect, upload.single('image'), async (req, res) => {
     await db.query(`ALTER TABLE employee_details ADD COLUMN IF NOT EXISTS employee_code TEXT;`);
     await db.query(`ALTER TABLE employee_details ADD COLUMN IF NOT EXISTS aadhar_last4 TEXT;`);
     await db.query(`ALTER TABLE employee_details ADD COLUMN IF NOT EXISTS organization_id INTEGER REFERENCES organizations(organization_id);`);
+    // Create (and backfill) the gallery before inserting, so this employee isn't backfilled as well
+    await ensureFaceEmbeddingsTable();
+
+    // Refuse to enroll a face that is already enrolled, in any organization, unless explicitly overridden
+    const duplicate = await findDuplicateEmployee(embeddingArray);
+    if (duplicate && !allowDuplicate) {
+      fs.unlink(filePath, () => {});
+      console.log(`[REGISTER] ⚠️ Face matches existing employee ${duplicate.employee_id} (distance ${duplicate.distance.toFixed(4)})`);
+      // Don't reveal who the face belongs to outside the caller's organizations
+      if (!canAccessOrganization(req.user, duplicate.organization_id)) {
+        return res.status(409).json({
+          message: 'This face is already enrolled in another organization. Send allow_duplicate=true to register anyway.',
+          threshold: DUPLICATE_FACE_THRESHOLD
+        });
+      }
+      return res.status(409).json({
+        message: `This face is already enrolled as ${duplicate.employee_name}. Send allow_duplicate=true to register anyway.`,
+        duplicate: {
+          employee_id: duplicate.employee_id,
+          employee_name: duplicate.employee_name,
+          employee_code: duplicate.employee_code,
+          distance: duplicate.distance
+        },
+        threshold: DUPLICATE_FACE_THRESHOLD
+      });
+    }
 
     let finalEmployeeCode = employee_code;
     if (!finalEmployeeCode && aadhar_last4 && /^[0-9]{4}$/.test(aadhar_last4)) {
@@ -153,26 +300,68 @@ router.post('/register', protect, upload.single('image'), async (req, res) => {
 
     const insertQuery = `
       INSERT INTO employee_details (employee_name, department, position, email, phone_number, employee_type, aadhar_last4, employee_code, organization_id, face_embedding) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::vector)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
       RETURNING employee_id
     `;
-    const result = await db.query(insertQuery, [
-      employee_name,
-      department,
-      position,
-      email,
-      phone_number,
-      employee_type,
-      aadhar_last4 || null,
-      finalEmployeeCode || null,
-      organization_id || null,
-      `[${embeddingArray.join(',')}]`
-    ]);
-
-    const employeeId = result.rows[0].employee_id;
+    // The employee, their first face sample and their consent are saved together or not at all
+    const client = await db.getClient();
+    let employeeId;
+    let consentRecord = null;
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(insertQuery, [
+        employee_name,
+        department,
+        position,
+        email,
+        phone_number,
+        employee_type,
+        aadhar_last4 || null,
+        finalEmployeeCode || null,
+        organization_id || null,
+        // Encrypted deployments keep the vector only in the face gallery
+        isBiometricEncryptionEnabled() ? null : toVectorLiteral(embeddingArray)
+      ]);
+      employeeId = result.rows[0].employee_id;
+      await addFaceSample(employeeId, embeddingArray, {
+        label: 'registration',
+        imagePath: req.file.filename,
+        createdBy: req.user.user_id
+      }, client);
+      if (consent.given) {
+        consentRecord = await recordConsent(employeeId, { version: consent.version, recordedBy: req.user.user_id, source: 'registration' }, client);
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+    await recordEmbeddingChange(employeeId);
+    protectStoredImage(filePath);
 
     console.log('[REGISTER] ✅ Employee registered successfully, ID:', employeeId);
 
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'employee',
+      entityId: employeeId,
+      after: {
+        employee_id: employeeId,
+        employee_name,
+        department,
+        position,
+        email,
+        phone_number,
+        employee_type,
+        aadhar_last4: aadhar_last4 || null,
+        employee_code: finalEmployeeCode || null,
+        organization_id: organization_id || null,
+        duplicate_of: duplicate ? duplicate.employee_id : null
+      }
+    });
+
     // Get organization name for notification
     let organizationName = '';
     if (organization_id) {
@@ -245,6 +434,7 @@ router.post('/register', protect, upload.single('image'), async (req, res) => {
       aadhar_last4: aadhar_last4 || null,
       employee_code: finalEmployeeCode || null,
       image_path: req.file.filename,
+      biometric_consent: consentRecord,
       message: `Hi ${employee_name}! Employee registered successfully.`
     });
   } catch (error) {
@@ -260,16 +450,266 @@ router.post('/register', protect, upload.single('image'), async (req, res) => {
   }
 });
 
+// Enrollment gallery: extra face samples per employee, matched by /mark alongside the registration photo.
+// ?include_archived=true also lists samples replaced by a re-enrollment.
+router.get('/:id/face-samples', protect, authorize('employees:read'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const samples = await listFaceSamples(id, { includeArchived: req.query.include_archived === 'true' });
+    res.json({ samples, max_samples: MAX_FACE_SAMPLES });
+  } catch (e) {
+    console.error('List face samples error:', e);
+    res.status(500).json({ message: 'Failed to fetch face samples' });
+  }
+});
+
+router.post('/:id/face-samples', protect, authorize('employees:register'), upload.single('image'), async (req, res) => {
+  const { id } = req.params;
+  const filePath = req.file ? req.file.path : null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload an image' });
+    }
+    if (!(await canAccessEmployee(req.user, id))) {
+      removeUploadedFile(filePath);
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    if ((await countFaceSamples(id)) >= MAX_FACE_SAMPLES) {
+      removeUploadedFile(filePath);
+      return res.status(400).json({ message: `An employee can have at most ${MAX_FACE_SAMPLES} face samples` });
+    }
+    const consent = await enrollmentConsent(req, res, id);
+    if (!consent) return;
+
+    const embedding = await embeddingFromUpload(req, res, id);
+    if (!embedding) return;
+
+    const sample = await addFaceSample(id, embedding, {
+      label: req.body.label,
+      imagePath: req.file.filename,
+      createdBy: req.user.user_id
+    });
+    protectStoredImage(filePath);
+    if (consent.given) {
+      await recordConsent(id, { version: consent.version, recordedBy: req.user.user_id, source: 'face_sample' });
+    }
+    await recordAudit(req, { action: 'add_face_sample', entityType: 'employee', entityId: id, after: sample });
+    res.status(201).json(sample);
+  } catch (e) {
+    removeUploadedFile(filePath);
+    console.error('Add face sample error:', e);
+    res.status(500).json({ message: 'Failed to add face sample' });
+  }
+});
+
+// Stored photo of a face sample, decrypted when biometric encryption is on
+router.get('/:id/face-samples/:sampleId/image', protect, authorize('employees:read'), async (req, res) => {
+  const { id, sampleId } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const sample = await findFaceSample(id, sampleId);
+    if (!sample || !sample.image_path) return res.status(404).json({ message: 'Face sample image not found' });
+    let image;
+    try {
+      image = readStoredFile(faceImagePath(sample.image_path));
+    } catch (readError) {
+      if (readError.code === 'ENOENT') return res.status(404).json({ message: 'Face sample image not found' });
+      throw readError;
+    }
+    res.type(path.extname(sample.image_path) || 'application/octet-stream');
+    res.set('Cache-Control', 'no-store');
+    res.send(image);
+  } catch (e) {
+    console.error('Get face sample image error:', e);
+    res.status(500).json({ message: 'Failed to fetch face sample image' });
+  }
+});
+
+// The last active sample can't be removed, or the employee could no longer mark attendance
+router.delete('/:id/face-samples/:sampleId', protect, authorize('employees:register'), async (req, res) => {
+  const { id, sampleId } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const existing = await findFaceSample(id, sampleId);
+    if (!existing) return res.status(404).json({ message: 'Face sample not found' });
+    if (!existing.archived_at && (await countFaceSamples(id)) <= 1) {
+      return res.status(400).json({ message: 'Cannot remove the only face sample; add another one first' });
+    }
+    const sample = await removeFaceSample(id, sampleId);
+    if (!sample) return res.status(404).json({ message: 'Face sample not found' });
+    if (sample.image_path) {
+      removeUploadedFile(faceImagePath(sample.image_path));
+    }
+    await recordAudit(req, { action: 'remove_face_sample', entityType: 'employee', entityId: id, before: sample });
+    res.status(204).end();
+  } catch (e) {
+    console.error('Remove face sample error:', e);
+    res.status(500).json({ message: 'Failed to remove face sample' });
+  }
+});
+
+// Re-enroll an employee's face from a new photo. mode=replace (default) makes it the only
+// active sample and archives the previous ones for rollback; mode=add keeps them.
+router.put('/:id/face', protect, authorize('employees:register'), upload.single('image'), async (req, res) => {
+  const { id } = req.params;
+  const mode = req.body.mode || 'replace';
+  const filePath = req.file ? req.file.path : null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload an image' });
+    }
+    if (!['replace', 'add'].includes(mode)) {
+      removeUploadedFile(filePath);
+      return res.status(400).json({ message: "mode must be 'replace' or 'add'" });
+    }
+    if (!(await canAccessEmployee(req.user, id))) {
+      removeUploadedFile(filePath);
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    if (mode === 'add' && (await countFaceSamples(id)) >= MAX_FACE_SAMPLES) {
+      removeUploadedFile(filePath);
+      return res.status(400).json({ message: `An employee can have at most ${MAX_FACE_SAMPLES} face samples` });
+    }
+    const consent = await enrollmentConsent(req, res, id);
+    if (!consent) return;
+
+    const embedding = await embeddingFromUpload(req, res, id);
+    if (!embedding) return;
+
+    const options = { label: req.body.label || 're-enrollment', imagePath: req.file.filename, createdBy: req.user.user_id };
+    let sample;
+    let archived = [];
+    if (mode === 'replace') {
+      ({ sample, archived } = await replaceFaceSamples(id, embedding, options));
+    } else {
+      sample = await addFaceSample(id, embedding, options);
+    }
+    protectStoredImage(filePath);
+    if (consent.given) {
+      await recordConsent(id, { version: consent.version, recordedBy: req.user.user_id, source: 're_enrollment' });
+    }
+
+    console.log(`[REGISTER] Face re-enrolled (${mode}) for employee ${id} by user ${req.user.user_id}`);
+    await recordAudit(req, {
+      action: 're_enroll_face',
+      entityType: 'employee',
+      entityId: id,
+      before: { active_samples: archived },
+      after: { mode, sample }
+    });
+    res.json({ message: 'Face enrollment updated', mode, sample, archived_samples: archived });
+  } catch (e) {
+    removeUploadedFile(filePath);
+    console.error('Re-enroll face error:', e);
+    res.status(500).json({ message: 'Failed to update face enrollment' });
+  }
+});
+
+// Undo the last replace: the archived samples become active again and the current ones are archived
+router.post('/:id/face/rollback', protect, authorize('employees:register'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const result = await rollbackFaceEnrollment(id, req.user.user_id);
+    if (!result) {
+      return res.status(400).json({ message: 'No previous face enrollment to roll back to' });
+    }
+
+    console.log(`[REGISTER] Face enrollment rolled back for employee ${id} by user ${req.user.user_id}`);
+    await recordAudit(req, {
+      action: 'rollback_face',
+      entityType: 'employee',
+      entityId: id,
+      before: { active_samples: result.archived },
+      after: { active_samples: result.restored }
+    });
+    res.json({ message: 'Face enrollment rolled back', restored_samples: result.restored, archived_samples: result.archived });
+  } catch (e) {
+    console.error('Rollback face error:', e);
+    res.status(500).json({ message: 'Failed to roll back face enrollment' });
+  }
+});
+
+// Consent history; active is the unwithdrawn consent for the current consent text version
+router.get('/:id/biometric-consent', protect, authorize('employees:read'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    res.json({
+      current_version: BIOMETRIC_CONSENT_VERSION,
+      required: BIOMETRIC_CONSENT_REQUIRED,
+      active: await getActiveConsent(id),
+      history: await listConsents(id)
+    });
+  } catch (e) {
+    console.error('Get biometric consent error:', e);
+    res.status(500).json({ message: 'Failed to fetch biometric consent' });
+  }
+});
+
+// Record consent captured outside an enrollment upload (e.g. a signed form, or a new consent text version)
+router.post('/:id/biometric-consent', protect, authorize('employees:register'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const consent = parseConsent({ ...req.body, biometric_consent: 'true' });
+    if (consent.error) return res.status(400).json({ message: consent.error, consent_version: BIOMETRIC_CONSENT_VERSION });
+    const record = await recordConsent(id, { version: consent.version, recordedBy: req.user.user_id, source: req.body.source || 'manual' });
+    await recordAudit(req, { action: 'record_biometric_consent', entityType: 'employee', entityId: id, after: record });
+    res.status(201).json(record);
+  } catch (e) {
+    console.error('Record biometric consent error:', e);
+    res.status(500).json({ message: 'Failed to record biometric consent' });
+  }
+});
+
+// Right to erasure: removes every face sample, stored photo and vector and withdraws consent.
+// ?anonymize=true also strips the employee's personal details and portal login;
+// attendance history is kept against the anonymised record.
+router.delete('/:id/biometrics', protect, authorize('employees:delete'), async (req, res) => {
+  const { id } = req.params;
+  const anonymize = String(req.query.anonymize || req.body?.anonymize || '').toLowerCase() === 'true';
+  try {
+    if (!(await canAccessEmployee(req.user, id))) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+    const result = await eraseEmployeeBiometrics(id, { erasedBy: req.user.user_id, anonymize });
+
+    console.log(`[REGISTER] Biometrics erased for employee ${id} by user ${req.user.user_id} (anonymize: ${anonymize})`);
+    // Counts only, so the audit log doesn't keep what was erased
+    await recordAudit(req, { action: 'erase_biometrics', entityType: 'employee', entityId: id, after: result });
+    res.json({ message: anonymize ? 'Biometric data erased and employee anonymised' : 'Biometric data erased', ...result });
+  } catch (e) {
+    console.error('Erase biometrics error:', e);
+    res.status(500).json({ message: 'Failed to erase biometric data' });
+  }
+});
+
 app.use('/api/employees', router);
 
 const { loadModels } = require('./services/faceRecognitionService');
 
-loadModels()
+loadModels('register')
   .then(() => {
     const PORT = process.env.REGISTER_SERVICE_PORT || 5003;
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Register Service running on port ${PORT}`);
     });
+    linkLegacyEnrollmentPhotos(image => getFaceEmbedding(image))
+      .catch(e => console.error('[FACE-SAMPLES] Linking legacy enrollment photos failed:', e.message));
   })
   .catch((err) => {
     console.error('Failed to load models for Register Service:', err);
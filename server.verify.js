@@ -5,8 +5,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const multer = require('multer');
-const { protect } = require('./middleware/authMiddleware');
-const { getFaceBoxNormalized } = require('./services/faceRecognitionService');
+const { protect, authorize } = require('./middleware/authMiddleware');
+const { assessFaceQuality, getInferenceStats, getModelStatus } = require('./services/faceRecognitionService');
 
 dotenv.config();
 
@@ -25,6 +25,17 @@ app.get('/', (_req, res) => {
   res.status(200).json({ status: 'ok', service: 'verify-service' });
 });
 
+// Face inference worker pool: queue depth and latency
+app.get('/health/inference', (_req, res) => {
+  res.status(200).json(getInferenceStats());
+});
+
+// Detector and nets this service loaded; 503 until they are all ready
+app.get('/health/models', (_req, res) => {
+  const status = getModelStatus();
+  res.status(status.ready ? 200 : 503).json(status);
+});
+
 // Minimal router replicating existing verify-face logic from employeeRoutes.js
 const router = express.Router();
 const memoryStorage = multer.memoryStorage();
@@ -40,7 +51,7 @@ const uploadToMemory = multer({
   }
 });
 
-router.post('/verify-face', protect, uploadToMemory.single('image'), async (req, res) => {
+router.post('/verify-face', protect, authorize('face:verify'), uploadToMemory.single('image'), async (req, res) => {
   const startTime = Date.now();
   
   if (!req.file) {
@@ -53,21 +64,32 @@ router.post('/verify-face', protect, uploadToMemory.single('image'), async (req,
   try {
     console.log(`[Verify] Processing image (${(req.file.size / 1024).toFixed(2)} KB)...`);
     
-    const box = await getFaceBoxNormalized(req.file.buffer);
+    // Same quality gate as registration and /mark, so the client can coach the user before submitting
+    const { box, passed, reasons, scores } = await assessFaceQuality(req.file.buffer);
     const processingTime = Date.now() - startTime;
     
-    console.log(`[Verify] ${box ? '✓ Face detected' : '✗ No face'} (${processingTime}ms)`);
+    console.log(`[Verify] ${box ? '✓ Face detected' : '✗ No face'}${box && !passed ? ` (quality: ${reasons.join(', ')})` : ''} (${processingTime}ms)`);
     
     return res.status(200).json({
       success: !!box,
       box,
+      quality_passed: passed,
+      quality_reasons: reasons,
+      quality: scores,
       processingTime,
-      message: box ? 'Face detected successfully.' : 'No face detected in the image.'
+      message: !box
+        ? 'No face detected in the image.'
+        : passed ? 'Face detected successfully.' : 'Face detected, but the image quality is too low.'
     });
   } catch (error) {
     const processingTime = Date.now() - startTime;
     console.error(`[Verify] ERROR after ${processingTime}ms:`, error.message);
     
+    if (error.code === 'FACE_BUSY') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({ success: false, message: error.message });
+    }
+    
     return res.status(500).json({
       success: false,
       message: 'Error processing face detection',
@@ -80,7 +102,7 @@ app.use('/api/employees', router);
 
 const { loadModels } = require('./services/faceRecognitionService');
 
-loadModels()
+loadModels('verify')
   .then(() => {
     const PORT = process.env.VERIFY_SERVICE_PORT || 5002;
     app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { ensureUsersTable } = require('./userService');
+const { sendEmailNotification } = require('./notificationService');
+require('dotenv').config();
+
+// Purposes double as the email_config template_type used to send the link
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  USER_INVITE: 'user_invite',
+};
+
+const EXPIRY_MINUTES = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60', 10),
+  [TOKEN_PURPOSES.USER_INVITE]: parseInt(process.env.INVITE_EXPIRES_HOURS || '72', 10) * 60,
+};
+
+// Frontend pages that accept the token from the emailed link
+const LINK_PATHS = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: '/reset-password',
+  [TOKEN_PURPOSES.USER_INVITE]: '/accept-invite',
+};
+
+// One-time tokens for emailed links. Only the SHA-256 hash is stored and a
+// token stops working once used, once expired, or when a newer one is issued.
+const ensureAccountTokensTable = db.memoizeTableSetup('ACCOUNT_TOKENS', createAccountTokensTable);
+
+async function createAccountTokensTable() {
+  await ensureUsersTable();
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_account_tokens (
+      token_id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_account_tokens_user ON user_account_tokens(user_id, purpose)');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function buildLink(purpose, token) {
+  const baseUrl = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${baseUrl}${LINK_PATHS[purpose]}?token=${encodeURIComponent(token)}`;
+}
+
+// Issue a token, replacing any unused one for the same purpose
+async function createAccountToken(userId, purpose, createdBy = null) {
+  await ensureAccountTokensTable();
+  await db.query(
+    `DELETE FROM user_account_tokens
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + EXPIRY_MINUTES[purpose] * 60 * 1000);
+  await db.query(
+    `INSERT INTO user_account_tokens (user_id, purpose, token_hash, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, purpose, hashToken(token), expiresAt, createdBy]
+  );
+  return { token, expiresAt };
+}
+
+// Mark the token used and return its user_id, or null if it can't be used
+async function consumeAccountToken(token, purpose) {
+  await ensureAccountTokensTable();
+  const { rows } = await db.query(
+    `UPDATE user_account_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return rows[0] ? rows[0].user_id : null;
+}
+
+async function hasPendingInvite(userId) {
+  await ensureAccountTokensTable();
+  const { rows } = await db.query(
+    `SELECT 1 FROM user_account_tokens
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()`,
+    [userId, TOKEN_PURPOSES.USER_INVITE]
+  );
+  return rows.length > 0;
+}
+
+// Create a token and email the link through the email_config template of the same name
+async function sendAccountTokenEmail(user, purpose, createdBy = null) {
+  const { token, expiresAt } = await createAccountToken(user.user_id, purpose, createdBy);
+  const link = buildLink(purpose, token);
+  const result = await sendEmailNotification(purpose, {
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    link,
+    link_expires_at: expiresAt.toISOString(),
+  }, purpose);
+  if (!result.success) {
+    console.warn(`[ACCOUNT_TOKENS] ${purpose} email for user ${user.user_id} not sent: ${result.message}`);
+  }
+  return { ...result, expires_at: expiresAt };
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  ensureAccountTokensTable,
+  createAccountToken,
+  consumeAccountToken,
+  hasPendingInvite,
+  sendAccountTokenEmail,
+};
@@ -37,7 +37,7 @@ const parseTime = (timeStr) => {
 async function getAllShifts(employeeType) {
   try {
     const { rows } = await db.query(
-      `SELECT start_time, end_time, name, grace_before, grace_after, 
+      `SELECT id, start_time, end_time, name, grace_before, grace_after, 
               presence_time, presence_count, presence_window 
        FROM shift_settings WHERE employee_type=$1 ORDER BY start_time ASC`,
       [employeeType]
@@ -48,6 +48,7 @@ async function getAllShifts(employeeType) {
       const start = parseTime(row.start_time);
       const end = parseTime(row.end_time);
       return {
+        id: row.id,
         name: row.name,
         startHour: start.hour,
         startMinute: start.minute,
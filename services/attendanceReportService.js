@@ -0,0 +1,144 @@
+const db = require('../config/db');
+const {
+  calculateAttendanceMetrics,
+  getAllShifts,
+  detectShiftForTime,
+  buildLocalTime,
+  buildShiftEndTime
+} = require('./attendanceLogicService');
+const { buildOrganizationFilter } = require('./organizationScopeService');
+
+// Ensure edit-tracking columns and OT column exist on attendance_records
+let editColumnsEnsured = false;
+async function ensureEditColumns() {
+  if (editColumnsEnsured) return;
+  try {
+    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS is_edited boolean DEFAULT false');
+    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS edit_remark text');
+    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS edited_at timestamptz');
+    await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS ot_hours_decimal numeric(10,2) DEFAULT 0');
+  } catch (err) {
+    console.error('Error ensuring edit columns on attendance_records:', err);
+  } finally {
+    editColumnsEnsured = true;
+  }
+}
+
+// Attendance rows with metrics recalculated from the current shift settings.
+// Pass user to limit rows to that user's organizations, employeeId for a single employee.
+async function fetchAttendanceRows(startDate, endDate, { user, employeeId } = {}) {
+  await ensureEditColumns();
+  
+  let query = `SELECT COALESCE(d.employee_code, d.employee_id::text) AS employee_code,
+    d.employee_name, d.employee_type, r.attendance_date, r.in_time::text AS in_time,
+    CASE WHEN r.out_time IS NOT NULL THEN r.out_time::text ELSE NULL END AS out_time,
+    r.delay_by_minutes, r.extra_time_minutes, r.total_working_hours_decimal,
+    COALESCE(r.ot_hours_decimal, 0) as ot_hours_decimal,
+    r.location_in, r.location_out, r.attendance_id, r.employee_id
+    FROM attendance_records r JOIN employee_details d ON r.employee_id = d.employee_id`;
+  const params = [];
+  query += ' WHERE 1=1';
+  if (startDate && endDate) {
+    params.push(startDate, endDate);
+    query += ' AND r.attendance_date BETWEEN $1 AND $2';
+  }
+  if (employeeId) {
+    params.push(employeeId);
+    query += ` AND r.employee_id = $${params.length}`;
+  }
+  if (user) {
+    query += buildOrganizationFilter(user, 'd.organization_id', params);
+  }
+  query += ' ORDER BY r.attendance_date DESC, d.employee_name, r.in_time ASC';
+  const { rows } = await db.query(query, params);
+  
+  const employeeDateMap = {};
+  rows.forEach(row => {
+    const key = `${row.employee_id}_${row.attendance_date}`;
+    if (!employeeDateMap[key]) employeeDateMap[key] = [];
+    employeeDateMap[key].push(row);
+  });
+  
+  const processedRows = await Promise.all(rows.map(async (row) => {
+    const key = `${row.employee_id}_${row.attendance_date}`;
+    const recordsForDay = employeeDateMap[key];
+    const currentRecordIndex = recordsForDay.findIndex(r => r.attendance_id === row.attendance_id);
+    const isOTShift = currentRecordIndex > 0 && row.out_time !== null;
+    
+    const dbOTHours = parseFloat(row.ot_hours_decimal) || 0;
+    
+    let metrics = {
+      delay_by_minutes: row.delay_by_minutes || 0,
+      extra_time_minutes: row.extra_time_minutes || 0,
+      total_working_hours_decimal: row.total_working_hours_decimal || 0,
+      ot_hours_decimal: dbOTHours
+    };
+    
+    if (row.out_time && row.in_time && row.employee_type) {
+      const recalculated = await calculateAttendanceMetrics(row.in_time, row.out_time, row.employee_type, isOTShift);
+      
+      // Calculate regular shift hours
+      const shifts = await getAllShifts(row.employee_type);
+      let regularShiftHours = 0;
+      
+      if (shifts.length > 0) {
+        const inTime = new Date(row.in_time);
+        const outTime = new Date(row.out_time);
+        const detectedShift = detectShiftForTime(inTime, shifts);
+        const shift = detectedShift?.shift || shifts[0];
+        const shiftStartTime = buildLocalTime(inTime, shift.startHour, shift.startMinute);
+        const shiftEndTime = buildShiftEndTime(inTime, shift);
+        
+        // Regular shift hours calculation:
+        // - If checkout >= shift end: regularShiftHours = shift end - shift start
+        // - If checkout < shift end: regularShiftHours = checkout - shift start
+        if (outTime.getTime() >= shiftEndTime.getTime()) {
+          regularShiftHours = Math.max(0, parseFloat(((shiftEndTime.getTime() - shiftStartTime.getTime()) / (1000 * 60 * 60)).toFixed(2)));
+        } else {
+          regularShiftHours = Math.max(0, parseFloat(((outTime.getTime() - shiftStartTime.getTime()) / (1000 * 60 * 60)).toFixed(2)));
+        }
+      }
+      
+      // Use DB OT if exists (manually set), otherwise use calculated
+      const finalOTHours = dbOTHours > 0 ? dbOTHours : (recalculated.ot_hours_decimal || 0);
+      
+      // Total hours calculation:
+      // - If manual OT is set: Total = Actual Worked Hours (checkout - checkin) + Manual OT
+      // - If auto-calculated OT exists: Total = Regular Shift Hours + Auto OT
+      // - If no OT: Total = Actual Worked Hours (checkout - checkin)
+      let finalTotalHours;
+      if (dbOTHours > 0) {
+        // Manual OT: Add to actual worked hours
+        finalTotalHours = Math.max(0, parseFloat((recalculated.total_working_hours_decimal + dbOTHours).toFixed(2)));
+      } else if (finalOTHours > 0) {
+        // Auto-calculated OT: Add to regular shift hours
+        finalTotalHours = Math.max(0, parseFloat((regularShiftHours + finalOTHours).toFixed(2)));
+      } else {
+        // No OT: Use actual worked hours
+        finalTotalHours = recalculated.total_working_hours_decimal;
+      }
+      
+      metrics = {
+        delay_by_minutes: recalculated.delay_by_minutes,
+        extra_time_minutes: recalculated.extra_time_minutes,
+        total_working_hours_decimal: finalTotalHours,
+        ot_hours_decimal: finalOTHours
+      };
+    }
+    
+    return {
+      ...row,
+      in_time: row.in_time ? new Date(row.in_time).toISOString() : null,
+      out_time: row.out_time ? new Date(row.out_time).toISOString() : null,
+      ...metrics,
+      is_ot: isOTShift
+    };
+  }));
+  
+  return processedRows;
+}
+
+module.exports = {
+  ensureEditColumns,
+  fetchAttendanceRows,
+};
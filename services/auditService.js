@@ -0,0 +1,150 @@
+const db = require('../config/db');
+
+// Never copied into the audit log
+const REDACTED_FIELDS = [
+  'password', 'password_hash', 'smtp_password', 'api_key', 'secret', 'secret_hash', 'device_secret', 'otp_hash',
+  'token_hash', 'refresh_token_hash', 'previous_token_hash',
+];
+// Large binary-ish columns that add nothing to an audit entry
+const DROPPED_FIELDS = ['face_embedding'];
+
+// Append-only: a trigger rejects UPDATE and DELETE on audit_log, so entries
+// can't be rewritten even by code that has direct database access. The one
+// exception is redactAuditEntries, which may strip personal data from
+// before_data/after_data and change nothing else.
+const ensureAuditTable = db.memoizeTableSetup('AUDIT', createAuditTable);
+
+async function createAuditTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      audit_id BIGSERIAL PRIMARY KEY,
+      actor_user_id INTEGER,
+      actor_email VARCHAR(255),
+      actor_role VARCHAR(50),
+      action VARCHAR(50) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(100),
+      before_data JSONB,
+      after_data JSONB,
+      ip_address VARCHAR(100),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+  await db.query(`
+    CREATE OR REPLACE FUNCTION audit_log_immutable() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'UPDATE' AND current_setting('audit_log.allow_redaction', true) = 'on'
+         AND to_jsonb(NEW) - 'before_data' - 'after_data' = to_jsonb(OLD) - 'before_data' - 'after_data' THEN
+        RETURN NEW;
+      END IF;
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await db.query('DROP TRIGGER IF EXISTS audit_log_no_change ON audit_log');
+  await db.query(`
+    CREATE TRIGGER audit_log_no_change BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_immutable()
+  `);
+}
+
+// Applies at every depth, e.g. to the attendance rows nested in an employee delete
+function sanitize(data) {
+  if (data === undefined || data === null) return null;
+  if (Array.isArray(data)) return data.map(sanitize);
+  if (typeof data !== 'object' || data instanceof Date) return data;
+
+  const clean = {};
+  Object.keys(data).forEach(key => {
+    if (DROPPED_FIELDS.includes(key)) return;
+    clean[key] = REDACTED_FIELDS.includes(key) && data[key] ? '[redacted]' : sanitize(data[key]);
+  });
+  return clean;
+}
+
+// Record one admin action. req supplies the actor, IP and user agent.
+// Failures are logged and swallowed so auditing never undoes a completed change.
+async function recordAudit(req, { action, entityType, entityId, before, after }) {
+  try {
+    await ensureAuditTable();
+    const actor = (req && req.user) || {};
+    await db.query(
+      `INSERT INTO audit_log (actor_user_id, actor_email, actor_role, action, entity_type, entity_id,
+                              before_data, after_data, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8::jsonb, $9, $10)`,
+      [
+        actor.user_id || null,
+        actor.email || null,
+        actor.role || null,
+        action,
+        entityType,
+        entityId === undefined || entityId === null ? null : String(entityId),
+        JSON.stringify(sanitize(before)),
+        JSON.stringify(sanitize(after)),
+        req ? req.ip : null,
+        req ? req.headers['user-agent'] || null : null
+      ]
+    );
+  } catch (e) {
+    console.error(`[AUDIT] Failed to record ${action} ${entityType} ${entityId}:`, e.message);
+  }
+}
+
+// Erasure: remove the given fields from the recorded data of an entity's entries,
+// on the caller's transaction client. Who did what and when is kept.
+// Returns the number of entries changed.
+async function redactAuditEntries(entityType, entityId, fields, client) {
+  await ensureAuditTable();
+  await client.query("SET LOCAL audit_log.allow_redaction = 'on'");
+  const result = await client.query(
+    `UPDATE audit_log
+     SET before_data = CASE WHEN jsonb_typeof(before_data) = 'object' THEN before_data - $3::text[] ELSE before_data END,
+         after_data = CASE WHEN jsonb_typeof(after_data) = 'object' THEN after_data - $3::text[] ELSE after_data END
+     WHERE entity_type = $1 AND entity_id = $2
+       AND (before_data ?| $3::text[] OR after_data ?| $3::text[])`,
+    [entityType, String(entityId), fields]
+  );
+  await client.query("SET LOCAL audit_log.allow_redaction = 'off'");
+  return result.rowCount;
+}
+
+// Filters: actor_user_id, action, entity_type, entity_id, startDate, endDate, limit, offset
+async function queryAuditLog(filters = {}) {
+  await ensureAuditTable();
+  const params = [];
+  let query = `SELECT audit_id, actor_user_id, actor_email, actor_role, action, entity_type, entity_id,
+      before_data, after_data, ip_address, user_agent, created_at
+    FROM audit_log WHERE 1=1`;
+
+  ['actor_user_id', 'action', 'entity_type', 'entity_id'].forEach(column => {
+    if (filters[column]) {
+      params.push(String(filters[column]));
+      query += column === 'actor_user_id'
+        ? ` AND actor_user_id::text = $${params.length}`
+        : ` AND ${column} = $${params.length}`;
+    }
+  });
+  if (filters.startDate && filters.endDate) {
+    params.push(filters.startDate, filters.endDate);
+    query += ` AND created_at::date BETWEEN $${params.length - 1} AND $${params.length}`;
+  }
+
+  const limit = Math.min(parseInt(filters.limit, 10) || 200, filters.maxLimit || 1000);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  params.push(limit, offset);
+  query += ` ORDER BY created_at DESC, audit_id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+  const { rows } = await db.query(query, params);
+  return rows;
+}
+
+module.exports = {
+  ensureAuditTable,
+  sanitize,
+  recordAudit,
+  redactAuditEntries,
+  queryAuditLog,
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const fs = require('fs');
+require('dotenv').config();
+
+// Stored payloads start with this marker so plain (pre-encryption) data can still be read
+const MAGIC = Buffer.from('BIO1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// BIOMETRIC_ENCRYPTION_KEY: 32 bytes as 64 hex characters or base64. When set, face
+// embeddings and stored face images are encrypted at rest with AES-256-GCM; when
+// unset they are stored in plain form as before.
+function parseKey(value) {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('BIOMETRIC_ENCRYPTION_KEY must be 32 bytes, given as 64 hex characters or base64');
+  }
+  return key;
+}
+
+const BIOMETRIC_KEY = parseKey(process.env.BIOMETRIC_ENCRYPTION_KEY);
+
+function isBiometricEncryptionEnabled() {
+  return BIOMETRIC_KEY !== null;
+}
+
+function isEncrypted(buffer) {
+  return buffer.length >= MAGIC.length + IV_LENGTH + TAG_LENGTH && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+function encryptBuffer(buffer) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', BIOMETRIC_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+}
+
+// Plain buffers are returned unchanged
+function decryptBuffer(buffer) {
+  if (!isEncrypted(buffer)) return buffer;
+  if (!BIOMETRIC_KEY) throw new Error('BIOMETRIC_ENCRYPTION_KEY is required to read encrypted biometric data');
+  const ivStart = MAGIC.length;
+  const tagStart = ivStart + IV_LENGTH;
+  const decipher = crypto.createDecipheriv('aes-256-gcm', BIOMETRIC_KEY, buffer.subarray(ivStart, tagStart));
+  decipher.setAuthTag(buffer.subarray(tagStart, tagStart + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(tagStart + TAG_LENGTH)), decipher.final()]);
+}
+
+// Base64 text for the face_embeddings.embedding_encrypted column
+function encryptEmbedding(embedding) {
+  const floats = Float32Array.from(embedding);
+  return encryptBuffer(Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength)).toString('base64');
+}
+
+function decryptEmbedding(text) {
+  const plain = decryptBuffer(Buffer.from(text, 'base64'));
+  return new Float32Array(plain.buffer.slice(plain.byteOffset, plain.byteOffset + plain.byteLength));
+}
+
+// Encrypt a stored image in place. Returns false if it was already encrypted.
+function encryptFileInPlace(filePath) {
+  const content = fs.readFileSync(filePath);
+  if (isEncrypted(content)) return false;
+  fs.writeFileSync(filePath, encryptBuffer(content));
+  return true;
+}
+
+// Write an image, encrypted when biometric encryption is on
+function writeStoredFile(filePath, buffer) {
+  fs.writeFileSync(filePath, BIOMETRIC_KEY ? encryptBuffer(buffer) : buffer);
+}
+
+// Image bytes as uploaded, whether or not the file is encrypted
+function readStoredFile(filePath) {
+  return decryptBuffer(fs.readFileSync(filePath));
+}
+
+module.exports = {
+  isBiometricEncryptionEnabled,
+  encryptEmbedding,
+  decryptEmbedding,
+  encryptFileInPlace,
+  writeStoredFile,
+  readStoredFile,
+};
@@ -0,0 +1,139 @@
+const db = require('../config/db');
+const { removeAllFaceSamples, removeSampleImages } = require('./faceEmbeddingService');
+const { deletePortalAccount } = require('./employeePortalService');
+const { recordEmbeddingChange } = require('./faceEmbeddingIndexService');
+const { removeEmployeeSnapshots } = require('./punchSnapshotService');
+const { redactAuditEntries } = require('./auditService');
+require('dotenv').config();
+
+// Version of the consent text currently shown to employees; bump it when the wording changes
+const BIOMETRIC_CONSENT_VERSION = process.env.BIOMETRIC_CONSENT_VERSION || '1.0';
+// When true, no face is enrolled without a recorded consent
+const BIOMETRIC_CONSENT_REQUIRED = (process.env.BIOMETRIC_CONSENT_REQUIRED || 'true').toLowerCase() === 'true';
+// Name left on an employee record after anonymising erasure
+const ERASED_EMPLOYEE_NAME = 'Erased employee';
+// Personal details cleared by anonymising erasure, here and in the employee's audit entries
+const ANONYMISED_FIELDS = ['employee_name', 'department', 'position', 'email', 'phone_number', 'aadhar_last4', 'employee_code'];
+
+// One row per consent given. Withdrawing (or erasing the biometrics) stamps
+// withdrawn_at; the row is kept as evidence of what was agreed and when.
+const ensureBiometricConsentsTable = db.memoizeTableSetup('CONSENT', createBiometricConsentsTable);
+
+async function createBiometricConsentsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS biometric_consents (
+      consent_id SERIAL PRIMARY KEY,
+      employee_id UUID NOT NULL REFERENCES employee_details(employee_id) ON DELETE CASCADE,
+      consent_version VARCHAR(50) NOT NULL,
+      consented_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      recorded_by INTEGER,
+      source VARCHAR(50),
+      withdrawn_at TIMESTAMP,
+      withdrawn_by INTEGER
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_biometric_consents_employee ON biometric_consents(employee_id)');
+  await db.query('ALTER TABLE employee_details ADD COLUMN IF NOT EXISTS biometrics_erased_at TIMESTAMP');
+}
+
+// Consent sent with an enrollment request (biometric_consent=true, consent_version).
+// Returns { given: false } when absent, or { error } when it can't be accepted.
+function parseConsent(body = {}) {
+  if (String(body.biometric_consent || '').toLowerCase() !== 'true') return { given: false };
+  const version = body.consent_version ? String(body.consent_version) : BIOMETRIC_CONSENT_VERSION;
+  if (version !== BIOMETRIC_CONSENT_VERSION) {
+    return { error: `Consent was given for version ${version}; the current consent text is version ${BIOMETRIC_CONSENT_VERSION}` };
+  }
+  return { given: true, version };
+}
+
+async function recordConsent(employeeId, { version = BIOMETRIC_CONSENT_VERSION, recordedBy, source } = {}, client = db) {
+  await ensureBiometricConsentsTable();
+  const { rows } = await client.query(
+    `INSERT INTO biometric_consents (employee_id, consent_version, recorded_by, source)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [employeeId, version, recordedBy || null, source || null]
+  );
+  return rows[0];
+}
+
+// Latest consent for the current version that hasn't been withdrawn, or null
+async function getActiveConsent(employeeId) {
+  await ensureBiometricConsentsTable();
+  const { rows } = await db.query(
+    `SELECT * FROM biometric_consents
+     WHERE employee_id = $1 AND consent_version = $2 AND withdrawn_at IS NULL
+     ORDER BY consented_at DESC LIMIT 1`,
+    [employeeId, BIOMETRIC_CONSENT_VERSION]
+  );
+  return rows[0] || null;
+}
+
+async function listConsents(employeeId) {
+  await ensureBiometricConsentsTable();
+  const { rows } = await db.query(
+    'SELECT * FROM biometric_consents WHERE employee_id = $1 ORDER BY consented_at DESC, consent_id DESC',
+    [employeeId]
+  );
+  return rows;
+}
+
+// Enrollment is allowed when consent isn't required, is sent with the request, or is on file
+async function hasEnrollmentConsent(employeeId, consent) {
+  if (!BIOMETRIC_CONSENT_REQUIRED || consent.given) return true;
+  return (await getActiveConsent(employeeId)) !== null;
+}
+
+// Right to erasure: delete every face sample, the stored photos (enrollment images
+// and punch snapshots) and the primary vector, and withdraw consent. With anonymize
+// the employee's personal details and portal login are removed too, and stripped
+// from their audit entries; attendance_records stay, linked to the anonymous row.
+async function eraseEmployeeBiometrics(employeeId, { erasedBy, anonymize = false } = {}) {
+  await ensureBiometricConsentsTable();
+  let samples;
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    samples = await removeAllFaceSamples(employeeId, client);
+    await client.query(
+      `UPDATE biometric_consents SET withdrawn_at = NOW(), withdrawn_by = $2
+       WHERE employee_id = $1 AND withdrawn_at IS NULL`,
+      [employeeId, erasedBy || null]
+    );
+    await client.query('UPDATE employee_details SET biometrics_erased_at = NOW() WHERE employee_id = $1', [employeeId]);
+    if (anonymize) {
+      await client.query(
+        `UPDATE employee_details
+         SET employee_name = $2, department = NULL, position = NULL, email = NULL,
+             phone_number = NULL, aadhar_last4 = NULL, employee_code = NULL
+         WHERE employee_id = $1`,
+        [employeeId, ERASED_EMPLOYEE_NAME]
+      );
+      await deletePortalAccount(employeeId, client);
+      await redactAuditEntries('employee', employeeId, ANONYMISED_FIELDS, client);
+    }
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+  await recordEmbeddingChange(employeeId);
+  const snapshotsRemoved = await removeEmployeeSnapshots(employeeId);
+  const imagesRemoved = removeSampleImages(samples);
+  return { samples_removed: samples.length, images_removed: imagesRemoved, snapshots_removed: snapshotsRemoved, anonymized: anonymize };
+}
+
+module.exports = {
+  BIOMETRIC_CONSENT_VERSION,
+  BIOMETRIC_CONSENT_REQUIRED,
+  ensureBiometricConsentsTable,
+  parseConsent,
+  recordConsent,
+  getActiveConsent,
+  listConsents,
+  hasEnrollmentConsent,
+  eraseEmployeeBiometrics,
+};
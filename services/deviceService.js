@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+
+// Columns that are safe to return to API clients (never the secret hash)
+const DEVICE_PUBLIC_COLUMNS = `device_id, device_name, device_key, organization_id, allowed_shift_ids,
+  is_active, last_seen_at, secret_rotated_at, created_at, updated_at`;
+
+// Kiosk registry. Each kiosk authenticates /mark with its device key plus a
+// random secret; only the SHA-256 hash of the secret is stored.
+const ensureDevicesTable = db.memoizeTableSetup('DEVICES', createDevicesTable);
+
+async function createDevicesTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS devices (
+      device_id SERIAL PRIMARY KEY,
+      device_name VARCHAR(255) NOT NULL,
+      device_key VARCHAR(64) NOT NULL UNIQUE,
+      secret_hash VARCHAR(64) NOT NULL,
+      organization_id INTEGER NOT NULL,
+      allowed_shift_ids UUID[] DEFAULT '{}',
+      is_active BOOLEAN DEFAULT true,
+      last_seen_at TIMESTAMP,
+      secret_rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Which kiosk recorded each punch
+  await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS device_id_in INTEGER');
+  await db.query('ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS device_id_out INTEGER');
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function generateDeviceKey() {
+  return `dev_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function generateDeviceSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Returns the active device for the given credentials, or null
+async function findDeviceByCredentials(deviceKey, deviceSecret) {
+  if (!deviceKey || !deviceSecret) return null;
+  await ensureDevicesTable();
+  const { rows } = await db.query(
+    `SELECT ${DEVICE_PUBLIC_COLUMNS}, secret_hash FROM devices WHERE device_key = $1`,
+    [String(deviceKey)]
+  );
+  if (rows.length === 0) return null;
+
+  const device = rows[0];
+  const expected = Buffer.from(device.secret_hash, 'hex');
+  const actual = Buffer.from(hashSecret(deviceSecret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  if (!device.is_active) return null;
+
+  delete device.secret_hash;
+  return device;
+}
+
+async function touchDevice(deviceId) {
+  try {
+    await db.query('UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE device_id = $1', [deviceId]);
+  } catch (e) {
+    console.error('[DEVICES] Error updating last_seen_at:', e.message);
+  }
+}
+
+// True when the device has no shift restriction or the shift is in its allowed list
+function isShiftAllowedForDevice(device, shift) {
+  if (!device || !device.allowed_shift_ids || device.allowed_shift_ids.length === 0) return true;
+  return !!shift && device.allowed_shift_ids.includes(shift.id);
+}
+
+module.exports = {
+  DEVICE_PUBLIC_COLUMNS,
+  ensureDevicesTable,
+  hashSecret,
+  generateDeviceKey,
+  generateDeviceSecret,
+  findDeviceByCredentials,
+  touchDevice,
+  isShiftAllowedForDevice,
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const { hashPassword, verifyPassword } = require('./userService');
+require('dotenv').config();
+
+const EMPLOYEE_TOKEN_EXPIRES_IN = process.env.EMPLOYEE_TOKEN_EXPIRES_IN || '12h';
+const OTP_EXPIRES_MINUTES = parseInt(process.env.EMPLOYEE_OTP_EXPIRES_MINUTES || '10', 10);
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5;
+
+// Token type claim; admin tokens carry a session id instead and are rejected by protectEmployee
+const EMPLOYEE_TOKEN_TYPE = 'employee';
+
+const EMPLOYEE_PROFILE_COLUMNS = `e.employee_id, e.employee_name, e.employee_code, e.department, e.position,
+  e.email, e.phone_number, e.employee_type, e.organization_id,
+  (SELECT organization_name FROM organizations o WHERE o.organization_id = e.organization_id) AS organization_name`;
+
+// Portal login for employees. A row is created when HR sets a password or the
+// employee first asks for an OTP; only hashes of the password and OTP are stored.
+const ensurePortalAccountsTable = db.memoizeTableSetup('PORTAL', createPortalAccountsTable);
+
+async function createPortalAccountsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS employee_portal_accounts (
+      employee_id UUID PRIMARY KEY,
+      password_hash VARCHAR(255),
+      is_active BOOLEAN DEFAULT true,
+      otp_hash VARCHAR(64),
+      otp_expires_at TIMESTAMP,
+      otp_attempts INTEGER DEFAULT 0,
+      otp_sent_at TIMESTAMP,
+      last_login_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+function hashOtp(employeeId, otp) {
+  return crypto.createHash('sha256').update(`${employeeId}:${otp}`).digest('hex');
+}
+
+// Employee codes are not unique across the table; an ambiguous code cannot log in
+async function findEmployeeByCode(employeeCode) {
+  await ensurePortalAccountsTable();
+  const { rows } = await db.query(
+    `SELECT ${EMPLOYEE_PROFILE_COLUMNS},
+       a.password_hash, COALESCE(a.is_active, true) AS portal_active,
+       a.otp_hash, a.otp_expires_at, a.otp_attempts, a.otp_sent_at
+     FROM employee_details e
+     LEFT JOIN employee_portal_accounts a ON a.employee_id = e.employee_id
+     WHERE e.employee_code = $1`,
+    [String(employeeCode || '').trim()]
+  );
+  return rows.length === 1 ? rows[0] : null;
+}
+
+async function findEmployeeProfile(employeeId) {
+  await ensurePortalAccountsTable();
+  const { rows } = await db.query(
+    `SELECT ${EMPLOYEE_PROFILE_COLUMNS}, COALESCE(a.is_active, true) AS portal_active
+     FROM employee_details e
+     LEFT JOIN employee_portal_accounts a ON a.employee_id = e.employee_id
+     WHERE e.employee_id = $1`,
+    [employeeId]
+  );
+  return rows[0] || null;
+}
+
+// Set (or replace) an employee's portal password and optionally enable/disable access
+async function setPortalAccess(employeeId, { password, isActive } = {}) {
+  await ensurePortalAccountsTable();
+  const passwordHash = password ? await hashPassword(password) : null;
+  const active = typeof isActive === 'boolean' ? isActive : null;
+  const { rows } = await db.query(
+    `INSERT INTO employee_portal_accounts (employee_id, password_hash, is_active)
+     VALUES ($1, $2, COALESCE($3, true))
+     ON CONFLICT (employee_id) DO UPDATE
+       SET password_hash = COALESCE($2, employee_portal_accounts.password_hash),
+           is_active = COALESCE($3, employee_portal_accounts.is_active),
+           updated_at = CURRENT_TIMESTAMP
+     RETURNING employee_id, is_active, (password_hash IS NOT NULL) AS has_password, last_login_at, updated_at`,
+    [employeeId, passwordHash, active]
+  );
+  return rows[0];
+}
+
+async function verifyEmployeePassword(employeeCode, password) {
+  const employee = await findEmployeeByCode(employeeCode);
+  if (!employee || !employee.portal_active || !employee.password_hash) {
+    // Same bcrypt cost as a wrong password, so the reply doesn't reveal the code exists
+    await verifyPassword(password, null);
+    return null;
+  }
+  return (await verifyPassword(password, employee.password_hash)) ? employee : null;
+}
+
+// Returns { employee, otp } for a new one-time code, or { employee, retryAfter }
+// when the previous code was sent too recently. Returns null if the code can't log in.
+async function createLoginOtp(employeeCode) {
+  const employee = await findEmployeeByCode(employeeCode);
+  if (!employee || !employee.portal_active) return null;
+
+  if (employee.otp_sent_at) {
+    const elapsed = (Date.now() - new Date(employee.otp_sent_at).getTime()) / 1000;
+    if (elapsed < OTP_RESEND_SECONDS) {
+      return { employee, retryAfter: Math.ceil(OTP_RESEND_SECONDS - elapsed) };
+    }
+  }
+
+  const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + OTP_EXPIRES_MINUTES * 60 * 1000);
+  await db.query(
+    `INSERT INTO employee_portal_accounts (employee_id, otp_hash, otp_expires_at, otp_attempts, otp_sent_at)
+     VALUES ($1, $2, $3, 0, CURRENT_TIMESTAMP)
+     ON CONFLICT (employee_id) DO UPDATE
+       SET otp_hash = $2, otp_expires_at = $3, otp_attempts = 0,
+           otp_sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP`,
+    [employee.employee_id, hashOtp(employee.employee_id, otp), expiresAt]
+  );
+  return { employee, otp, expiresMinutes: OTP_EXPIRES_MINUTES };
+}
+
+// Codes are single-use and stop working after OTP_MAX_ATTEMPTS wrong guesses
+async function verifyLoginOtp(employeeCode, otp) {
+  const employee = await findEmployeeByCode(employeeCode);
+  if (!employee || !employee.portal_active || !employee.otp_hash) return null;
+  if (new Date(employee.otp_expires_at) <= new Date() || employee.otp_attempts >= OTP_MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const expected = Buffer.from(employee.otp_hash, 'hex');
+  const actual = Buffer.from(hashOtp(employee.employee_id, String(otp).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await db.query(
+      'UPDATE employee_portal_accounts SET otp_attempts = otp_attempts + 1 WHERE employee_id = $1',
+      [employee.employee_id]
+    );
+    return null;
+  }
+
+  await db.query(
+    'UPDATE employee_portal_accounts SET otp_hash = NULL, otp_expires_at = NULL, otp_attempts = 0 WHERE employee_id = $1',
+    [employee.employee_id]
+  );
+  return employee;
+}
+
+async function recordEmployeeLogin(employeeId) {
+  await db.query(
+    'UPDATE employee_portal_accounts SET last_login_at = CURRENT_TIMESTAMP WHERE employee_id = $1',
+    [employeeId]
+  );
+}
+
+function generateEmployeeToken(employeeId) {
+  const token = jwt.sign({ employee_id: employeeId, type: EMPLOYEE_TOKEN_TYPE }, process.env.JWT_SECRET, {
+    expiresIn: EMPLOYEE_TOKEN_EXPIRES_IN,
+  });
+  const { exp } = jwt.decode(token);
+  return { token, expires_in: exp - Math.floor(Date.now() / 1000) };
+}
+
+// Strip credential fields before returning an employee to the portal
+function toPublicProfile(employee) {
+  const { password_hash, otp_hash, otp_expires_at, otp_attempts, otp_sent_at, portal_active, ...profile } = employee;
+  return profile;
+}
+
+// client: the caller's transaction client, when the delete is part of one
+async function deletePortalAccount(employeeId, client = db) {
+  await ensurePortalAccountsTable();
+  await client.query('DELETE FROM employee_portal_accounts WHERE employee_id = $1', [employeeId]);
+}
+
+module.exports = {
+  EMPLOYEE_TOKEN_TYPE,
+  ensurePortalAccountsTable,
+  findEmployeeProfile,
+  setPortalAccess,
+  verifyEmployeePassword,
+  createLoginOtp,
+  verifyLoginOtp,
+  recordEmployeeLogin,
+  generateEmployeeToken,
+  toPublicProfile,
+  deletePortalAccount,
+};
@@ -0,0 +1,217 @@
+const db = require('../config/db');
+const { decryptEmbedding } = require('./biometricCryptoService');
+require('dotenv').config();
+
+// FACE_EMBEDDING_INDEX=true keeps every active face sample in memory in the mark
+// service, so /mark matches without the pgvector query
+const FACE_EMBEDDING_INDEX = (process.env.FACE_EMBEDDING_INDEX || 'false').toLowerCase() === 'true';
+// How often the index picks up enrollments and deletions made by the other services
+const FACE_INDEX_SYNC_MS = parseInt(process.env.FACE_INDEX_SYNC_MS || '5000', 10);
+// Change log rows are only needed until every running index has applied them
+const CHANGE_RETENTION_HOURS = 24;
+
+// employee_id -> { organizationId, samples: [{ embeddingId, vector }] }
+let entries = new Map();
+let indexReady = false;
+let lastChangeId = 0;
+let syncTimer = null;
+let syncing = null;
+let syncAgain = false;
+let lastPrunedAt = 0;
+const indexStats = { loaded_at: null, load_ms: null, last_synced_at: null, syncs: 0, full_reloads: 0 };
+
+// One row per change to an employee's enrolled faces (enrollment, re-enrollment,
+// rollback, sample removal, erasure, employee deletion). A NULL employee_id asks
+// for a full reload. Running indexes replay the rows after the last one they saw.
+const ensureFaceEmbeddingChangesTable = db.memoizeTableSetup('FACE-INDEX', createFaceEmbeddingChangesTable);
+
+async function createFaceEmbeddingChangesTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS face_embedding_changes (
+      change_id SERIAL PRIMARY KEY,
+      employee_id UUID,
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Stored vectors read as text: '[...]' from a pgvector column, '{...}' from real[]
+function parseStoredVector(text) {
+  return Float32Array.from(JSON.parse(text.replace(/^\{/, '[').replace(/\}$/, ']')));
+}
+
+// Note that an employee's faces changed (null: everything may have changed).
+// Never throws; an index running in this process applies the change straight away.
+async function recordEmbeddingChange(employeeId) {
+  try {
+    await ensureFaceEmbeddingChangesTable();
+    await db.query('INSERT INTO face_embedding_changes (employee_id) VALUES ($1)', [employeeId || null]);
+  } catch (e) {
+    console.error('[FACE-INDEX] Failed to record change:', e.message);
+    return;
+  }
+  if (indexReady) await syncEmbeddingIndex();
+}
+
+// Active samples of the given employees, or of everyone
+async function loadSamples(employeeIds) {
+  const params = [];
+  let employeeFilter = '';
+  if (employeeIds) {
+    params.push(employeeIds);
+    employeeFilter = 'AND f.employee_id = ANY($1::uuid[])';
+  }
+  const { rows } = await db.query(
+    `SELECT f.employee_id, d.organization_id, f.embedding_id, f.embedding_encrypted, f.embedding::text AS embedding_text
+     FROM face_embeddings f
+     JOIN employee_details d ON d.employee_id = f.employee_id
+     WHERE f.archived_at IS NULL ${employeeFilter}`,
+    params
+  );
+  const loaded = new Map();
+  rows.forEach((row) => {
+    if (!row.embedding_encrypted && !row.embedding_text) return;
+    const vector = row.embedding_encrypted ? decryptEmbedding(row.embedding_encrypted) : parseStoredVector(row.embedding_text);
+    if (!loaded.has(row.employee_id)) loaded.set(row.employee_id, { organizationId: row.organization_id, samples: [] });
+    loaded.get(row.employee_id).samples.push({ embeddingId: row.embedding_id, vector });
+  });
+  return loaded;
+}
+
+async function latestChangeId() {
+  const { rows } = await db.query('SELECT COALESCE(MAX(change_id), 0) AS change_id FROM face_embedding_changes');
+  return rows[0].change_id;
+}
+
+// Load every active sample. Changes recorded while loading are replayed by the next sync.
+async function reloadEmbeddingIndex() {
+  await ensureFaceEmbeddingChangesTable();
+  const startedAt = Date.now();
+  const changeId = await latestChangeId();
+  entries = await loadSamples(null);
+  lastChangeId = Math.max(lastChangeId, changeId);
+  indexReady = true;
+  indexStats.loaded_at = new Date().toISOString();
+  indexStats.load_ms = Date.now() - startedAt;
+  indexStats.full_reloads++;
+  const { employees, samples } = countEntries();
+  console.log(`[FACE-INDEX] Loaded ${samples} face samples of ${employees} employees in ${indexStats.load_ms}ms`);
+}
+
+async function applyIndexChanges() {
+  const { rows } = await db.query(
+    'SELECT change_id, employee_id FROM face_embedding_changes WHERE change_id > $1 ORDER BY change_id',
+    [lastChangeId]
+  );
+  if (rows.length > 0) {
+    const lastSeen = rows[rows.length - 1].change_id;
+    if (rows.some(row => row.employee_id === null)) {
+      await reloadEmbeddingIndex();
+    } else {
+      const employeeIds = [...new Set(rows.map(row => row.employee_id))];
+      const loaded = await loadSamples(employeeIds);
+      employeeIds.forEach((employeeId) => {
+        if (loaded.has(employeeId)) entries.set(employeeId, loaded.get(employeeId));
+        else entries.delete(employeeId);
+      });
+    }
+    lastChangeId = Math.max(lastChangeId, lastSeen);
+  }
+  indexStats.syncs++;
+  indexStats.last_synced_at = new Date().toISOString();
+
+  if (Date.now() - lastPrunedAt > 60 * 60 * 1000) {
+    lastPrunedAt = Date.now();
+    await db.query(
+      `DELETE FROM face_embedding_changes WHERE changed_at < NOW() - make_interval(hours => $1)`,
+      [CHANGE_RETENTION_HOURS]
+    );
+  }
+}
+
+// Apply outstanding changes; a call made while a sync runs queues one more pass
+function syncEmbeddingIndex() {
+  if (syncing) {
+    syncAgain = true;
+    return syncing;
+  }
+  syncing = applyIndexChanges()
+    .catch(e => console.error('[FACE-INDEX] Sync failed:', e.message))
+    .finally(() => {
+      syncing = null;
+      if (syncAgain) {
+        syncAgain = false;
+        syncEmbeddingIndex();
+      }
+    });
+  return syncing;
+}
+
+// Warm the index and keep it in sync every FACE_INDEX_SYNC_MS. If the first load
+// fails, matching stays on the database and the load is retried on the next tick.
+async function startIndexSync() {
+  if (syncTimer) return;
+  syncTimer = setInterval(() => {
+    if (indexReady) syncEmbeddingIndex();
+    else reloadEmbeddingIndex().catch(e => console.error('[FACE-INDEX] Load failed:', e.message));
+  }, FACE_INDEX_SYNC_MS);
+  syncTimer.unref();
+  try {
+    await reloadEmbeddingIndex();
+  } catch (e) {
+    console.error('[FACE-INDEX] Load failed, matching on the database until it succeeds:', e.message);
+  }
+}
+
+function isEmbeddingIndexReady() {
+  return indexReady;
+}
+
+// Closest employees to a probe, each scored by their best sample:
+// [{ employee_id, embedding_id, distance }], closest first
+function searchEmbeddingIndex(embedding, { organizationId, limit = 1 } = {}) {
+  const filterByOrganization = organizationId !== undefined && organizationId !== null;
+  const ranked = [];
+  entries.forEach((entry, employeeId) => {
+    if (filterByOrganization && String(entry.organizationId) !== String(organizationId)) return;
+    let best = null;
+    entry.samples.forEach(({ embeddingId, vector }) => {
+      let sum = 0;
+      for (let i = 0; i < vector.length; i++) sum += (embedding[i] - vector[i]) ** 2;
+      if (!best || sum < best.sum) best = { embeddingId, sum };
+    });
+    if (best) ranked.push({ employee_id: employeeId, embedding_id: best.embeddingId, distance: Math.sqrt(best.sum) });
+  });
+  return ranked.sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
+
+function countEntries() {
+  let samples = 0;
+  entries.forEach((entry) => {
+    samples += entry.samples.length;
+  });
+  return { employees: entries.size, samples };
+}
+
+function getEmbeddingIndexStats() {
+  return {
+    enabled: FACE_EMBEDDING_INDEX,
+    ready: indexReady,
+    ...countEntries(),
+    last_change_id: lastChangeId,
+    sync_interval_ms: FACE_INDEX_SYNC_MS,
+    ...indexStats,
+  };
+}
+
+module.exports = {
+  FACE_EMBEDDING_INDEX,
+  ensureFaceEmbeddingChangesTable,
+  parseStoredVector,
+  recordEmbeddingChange,
+  startIndexSync,
+  syncEmbeddingIndex,
+  isEmbeddingIndexReady,
+  searchEmbeddingIndex,
+  getEmbeddingIndexStats,
+};
@@ -0,0 +1,452 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/db');
+const {
+  isBiometricEncryptionEnabled,
+  encryptEmbedding,
+  decryptEmbedding,
+  encryptFileInPlace,
+  readStoredFile,
+} = require('./biometricCryptoService');
+const {
+  parseStoredVector,
+  recordEmbeddingChange,
+  startIndexSync,
+  isEmbeddingIndexReady,
+  searchEmbeddingIndex,
+} = require('./faceEmbeddingIndexService');
+require('dotenv').config();
+
+// Upper bound on stored samples per employee
+const MAX_FACE_SAMPLES = parseInt(process.env.MAX_FACE_SAMPLES || '10', 10);
+// A new registration this close to an enrolled face is treated as the same person
+const DUPLICATE_FACE_THRESHOLD = parseFloat(process.env.DUPLICATE_FACE_THRESHOLD || '0.45');
+
+const SAMPLE_COLUMNS = 'embedding_id, employee_id, label, image_path, created_by, created_at, archived_at, archived_by';
+
+// false when the pgvector extension isn't installed: vectors are then stored as
+// real[] and matched in this process instead of with the <-> operator
+let pgvectorStorage = true;
+
+// Enrollment gallery: several face samples per employee (glasses, helmet,
+// lighting...). Matching uses the active samples in this table; samples
+// replaced by a re-enrollment are archived (archived_at set) so the change can
+// be rolled back. employee_details.face_embedding mirrors the employee's first
+// active sample. Employees registered before the gallery existed get their
+// single vector copied in as their first sample; linkLegacyEnrollmentPhotos later
+// attaches the photo it was computed from.
+// With BIOMETRIC_ENCRYPTION_KEY set, vectors are kept only in embedding_encrypted
+// (embedding and employee_details.face_embedding stay NULL) and stored images are
+// encrypted; existing plain data is converted when the table is first checked.
+// Without pgvector, employee_details.face_embedding must be real[] as well.
+const ensureFaceEmbeddingsTable = db.memoizeTableSetup('FACE-SAMPLES', createFaceEmbeddingsTable);
+
+async function createFaceEmbeddingsTable() {
+  const { rows: vectorType } = await db.query("SELECT 1 FROM pg_type WHERE typname = 'vector'");
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS face_embeddings (
+      embedding_id SERIAL PRIMARY KEY,
+      employee_id UUID NOT NULL REFERENCES employee_details(employee_id) ON DELETE CASCADE,
+      embedding ${vectorType.length > 0 ? 'vector(128)' : 'REAL[]'},
+      label VARCHAR(100),
+      image_path TEXT,
+      created_by INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('ALTER TABLE face_embeddings ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP');
+  await db.query('ALTER TABLE face_embeddings ADD COLUMN IF NOT EXISTS archived_by INTEGER');
+  await db.query('ALTER TABLE face_embeddings ADD COLUMN IF NOT EXISTS embedding_encrypted TEXT');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_face_embeddings_employee ON face_embeddings(employee_id)');
+  const { rows: column } = await db.query(
+    `SELECT udt_name FROM information_schema.columns
+     WHERE table_name = 'face_embeddings' AND column_name = 'embedding'`
+  );
+  pgvectorStorage = column.length > 0 && column[0].udt_name === 'vector';
+  await db.query(`
+    INSERT INTO face_embeddings (employee_id, embedding, label)
+    SELECT d.employee_id, d.face_embedding, 'registration'
+    FROM employee_details d
+    WHERE d.face_embedding IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM face_embeddings f WHERE f.employee_id = d.employee_id)
+  `);
+  if (isBiometricEncryptionEnabled()) await encryptStoredBiometrics();
+}
+
+// Stored sample images live in UPLOAD_PATH under the name kept in image_path
+function faceImagePath(imagePath) {
+  return path.join(process.env.UPLOAD_PATH || 'uploads/', imagePath);
+}
+
+async function encryptStoredBiometrics() {
+  const { rows } = await db.query(
+    'SELECT embedding_id, embedding::text AS embedding_text FROM face_embeddings WHERE embedding IS NOT NULL'
+  );
+  for (const row of rows) {
+    await db.query(
+      'UPDATE face_embeddings SET embedding_encrypted = $2, embedding = NULL WHERE embedding_id = $1',
+      [row.embedding_id, encryptEmbedding(parseStoredVector(row.embedding_text))]
+    );
+  }
+  await db.query('UPDATE employee_details SET face_embedding = NULL WHERE face_embedding IS NOT NULL');
+
+  const { rows: images } = await db.query('SELECT image_path FROM face_embeddings WHERE image_path IS NOT NULL');
+  let encryptedImages = 0;
+  images.forEach(({ image_path: imagePath }) => {
+    try {
+      if (encryptFileInPlace(faceImagePath(imagePath))) encryptedImages++;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('[FACE-SAMPLES] Could not encrypt image', imagePath, e.message);
+    }
+  });
+  if (rows.length > 0 || encryptedImages > 0) {
+    console.log(`[FACE-SAMPLES] Encrypted ${rows.length} stored embeddings and ${encryptedImages} images`);
+  }
+}
+
+// Encrypt a newly stored sample image when biometric encryption is on
+function protectStoredImage(filePath) {
+  if (isBiometricEncryptionEnabled()) encryptFileInPlace(filePath);
+}
+
+// Text form of a vector for the embedding columns (pgvector or real[])
+function toVectorLiteral(embedding) {
+  const values = Array.from(embedding).join(',');
+  return pgvectorStorage ? `[${values}]` : `{${values}}`;
+}
+
+// Active samples only, unless includeArchived is set
+async function listFaceSamples(employeeId, { includeArchived = false } = {}) {
+  await ensureFaceEmbeddingsTable();
+  const { rows } = await db.query(
+    `SELECT ${SAMPLE_COLUMNS} FROM face_embeddings
+     WHERE employee_id = $1${includeArchived ? '' : ' AND archived_at IS NULL'}
+     ORDER BY created_at ASC, embedding_id ASC`,
+    [employeeId]
+  );
+  return rows;
+}
+
+async function findFaceSample(employeeId, embeddingId) {
+  await ensureFaceEmbeddingsTable();
+  const { rows } = await db.query(
+    `SELECT ${SAMPLE_COLUMNS} FROM face_embeddings WHERE employee_id = $1 AND embedding_id = $2`,
+    [employeeId, embeddingId]
+  );
+  return rows[0] || null;
+}
+
+// Active samples
+async function countFaceSamples(employeeId) {
+  await ensureFaceEmbeddingsTable();
+  const { rows } = await db.query(
+    'SELECT COUNT(*) AS count FROM face_embeddings WHERE employee_id = $1 AND archived_at IS NULL',
+    [employeeId]
+  );
+  return parseInt(rows[0].count, 10);
+}
+
+// Point employee_details.face_embedding at the first active sample
+async function syncPrimaryEmbedding(employeeId) {
+  await db.query(
+    `UPDATE employee_details SET face_embedding = (
+       SELECT f.embedding FROM face_embeddings f
+       WHERE f.employee_id = $1 AND f.archived_at IS NULL
+       ORDER BY f.created_at ASC, f.embedding_id ASC LIMIT 1
+     )
+     WHERE employee_id = $1`,
+    [employeeId]
+  );
+}
+
+async function addFaceSample(employeeId, embedding, { label, imagePath, createdBy } = {}, client = null) {
+  await ensureFaceEmbeddingsTable();
+  const encrypted = isBiometricEncryptionEnabled();
+  const { rows } = await (client || db).query(
+    `INSERT INTO face_embeddings (employee_id, embedding, embedding_encrypted, label, image_path, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${SAMPLE_COLUMNS}`,
+    [
+      employeeId,
+      encrypted ? null : toVectorLiteral(embedding),
+      encrypted ? encryptEmbedding(embedding) : null,
+      label || null,
+      imagePath || null,
+      createdBy || null
+    ]
+  );
+  // Inside a transaction the caller records the change once it has committed
+  if (!client) await recordEmbeddingChange(employeeId);
+  return rows[0];
+}
+
+// Re-enrollment: the new sample becomes the only active one and the previous
+// active samples are archived. Returns { sample, archived }.
+async function replaceFaceSamples(employeeId, embedding, { label, imagePath, createdBy } = {}) {
+  const sample = await addFaceSample(employeeId, embedding, { label, imagePath, createdBy });
+  const { rows: archived } = await db.query(
+    `UPDATE face_embeddings SET archived_at = NOW(), archived_by = $3
+     WHERE employee_id = $1 AND embedding_id <> $2 AND archived_at IS NULL
+     RETURNING ${SAMPLE_COLUMNS}`,
+    [employeeId, sample.embedding_id, createdBy || null]
+  );
+  await syncPrimaryEmbedding(employeeId);
+  await recordEmbeddingChange(employeeId);
+  return { sample, archived };
+}
+
+// Undo the last re-enrollment: restore the most recently archived samples and
+// archive the current ones. Returns { restored, archived }, or null if nothing is archived.
+async function rollbackFaceEnrollment(employeeId, userId) {
+  await ensureFaceEmbeddingsTable();
+  const { rows: previous } = await db.query(
+    `SELECT embedding_id FROM face_embeddings
+     WHERE employee_id = $1
+       AND archived_at = (SELECT MAX(archived_at) FROM face_embeddings WHERE employee_id = $1)`,
+    [employeeId]
+  );
+  if (previous.length === 0) return null;
+
+  const { rows: archived } = await db.query(
+    `UPDATE face_embeddings SET archived_at = NOW(), archived_by = $2
+     WHERE employee_id = $1 AND archived_at IS NULL
+     RETURNING ${SAMPLE_COLUMNS}`,
+    [employeeId, userId || null]
+  );
+  const { rows: restored } = await db.query(
+    `UPDATE face_embeddings SET archived_at = NULL, archived_by = NULL
+     WHERE employee_id = $1 AND embedding_id = ANY($2::int[])
+     RETURNING ${SAMPLE_COLUMNS}`,
+    [employeeId, previous.map(row => row.embedding_id)]
+  );
+  await syncPrimaryEmbedding(employeeId);
+  await recordEmbeddingChange(employeeId);
+  return { restored, archived };
+}
+
+// Returns the deleted sample, or null if it doesn't belong to the employee
+async function removeFaceSample(employeeId, embeddingId) {
+  await ensureFaceEmbeddingsTable();
+  const { rows } = await db.query(
+    `DELETE FROM face_embeddings WHERE employee_id = $1 AND embedding_id = $2
+     RETURNING ${SAMPLE_COLUMNS}`,
+    [employeeId, embeddingId]
+  );
+  if (rows.length === 0) return null;
+  await syncPrimaryEmbedding(employeeId);
+  await recordEmbeddingChange(employeeId);
+  return rows[0];
+}
+
+// Erasure and employee deletion: delete every sample, active or archived, and the primary vector.
+// Runs on the caller's transaction client; the caller records the index change
+// once it has committed. Returns the deleted samples so their images can be removed.
+async function removeAllFaceSamples(employeeId, client) {
+  await ensureFaceEmbeddingsTable();
+  const { rows } = await client.query(
+    `DELETE FROM face_embeddings WHERE employee_id = $1 RETURNING ${SAMPLE_COLUMNS}`,
+    [employeeId]
+  );
+  await client.query('UPDATE employee_details SET face_embedding = NULL WHERE employee_id = $1', [employeeId]);
+  return rows;
+}
+
+// Delete the stored images of removed samples. Returns the number deleted.
+function removeSampleImages(samples) {
+  let removed = 0;
+  samples.forEach((sample) => {
+    if (!sample.image_path) return;
+    try {
+      fs.unlinkSync(faceImagePath(sample.image_path));
+      removed++;
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn('[FACE-SAMPLES] Could not remove image', sample.image_path, e.message);
+    }
+  });
+  return removed;
+}
+
+// Closest employees to a probe embedding, each scored by their best sample.
+// organizationId limits the search (kiosk devices); limit is the number of employees returned.
+// Served from the in-memory index once it is loaded (FACE_EMBEDDING_INDEX, mark service).
+async function findClosestEmployees(embedding, { organizationId, limit = 1 } = {}) {
+  if (isEmbeddingIndexReady()) return findClosestEmployeesIndexed(embedding, { organizationId, limit });
+  await ensureFaceEmbeddingsTable();
+  if (isBiometricEncryptionEnabled() || !pgvectorStorage) {
+    return findClosestEmployeesScan(embedding, { organizationId, limit });
+  }
+  const params = [toVectorLiteral(embedding)];
+  let orgFilter = '';
+  if (organizationId !== undefined && organizationId !== null) {
+    params.push(organizationId);
+    orgFilter = `WHERE d.organization_id = $${params.length}`;
+  }
+  params.push(limit);
+  const { rows } = await db.query(
+    `SELECT d.employee_id, d.employee_name, d.employee_type, d.organization_id, m.embedding_id, m.distance
+     FROM (
+       SELECT DISTINCT ON (f.employee_id) f.employee_id, f.embedding_id, f.embedding <-> $1::vector AS distance
+       FROM face_embeddings f
+       WHERE f.archived_at IS NULL AND f.embedding IS NOT NULL
+       ORDER BY f.employee_id, distance ASC
+     ) m
+     JOIN employee_details d ON d.employee_id = m.employee_id
+     ${orgFilter}
+     ORDER BY m.distance ASC
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+// Ranked by the index; the employee details are read by primary key, which also
+// drops anyone deleted since the index last synced
+async function findClosestEmployeesIndexed(embedding, { organizationId, limit }) {
+  const ranked = searchEmbeddingIndex(embedding, { organizationId, limit });
+  if (ranked.length === 0) return [];
+  const { rows } = await db.query(
+    `SELECT employee_id, employee_name, employee_type, organization_id
+     FROM employee_details WHERE employee_id = ANY($1::uuid[])`,
+    [ranked.map(match => match.employee_id)]
+  );
+  const details = new Map(rows.map(row => [row.employee_id, row]));
+  return ranked
+    .filter(match => details.has(match.employee_id))
+    .map(match => ({ ...details.get(match.employee_id), embedding_id: match.embedding_id, distance: match.distance }));
+}
+
+// Encrypted vectors (and real[] ones, without pgvector) can't be searched in SQL, so
+// the active samples are read and compared here; rows not yet encrypted are read as plain vectors
+async function findClosestEmployeesScan(embedding, { organizationId, limit }) {
+  const params = [];
+  let orgFilter = '';
+  if (organizationId !== undefined && organizationId !== null) {
+    params.push(organizationId);
+    orgFilter = `AND d.organization_id = $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `SELECT d.employee_id, d.employee_name, d.employee_type, d.organization_id, f.embedding_id,
+            f.embedding_encrypted, f.embedding::text AS embedding_text
+     FROM face_embeddings f
+     JOIN employee_details d ON d.employee_id = f.employee_id
+     WHERE f.archived_at IS NULL ${orgFilter}`,
+    params
+  );
+
+  const best = new Map();
+  rows.forEach(({ embedding_encrypted: encrypted, embedding_text: text, ...row }) => {
+    if (!encrypted && !text) return;
+    const stored = encrypted ? decryptEmbedding(encrypted) : parseStoredVector(text);
+    let sum = 0;
+    for (let i = 0; i < stored.length; i++) sum += (embedding[i] - stored[i]) ** 2;
+    const distance = Math.sqrt(sum);
+    const current = best.get(row.employee_id);
+    if (!current || distance < current.distance) best.set(row.employee_id, { ...row, distance });
+  });
+  return [...best.values()].sort((a, b) => a.distance - b.distance).slice(0, limit);
+}
+
+// Enrolled employee, in any organization, whose face is within DUPLICATE_FACE_THRESHOLD
+// of the probe, or null. Searching every organization catches the same person being
+// registered again under a different organization.
+async function findDuplicateEmployee(embedding) {
+  const [closest] = await findClosestEmployees(embedding, { limit: 1 });
+  if (!closest || closest.distance > DUPLICATE_FACE_THRESHOLD) return null;
+  const { rows } = await db.query('SELECT employee_code FROM employee_details WHERE employee_id = $1', [closest.employee_id]);
+  return { ...closest, employee_code: rows[0]?.employee_code || null };
+}
+
+// Registrations before the gallery saved their photo as UPLOAD_PATH/emp-<ms>.<ext>
+// and recorded it nowhere
+const LEGACY_PHOTO_PATTERN = /^emp-\d+\.\w+$/;
+// The backfilled vector was computed from the photo itself, so re-embedding it with
+// the same model lands far closer than any two different photos do
+const LEGACY_PHOTO_MATCH_DISTANCE = 0.05;
+
+// Register service start-up: give each backfilled 'registration' sample the photo
+// it came from, so the photo is encrypted and erased with the employee's other
+// biometrics. embedImage(buffer) returns a face vector. Photos that match no sample
+// are left in place (encrypted when biometric encryption is on) and reported.
+async function linkLegacyEnrollmentPhotos(embedImage) {
+  await ensureFaceEmbeddingsTable();
+  const uploadDir = process.env.UPLOAD_PATH || 'uploads/';
+  if (!fs.existsSync(uploadDir)) return { linked: 0, unmatched: 0 };
+  const { rows: referenced } = await db.query('SELECT image_path FROM face_embeddings WHERE image_path IS NOT NULL');
+  const known = new Set(referenced.map(row => row.image_path));
+  const photos = fs.readdirSync(uploadDir).filter(file => LEGACY_PHOTO_PATTERN.test(file) && !known.has(file));
+  if (photos.length === 0) return { linked: 0, unmatched: 0 };
+
+  const { rows } = await db.query(
+    `SELECT embedding_id, embedding_encrypted, embedding::text AS embedding_text
+     FROM face_embeddings WHERE label = 'registration' AND image_path IS NULL`
+  );
+  const candidates = rows
+    .filter(row => row.embedding_encrypted || row.embedding_text)
+    .map(row => ({
+      embeddingId: row.embedding_id,
+      vector: row.embedding_encrypted ? decryptEmbedding(row.embedding_encrypted) : parseStoredVector(row.embedding_text),
+    }));
+
+  let linked = 0;
+  const unmatched = [];
+  for (const photo of photos) {
+    let match = null;
+    if (candidates.length > 0) {
+      try {
+        const embedding = await embedImage(readStoredFile(faceImagePath(photo)));
+        candidates.forEach((candidate) => {
+          let sum = 0;
+          for (let i = 0; i < candidate.vector.length; i++) sum += (embedding[i] - candidate.vector[i]) ** 2;
+          const distance = Math.sqrt(sum);
+          if (distance <= LEGACY_PHOTO_MATCH_DISTANCE && (!match || distance < match.distance)) match = { candidate, distance };
+        });
+      } catch (e) {
+        console.warn('[FACE-SAMPLES] Could not read legacy photo', photo, e.message);
+      }
+    }
+    if (match) {
+      await db.query(
+        'UPDATE face_embeddings SET image_path = $2 WHERE embedding_id = $1 AND image_path IS NULL',
+        [match.candidate.embeddingId, photo]
+      );
+      candidates.splice(candidates.indexOf(match.candidate), 1);
+      linked++;
+    } else {
+      unmatched.push(photo);
+    }
+    if (isBiometricEncryptionEnabled()) encryptFileInPlace(faceImagePath(photo));
+  }
+  console.log(`[FACE-SAMPLES] Linked ${linked} legacy enrollment photos to their employees`);
+  if (unmatched.length > 0) {
+    console.warn(`[FACE-SAMPLES] ${unmatched.length} legacy photos match no enrolled employee and were left in ${uploadDir}: ${unmatched.join(', ')}`);
+  }
+  return { linked, unmatched: unmatched.length };
+}
+
+// Mark service start-up: load the in-memory index and keep it in sync
+async function startEmbeddingIndex() {
+  await ensureFaceEmbeddingsTable();
+  await startIndexSync();
+}
+
+module.exports = {
+  MAX_FACE_SAMPLES,
+  DUPLICATE_FACE_THRESHOLD,
+  ensureFaceEmbeddingsTable,
+  toVectorLiteral,
+  faceImagePath,
+  protectStoredImage,
+  listFaceSamples,
+  findFaceSample,
+  countFaceSamples,
+  addFaceSample,
+  replaceFaceSamples,
+  rollbackFaceEnrollment,
+  removeFaceSample,
+  removeAllFaceSamples,
+  removeSampleImages,
+  findClosestEmployees,
+  findDuplicateEmployee,
+  linkLegacyEnrollmentPhotos,
+  startEmbeddingIndex,
+};
@@ -0,0 +1,221 @@
+const path = require('path');
+const os = require('os');
+const { Worker } = require('worker_threads');
+require('dotenv').config();
+
+// Inference workers per process; 0 runs face-api on the main thread (previous behaviour)
+const FACE_WORKERS = Math.max(parseInt(process.env.FACE_WORKERS ?? String(Math.min(2, os.cpus().length)), 10) || 0, 0);
+// Jobs allowed to wait for a free worker before new ones are refused with FACE_BUSY
+const FACE_QUEUE_MAX = Math.max(parseInt(process.env.FACE_QUEUE_MAX || '20', 10), 0);
+// A job running longer than this is failed and its worker replaced
+const FACE_TASK_TIMEOUT_MS = parseInt(process.env.FACE_TASK_TIMEOUT_MS || '30000', 10);
+// Number of recent jobs the latency stats are computed over
+const LATENCY_SAMPLE_SIZE = 200;
+
+const WORKER_SCRIPT = path.join(__dirname, 'faceInferenceWorker.js');
+
+const workers = [];
+const queue = [];
+const latencies = [];
+const counters = { completed: 0, failed: 0, rejected: 0, timed_out: 0, restarts: 0 };
+let nextJobId = 1;
+let startPromise = null;
+// Detector the workers load (see DETECTOR_BACKENDS in faceRecognitionService)
+let poolDetector = null;
+
+function poolEnabled() {
+  return FACE_WORKERS > 0;
+}
+
+function busyError() {
+  const error = new Error('Face recognition is busy. Please try again shortly.');
+  error.code = 'FACE_BUSY';
+  error.retryAfter = estimateRetryAfterSeconds();
+  return error;
+}
+
+// Errors from a worker arrive as plain objects; keep the fields routes rely on
+function toError(serialized) {
+  const error = new Error(serialized.message);
+  ['code', 'reasons', 'quality'].forEach(key => {
+    if (serialized[key] !== undefined) error[key] = serialized[key];
+  });
+  return error;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function estimateRetryAfterSeconds() {
+  const runMs = average(latencies.map(l => l.run)) || 5000;
+  const waves = Math.ceil((queue.length + 1) / Math.max(workers.length, 1));
+  return Math.max(1, Math.ceil((waves * runMs) / 1000));
+}
+
+function spawnWorker() {
+  const slot = {
+    worker: new Worker(WORKER_SCRIPT, { workerData: { detector: poolDetector } }),
+    job: null,
+    timer: null,
+    ready: false,
+    restart: false,
+    models: null,
+  };
+  workers.push(slot);
+
+  slot.readyPromise = new Promise((resolve, reject) => {
+    slot.worker.on('message', (message) => {
+      if (message.type === 'ready') {
+        slot.ready = true;
+        slot.models = message.models;
+        resolve();
+        dispatch();
+      } else if (message.type === 'load_error') {
+        reject(toError(message.error));
+      } else if (message.type === 'result') {
+        finishJob(slot, message);
+      }
+    });
+    slot.worker.on('error', (err) => {
+      console.error('[FACE-POOL] Worker error:', err);
+      if (!slot.ready) reject(err);
+    });
+    slot.worker.on('exit', (code) => {
+      const index = workers.indexOf(slot);
+      if (index !== -1) workers.splice(index, 1);
+      clearTimeout(slot.timer);
+      if (slot.job) {
+        counters.failed++;
+        slot.job.reject(new Error('Face recognition worker stopped unexpectedly'));
+        slot.job = null;
+      }
+      // Replace workers that die after start-up or are stopped by a timeout; a failed
+      // model load is reported by startPool
+      if (slot.ready || slot.restart) {
+        console.warn(`[FACE-POOL] Worker exited with code ${code}, starting a replacement`);
+        counters.restarts++;
+        spawnWorker().readyPromise.catch((e) => console.error('[FACE-POOL] Replacement worker failed:', e.message));
+      }
+    });
+  });
+  return slot;
+}
+
+function finishJob(slot, message) {
+  const job = slot.job;
+  clearTimeout(slot.timer);
+  slot.job = null;
+  if (job) {
+    latencies.push({ wait: job.startedAt - job.queuedAt, run: Date.now() - job.startedAt });
+    if (latencies.length > LATENCY_SAMPLE_SIZE) latencies.shift();
+    if (message.error) {
+      counters.failed++;
+      job.reject(toError(message.error));
+    } else {
+      counters.completed++;
+      job.resolve(message.result);
+    }
+  }
+  dispatch();
+}
+
+function dispatch() {
+  for (const slot of workers) {
+    if (queue.length === 0) return;
+    if (!slot.ready || slot.job) continue;
+    const job = queue.shift();
+    job.startedAt = Date.now();
+    slot.job = job;
+    slot.timer = setTimeout(() => {
+      console.error(`[FACE-POOL] ${job.task} exceeded ${FACE_TASK_TIMEOUT_MS}ms, restarting worker`);
+      counters.timed_out++;
+      // Out of rotation now; the exit handler starts the replacement
+      slot.ready = false;
+      slot.restart = true;
+      slot.job = null;
+      job.reject(new Error('Face recognition timed out'));
+      slot.worker.terminate();
+    }, FACE_TASK_TIMEOUT_MS);
+    slot.worker.postMessage({ id: job.id, task: job.task, args: job.args });
+  }
+}
+
+// Start FACE_WORKERS workers running the given detector; resolves once every
+// worker has loaded the models
+function startPool(detector) {
+  if (!startPromise) {
+    poolDetector = detector;
+    console.log(`[FACE-POOL] Starting ${FACE_WORKERS} face inference worker(s) (detector: ${detector}), queue limit ${FACE_QUEUE_MAX}`);
+    const slots = Array.from({ length: FACE_WORKERS }, () => spawnWorker());
+    startPromise = Promise.all(slots.map(slot => slot.readyPromise)).catch((e) => {
+      slots.forEach(slot => {
+        slot.ready = false;
+        slot.worker.terminate();
+      });
+      startPromise = null;
+      throw e;
+    });
+  }
+  return startPromise;
+}
+
+// Queue a task for the next free worker. Rejects with code FACE_BUSY (and
+// retryAfter, in seconds) when every worker is busy and the queue is full.
+function runTask(task, args) {
+  const idle = workers.some(slot => slot.ready && !slot.job);
+  if (!idle && queue.length >= FACE_QUEUE_MAX) {
+    counters.rejected++;
+    return Promise.reject(busyError());
+  }
+  return new Promise((resolve, reject) => {
+    queue.push({ id: nextJobId++, task, args, resolve, reject, queuedAt: Date.now() });
+    dispatch();
+  });
+}
+
+function getPoolStats() {
+  const waits = latencies.map(l => l.wait);
+  const runs = latencies.map(l => l.run);
+  return {
+    enabled: poolEnabled(),
+    workers: workers.length,
+    busy_workers: workers.filter(slot => slot.job).length,
+    queue_depth: queue.length,
+    queue_limit: FACE_QUEUE_MAX,
+    ...counters,
+    latency_ms: {
+      samples: latencies.length,
+      avg_wait: Math.round(average(waits)),
+      avg_run: Math.round(average(runs)),
+      p95_wait: percentile(waits, 95),
+      p95_run: percentile(runs, 95),
+    },
+  };
+}
+
+function getPoolDetector() {
+  return poolDetector;
+}
+
+// Model status each running worker reported when it finished loading
+function getWorkerModelStatus() {
+  return workers.map(slot => (slot.ready ? slot.models : { ready: false }));
+}
+
+module.exports = {
+  FACE_WORKERS,
+  FACE_QUEUE_MAX,
+  poolEnabled,
+  startPool,
+  runTask,
+  getPoolStats,
+  getPoolDetector,
+  getWorkerModelStatus,
+};
@@ -0,0 +1,36 @@
+// Worker thread for faceInferencePool: loads the models once, then runs
+// faceRecognitionService tasks off the main event loop.
+const { parentPort, workerData } = require('worker_threads');
+const { loadModelsInProcess, getModelStatus, INFERENCE_TASKS } = require('./faceRecognitionService');
+
+// Buffers arrive as plain Uint8Arrays after structured cloning
+function toBuffer(value) {
+  if (Array.isArray(value)) return value.map(toBuffer);
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  return value;
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    code: error.code,
+    reasons: error.reasons,
+    quality: error.quality,
+  };
+}
+
+parentPort.on('message', async ({ id, task, args }) => {
+  try {
+    const [images, ...rest] = args;
+    const result = await INFERENCE_TASKS[task](toBuffer(images), ...rest);
+    parentPort.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', id, error: serializeError(error) });
+  }
+});
+
+loadModelsInProcess(workerData.detector)
+  .then(() => parentPort.postMessage({ type: 'ready', models: getModelStatus() }))
+  .catch((error) => parentPort.postMessage({ type: 'load_error', error: serializeError(error) }));
@@ -0,0 +1,180 @@
+const db = require('../config/db');
+require('dotenv').config();
+
+// Built-in tuning, used wherever an organization or employee has no override
+const FACE_MATCH_DEFAULTS = {
+  // Max descriptor distance accepted as the same person
+  match_threshold: parseFloat(process.env.FACE_MATCH_THRESHOLD || '0.45'),
+  // Min distance gap between the best and second-best candidate (see /mark)
+  match_margin: parseFloat(process.env.FACE_MATCH_MARGIN || '0.05'),
+  // Face detector score below which a detection is ignored
+  min_detection_confidence: parseFloat(process.env.FACE_DETECTION_MIN_CONFIDENCE || '0.5'),
+};
+
+// Accepted range for each setting
+const SETTING_RANGES = {
+  match_threshold: { min: 0.05, max: 1.5 },
+  match_margin: { min: 0, max: 0.5 },
+  min_detection_confidence: { min: 0.05, max: 0.99 },
+};
+
+const ORGANIZATION_SETTINGS = ['match_threshold', 'match_margin', 'min_detection_confidence'];
+// Detection runs before we know who is in front of the camera, so it can't vary per employee
+const EMPLOYEE_SETTINGS = ['match_threshold', 'match_margin'];
+
+// Overrides only: a NULL column means "inherit" (employee -> organization -> defaults)
+const ensureFaceSettingsTables = db.memoizeTableSetup('FACE-SETTINGS', createFaceSettingsTables);
+
+async function createFaceSettingsTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS organization_face_settings (
+      organization_id INTEGER PRIMARY KEY REFERENCES organizations(organization_id) ON DELETE CASCADE,
+      match_threshold REAL,
+      match_margin REAL,
+      min_detection_confidence REAL,
+      updated_by INTEGER,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS employee_face_settings (
+      employee_id UUID PRIMARY KEY REFERENCES employee_details(employee_id) ON DELETE CASCADE,
+      match_threshold REAL,
+      match_margin REAL,
+      updated_by INTEGER,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Pick the allowed settings out of a request body.
+// Returns { values } or { error }; null clears an override, omitted keys are left alone.
+function parseSettings(body, allowed) {
+  const values = {};
+  for (const key of allowed) {
+    if (!body || body[key] === undefined) continue;
+    if (body[key] === null) {
+      values[key] = null;
+      continue;
+    }
+    const value = Number(body[key]);
+    const { min, max } = SETTING_RANGES[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${key} must be a number between ${min} and ${max}` };
+    }
+    values[key] = value;
+  }
+  if (Object.keys(values).length === 0) {
+    return { error: `Provide at least one of: ${allowed.join(', ')}` };
+  }
+  return { values };
+}
+
+function pickOverrides(row, keys) {
+  const overrides = {};
+  keys.forEach(key => {
+    overrides[key] = row && row[key] !== null && row[key] !== undefined ? Number(row[key]) : null;
+  });
+  return overrides;
+}
+
+function applyOverrides(base, overrides) {
+  const merged = { ...base };
+  Object.keys(overrides).forEach(key => {
+    if (overrides[key] !== null) merged[key] = overrides[key];
+  });
+  return merged;
+}
+
+async function getOrganizationOverrides(organizationId) {
+  await ensureFaceSettingsTables();
+  const { rows } = await db.query(
+    'SELECT * FROM organization_face_settings WHERE organization_id = $1',
+    [organizationId]
+  );
+  return pickOverrides(rows[0], ORGANIZATION_SETTINGS);
+}
+
+async function getEmployeeOverrides(employeeId) {
+  await ensureFaceSettingsTables();
+  const { rows } = await db.query(
+    'SELECT * FROM employee_face_settings WHERE employee_id = $1',
+    [employeeId]
+  );
+  return pickOverrides(rows[0], EMPLOYEE_SETTINGS);
+}
+
+// Settings in force for an organization and, optionally, one employee in it.
+// With only employeeId, the employee's own organization is used.
+async function getEffectiveFaceSettings({ organizationId, employeeId } = {}) {
+  await ensureFaceSettingsTables();
+  let orgId = organizationId;
+  if ((orgId === undefined || orgId === null) && employeeId) {
+    const { rows } = await db.query('SELECT organization_id FROM employee_details WHERE employee_id = $1', [employeeId]);
+    orgId = rows[0] ? rows[0].organization_id : null;
+  }
+
+  let settings = { ...FACE_MATCH_DEFAULTS };
+  if (orgId !== undefined && orgId !== null) {
+    settings = applyOverrides(settings, await getOrganizationOverrides(orgId));
+  }
+  if (employeeId) {
+    settings = applyOverrides(settings, await getEmployeeOverrides(employeeId));
+  }
+  return settings;
+}
+
+async function upsertOverrides(table, keyColumn, keyValue, values, userId) {
+  await ensureFaceSettingsTables();
+  const columns = Object.keys(values);
+  const params = [keyValue, userId || null, ...columns.map(column => values[column])];
+  const { rows } = await db.query(
+    `INSERT INTO ${table} (${keyColumn}, updated_by, ${columns.join(', ')})
+     VALUES ($1, $2, ${columns.map((_c, i) => `$${i + 3}`).join(', ')})
+     ON CONFLICT (${keyColumn}) DO UPDATE
+       SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')},
+           updated_by = $2, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    params
+  );
+  return rows[0];
+}
+
+async function setOrganizationOverrides(organizationId, values, userId) {
+  const row = await upsertOverrides('organization_face_settings', 'organization_id', organizationId, values, userId);
+  return pickOverrides(row, ORGANIZATION_SETTINGS);
+}
+
+async function setEmployeeOverrides(employeeId, values, userId) {
+  const row = await upsertOverrides('employee_face_settings', 'employee_id', employeeId, values, userId);
+  return pickOverrides(row, EMPLOYEE_SETTINGS);
+}
+
+// Returns true if there were overrides to remove
+async function clearOrganizationOverrides(organizationId) {
+  await ensureFaceSettingsTables();
+  const result = await db.query('DELETE FROM organization_face_settings WHERE organization_id = $1', [organizationId]);
+  return result.rowCount > 0;
+}
+
+async function clearEmployeeOverrides(employeeId) {
+  await ensureFaceSettingsTables();
+  const result = await db.query('DELETE FROM employee_face_settings WHERE employee_id = $1', [employeeId]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  FACE_MATCH_DEFAULTS,
+  SETTING_RANGES,
+  ORGANIZATION_SETTINGS,
+  EMPLOYEE_SETTINGS,
+  ensureFaceSettingsTables,
+  parseSettings,
+  getOrganizationOverrides,
+  getEmployeeOverrides,
+  getEffectiveFaceSettings,
+  setOrganizationOverrides,
+  setEmployeeOverrides,
+  clearOrganizationOverrides,
+  clearEmployeeOverrides,
+};
@@ -1,7 +1,12 @@
+const fs = require('fs');
 const path = require('path');
+const { isMainThread } = require('worker_threads');
 const { createCanvas, loadImage } = require('canvas');
 const faceapi = require('face-api.js');
 const canvas = require('canvas');
+const {
+  poolEnabled, startPool, runTask, getPoolStats, getPoolDetector, getWorkerModelStatus
+} = require('./faceInferencePool');
 
 faceapi.env.monkeyPatch({
   Canvas: canvas.Canvas,
@@ -10,40 +15,166 @@ faceapi.env.monkeyPatch({
 });
 
 const MODEL_PATH = path.join(__dirname, '../models');
-let useTinyFaceDetector = false;
+// Detector score threshold when the caller doesn't pass one (see faceMatchSettingsService)
+const DEFAULT_MIN_CONFIDENCE = 0.5;
 
-async function loadModels() {
-  try {
-    console.log('Loading face-api models...');
-    await faceapi.tf.ready();
+// Image quality limits for enrollment and marking
+const QUALITY_LIMITS = {
+  // Variance of the Laplacian over the face crop; lower is blurrier
+  minSharpness: parseFloat(process.env.QUALITY_MIN_SHARPNESS || '40'),
+  // Mean grey level of the face crop (0-255)
+  minBrightness: parseFloat(process.env.QUALITY_MIN_BRIGHTNESS || '50'),
+  maxBrightness: parseFloat(process.env.QUALITY_MAX_BRIGHTNESS || '210'),
+  // Face box width as a fraction of the image width
+  minFaceRatio: parseFloat(process.env.QUALITY_MIN_FACE_RATIO || '0.12'),
+  // Estimated head pose, in degrees
+  maxYaw: parseFloat(process.env.QUALITY_MAX_YAW || '30'),
+  maxPitch: parseFloat(process.env.QUALITY_MAX_PITCH || '25'),
+  maxRoll: parseFloat(process.env.QUALITY_MAX_ROLL || '20'),
+};
+// Face crops are scaled to this size before measuring sharpness and brightness,
+// so the scores don't depend on the camera resolution
+const QUALITY_CROP_SIZE = 112;
+// Nose-to-eye-line distance as a fraction of eye-line-to-chin for a level head
+const NEUTRAL_PITCH_RATIO = 0.4;
+// Group check-in: people stand further back, so smaller faces are accepted, and the
+// frame is kept at a higher resolution so they can still be detected
+const GROUP_MIN_FACE_RATIO = parseFloat(process.env.QUALITY_GROUP_MIN_FACE_RATIO || '0.04');
+const GROUP_MAX_FACES = parseInt(process.env.GROUP_MAX_FACES || '20', 10);
+const GROUP_IMAGE_MAX_WIDTH = 1280;
+// Face detectors the services can run. The landmark and recognition nets are shared;
+// only the detector (and its options) differs. A new backend is an entry here plus
+// its weights in MODEL_PATH. Only the ssd weights ship with the repo; to use tiny,
+// copy tiny_face_detector_model-weights_manifest.json and tiny_face_detector_model-shard1
+// from the face-api.js weights folder into MODEL_PATH.
+const FACE_API_WEIGHTS_URL = 'https://github.com/justadudewhohacks/face-api.js/tree/master/weights';
+const DETECTOR_BACKENDS = {
+  ssd: {
+    weights: 'ssd_mobilenetv1_model',
+    net: faceapi.nets.ssdMobilenetv1,
+    options: (minConfidence) => new faceapi.SsdMobilenetv1Options({ minConfidence }),
+    // Face-only detection (no landmarks) for the kiosk face box
+    fastOptions: (minConfidence) => new faceapi.SsdMobilenetv1Options({ minConfidence }),
+  },
+  tiny: {
+    weights: 'tiny_face_detector_model',
+    net: faceapi.nets.tinyFaceDetector,
+    options: (minConfidence) => new faceapi.TinyFaceDetectorOptions({ inputSize: 320, scoreThreshold: minConfidence }),
+    fastOptions: (minConfidence) => new faceapi.TinyFaceDetectorOptions({ inputSize: 224, scoreThreshold: minConfidence }),
+  },
+};
+const DEFAULT_DETECTOR = 'ssd';
+const SHARED_NETS = {
+  faceLandmark68Net: faceapi.nets.faceLandmark68Net,
+  faceRecognitionNet: faceapi.nets.faceRecognitionNet,
+};
 
-    try {
-      await faceapi.nets.tinyFaceDetector.loadFromDisk(MODEL_PATH);
-      useTinyFaceDetector = true;
-      console.log('✓ TinyFaceDetector loaded (faster model)');
-    } catch (_) {
-      console.log('⚠ TinyFaceDetector not found, using SSD MobileNet (slower but available)');
-      await faceapi.nets.ssdMobilenetv1.loadFromDisk(MODEL_PATH);
-      useTinyFaceDetector = false;
-    }
+// Detector for a service: <SERVICE>_FACE_DETECTOR (e.g. MARK_FACE_DETECTOR), else
+// FACE_DETECTOR, else ssd
+function resolveDetectorName(service) {
+  const serviceKey = service ? `${service.toUpperCase()}_FACE_DETECTOR` : null;
+  const name = ((serviceKey && process.env[serviceKey]) || process.env.FACE_DETECTOR || DEFAULT_DETECTOR).toLowerCase();
+  if (!DETECTOR_BACKENDS[name]) {
+    throw new Error(`Unknown face detector "${name}"; expected one of: ${Object.keys(DETECTOR_BACKENDS).join(', ')}`);
+  }
+  return name;
+}
+
+let activeDetector = null;
+let modelsLoadedAt = null;
+let modelsLoadMs = null;
 
-    await faceapi.nets.faceLandmark68Net.loadFromDisk(MODEL_PATH);
-    await faceapi.nets.faceRecognitionNet.loadFromDisk(MODEL_PATH);
+async function loadNet(name, net) {
+  if (net.isLoaded) return;
+  try {
+    await net.loadFromDisk(MODEL_PATH);
+  } catch (error) {
+    throw new Error(`Could not load ${name} from ${MODEL_PATH}: ${error.message}`);
+  }
+}
+
+// Whether a detector's weights manifest is in MODEL_PATH
+function hasDetectorWeights(detector) {
+  const backend = DETECTOR_BACKENDS[detector];
+  return Boolean(backend) && fs.existsSync(path.join(MODEL_PATH, `${backend.weights}-weights_manifest.json`));
+}
 
-    console.log('Face-API models loaded successfully.');
-    console.log(
-      useTinyFaceDetector
-        ? 'Using TinyFaceDetector - Expected: 5-8 seconds per request'
-        : 'Using SSD MobileNet with optimizations - Expected: 8-12 seconds per request'
-    );
+// Load the face-api models into this thread (the main thread, or an inference worker).
+// There is no fallback: if the chosen detector's weights are missing, loading fails.
+async function loadModelsInProcess(detector = resolveDetectorName()) {
+  try {
+    const backend = DETECTOR_BACKENDS[detector];
+    if (!backend) throw new Error(`Unknown face detector "${detector}"`);
+    if (!hasDetectorWeights(detector)) {
+      throw new Error(`The ${detector} face detector's weights are not in ${MODEL_PATH}; download `
+        + `${backend.weights}-weights_manifest.json and its shard files from ${FACE_API_WEIGHTS_URL} into it`);
+    }
+    console.log(`Loading face-api models (detector: ${detector})...`);
+    const startedAt = Date.now();
+    await faceapi.tf.ready();
+    await loadNet(`${detector} detector`, backend.net);
+    for (const [name, net] of Object.entries(SHARED_NETS)) {
+      await loadNet(name, net);
+    }
+    activeDetector = detector;
+    modelsLoadedAt = new Date().toISOString();
+    modelsLoadMs = Date.now() - startedAt;
+    console.log(`Face-API models loaded in ${modelsLoadMs}ms (detector: ${detector}).`);
   } catch (error) {
     console.error('Error loading models:', error);
     throw error;
   }
 }
 
-function resizeToCanvas(image) {
-  const MAX_WIDTH = 640;
+// Models loaded in this thread
+function getLocalModelStatus() {
+  const nets = { ...SHARED_NETS };
+  Object.entries(DETECTOR_BACKENDS).forEach(([name, backend]) => {
+    nets[`${name}_detector`] = backend.net;
+  });
+  const loaded = {};
+  Object.entries(nets).forEach(([name, net]) => {
+    loaded[name] = Boolean(net.isLoaded);
+  });
+  return {
+    ready: activeDetector !== null,
+    detector: activeDetector,
+    loaded_at: modelsLoadedAt,
+    load_ms: modelsLoadMs,
+    models: loaded,
+  };
+}
+
+// Which models the service is running with. With inference workers each worker
+// reports its own; ready means every worker has its models loaded.
+function getModelStatus() {
+  const base = { model_path: MODEL_PATH, available_detectors: Object.keys(DETECTOR_BACKENDS).filter(hasDetectorWeights) };
+  if (poolEnabled() && isMainThread) {
+    const workerStatus = getWorkerModelStatus();
+    return {
+      ...base,
+      ready: workerStatus.length > 0 && workerStatus.every(status => status && status.ready),
+      detector: getPoolDetector(),
+      workers: workerStatus,
+    };
+  }
+  return { ...base, ...getLocalModelStatus() };
+}
+
+// Start-up hook for the services: starts the inference workers, or loads the
+// models on the main thread when FACE_WORKERS=0. service picks the
+// <SERVICE>_FACE_DETECTOR override (main, mark, verify, register).
+function loadModels(service) {
+  let detector;
+  try {
+    detector = resolveDetectorName(service);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  return poolEnabled() && isMainThread ? startPool(detector) : loadModelsInProcess(detector);
+}
+
+function resizeToCanvas(image, MAX_WIDTH = 640) {
   let width = image.width;
   let height = image.height;
   if (width > MAX_WIDTH) {
@@ -56,31 +187,266 @@ function resizeToCanvas(image) {
   return c;
 }
 
-async function detectFacesWithDescriptor(srcCanvas) {
-  if (useTinyFaceDetector) {
-    const opts = new faceapi.TinyFaceDetectorOptions({
-      inputSize: 320,
-      scoreThreshold: 0.5
-    });
-    return faceapi
-      .detectAllFaces(srcCanvas, opts)
-      .withFaceLandmarks()
-      .withFaceDescriptors();
-  }
-  const opts = new faceapi.SsdMobilenetv1Options({ minConfidence: 0.5 });
+function detectorBackend() {
+  if (!activeDetector) throw new Error('Face models are not loaded');
+  return DETECTOR_BACKENDS[activeDetector];
+}
+
+async function detectFacesWithDescriptor(srcCanvas, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  const opts = detectorBackend().options(minConfidence);
   return faceapi
     .detectAllFaces(srcCanvas, opts)
     .withFaceLandmarks()
     .withFaceDescriptors();
 }
 
-async function getFaceEmbedding(imageBuffer) {
+async function detectFacesWithLandmarks(srcCanvas, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+  const opts = detectorBackend().options(minConfidence);
+  return faceapi.detectAllFaces(srcCanvas, opts).withFaceLandmarks();
+}
+
+// Grey levels of the face box, scaled to QUALITY_CROP_SIZE square
+function faceCropGrey(srcCanvas, box) {
+  const crop = createCanvas(QUALITY_CROP_SIZE, QUALITY_CROP_SIZE);
+  crop.getContext('2d').drawImage(
+    srcCanvas, box.x, box.y, box.width, box.height, 0, 0, QUALITY_CROP_SIZE, QUALITY_CROP_SIZE
+  );
+  const { data } = crop.getContext('2d').getImageData(0, 0, QUALITY_CROP_SIZE, QUALITY_CROP_SIZE);
+  const grey = new Float32Array(QUALITY_CROP_SIZE * QUALITY_CROP_SIZE);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return grey;
+}
+
+// Variance of the 4-neighbour Laplacian
+function laplacianVariance(grey, size) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < size - 1; y++) {
+    for (let x = 1; x < size - 1; x++) {
+      const i = y * size + x;
+      const value = grey[i - size] + grey[i + size] + grey[i - 1] + grey[i + 1] - 4 * grey[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function averagePoint(points) {
+  const total = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+  return { x: total.x / points.length, y: total.y / points.length };
+}
+
+function toDegrees(ratio) {
+  return (Math.asin(Math.max(-1, Math.min(1, ratio))) * 180) / Math.PI;
+}
+
+// Rough head pose from the 68-point landmarks. Roll is the tilt of the eye line;
+// yaw and pitch are estimated from where the nose tip sits between the eyes and
+// between the eye line and the chin.
+function estimateHeadPose(landmarks) {
+  const points = landmarks.positions;
+  const leftEye = averagePoint(points.slice(36, 42));
+  const rightEye = averagePoint(points.slice(42, 48));
+  const noseTip = points[30];
+  const chin = points[8];
+
+  const roll = (Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * 180) / Math.PI;
+
+  const toLeft = noseTip.x - leftEye.x;
+  const toRight = rightEye.x - noseTip.x;
+  const yaw = toDegrees((toLeft - toRight) / Math.max(toLeft + toRight, 1));
+
+  const eyeLineY = (leftEye.y + rightEye.y) / 2;
+  const pitchRatio = (noseTip.y - eyeLineY) / Math.max(chin.y - eyeLineY, 1);
+  const pitch = toDegrees((pitchRatio - NEUTRAL_PITCH_RATIO) / NEUTRAL_PITCH_RATIO);
+
+  return { yaw, pitch, roll };
+}
+
+function distanceBetween(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Eye aspect ratio averaged over both eyes: about 0.3 when open, near 0.1 when closed
+function eyeAspectRatio(landmarks) {
+  const points = landmarks.positions;
+  const eye = (start) => {
+    const p = points.slice(start, start + 6);
+    return (distanceBetween(p[1], p[5]) + distanceBetween(p[2], p[4])) / (2 * Math.max(distanceBetween(p[0], p[3]), 1));
+  };
+  return (eye(36) + eye(42)) / 2;
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Score the detections in an image against QUALITY_LIMITS (or the given limits).
+// Returns { passed, reasons: [{ code, message }], scores }.
+function assessDetections(srcCanvas, detections, limits = QUALITY_LIMITS) {
+  const reasons = [];
+  const scores = { face_count: detections.length };
+
+  if (detections.length === 0) {
+    reasons.push({ code: 'no_face', message: 'No face detected in the image' });
+    return { passed: false, reasons, scores };
+  }
+  if (detections.length > 1) {
+    reasons.push({ code: 'multiple_faces', message: 'More than one face is in the image; only one person should be in frame' });
+  }
+
+  const { detection, landmarks } = detections[0];
+  const box = detection.box;
+  const grey = faceCropGrey(srcCanvas, box);
+  const brightness = grey.reduce((acc, v) => acc + v, 0) / grey.length;
+  const sharpness = laplacianVariance(grey, QUALITY_CROP_SIZE);
+  const faceRatio = box.width / srcCanvas.width;
+  const pose = estimateHeadPose(landmarks);
+
+  Object.assign(scores, {
+    detection_score: round(detection.score, 3),
+    sharpness: round(sharpness),
+    brightness: round(brightness),
+    face_ratio: round(faceRatio, 3),
+    yaw: round(pose.yaw, 1),
+    pitch: round(pose.pitch, 1),
+    roll: round(pose.roll, 1),
+  });
+
+  if (sharpness < limits.minSharpness) {
+    reasons.push({ code: 'blurry', message: 'The image is too blurry; hold the camera steady' });
+  }
+  if (brightness < limits.minBrightness) {
+    reasons.push({ code: 'too_dark', message: 'The face is too dark; improve the lighting' });
+  }
+  if (brightness > limits.maxBrightness) {
+    reasons.push({ code: 'too_bright', message: 'The face is overexposed; reduce glare or direct light' });
+  }
+  if (faceRatio < limits.minFaceRatio) {
+    reasons.push({ code: 'face_too_small', message: 'The face is too small; move closer to the camera' });
+  }
+  if (Math.abs(pose.yaw) > limits.maxYaw || Math.abs(pose.pitch) > limits.maxPitch || Math.abs(pose.roll) > limits.maxRoll) {
+    reasons.push({ code: 'bad_pose', message: 'Look straight at the camera' });
+  }
+
+  return { passed: reasons.length === 0, reasons, scores };
+}
+
+function qualityError(quality) {
+  const error = new Error(`Image rejected: ${quality.reasons.map(r => r.message).join('; ')}`);
+  error.code = 'FACE_QUALITY';
+  error.reasons = quality.reasons.map(r => r.code);
+  error.quality = quality.scores;
+  return error;
+}
+
+// Quality scores and the normalized face box for an image (used by /verify-face)
+async function assessFaceQuality(imageBuffer, { minConfidence } = {}) {
+  const img = await loadImage(imageBuffer);
+  const c = resizeToCanvas(img);
+  const detections = await detectFacesWithLandmarks(c, minConfidence);
+  const quality = assessDetections(c, detections);
+  const box = detections.length > 0 ? detections[0].detection.box : null;
+  return {
+    ...quality,
+    reasons: quality.reasons.map(r => r.code),
+    box: box
+      ? { x: box.x / c.width, y: box.y / c.height, width: box.width / c.width, height: box.height / c.height }
+      : null,
+  };
+}
+
+// Per-frame data for liveness checks on a burst of images: eye openness, head pose,
+// descriptor and quality of the first face. Frames without a face give { face: false }.
+// Frames are processed one at a time to keep memory flat.
+async function analyzeFaceFrames(imageBuffers, { minConfidence } = {}) {
+  const frames = [];
+  for (const buffer of imageBuffers) {
+    const img = await loadImage(buffer);
+    const c = resizeToCanvas(img);
+    const detections = await detectFacesWithDescriptor(c, minConfidence);
+    if (!detections || detections.length === 0) {
+      frames.push({ face: false });
+      continue;
+    }
+    const quality = assessDetections(c, detections);
+    const pose = estimateHeadPose(detections[0].landmarks);
+    frames.push({
+      face: true,
+      eye_openness: round(eyeAspectRatio(detections[0].landmarks), 3),
+      yaw: round(pose.yaw, 1),
+      pitch: round(pose.pitch, 1),
+      roll: round(pose.roll, 1),
+      descriptor: detections[0].descriptor,
+      quality: { passed: quality.passed, reasons: quality.reasons.map(r => r.code), scores: quality.scores },
+    });
+  }
+  return frames;
+}
+
+// Every face in a group photo, largest first (at most GROUP_MAX_FACES): normalized
+// box, descriptor and quality. Each face is judged on its own, with the group
+// face-size limit, so other people in the frame don't fail it.
+async function getAllFaceEmbeddings(imageBuffer, { minConfidence } = {}) {
+  const img = await loadImage(imageBuffer);
+  const c = resizeToCanvas(img, GROUP_IMAGE_MAX_WIDTH);
+  const detections = await detectFacesWithDescriptor(c, minConfidence);
+  const limits = { ...QUALITY_LIMITS, minFaceRatio: GROUP_MIN_FACE_RATIO };
+  return detections
+    .sort((a, b) => b.detection.box.area - a.detection.box.area)
+    .slice(0, GROUP_MAX_FACES)
+    .map((d) => {
+      const box = d.detection.box;
+      const quality = assessDetections(c, [d], limits);
+      return {
+        box: { x: box.x / c.width, y: box.y / c.height, width: box.width / c.width, height: box.height / c.height },
+        descriptor: d.descriptor,
+        quality: { passed: quality.passed, reasons: quality.reasons.map(r => r.code), scores: quality.scores },
+      };
+    });
+}
+
+// Downscaled JPEG of an image, e.g. for punch snapshots. box (normalized, as returned
+// by getAllFaceEmbeddings) crops to that face with some margin around it first.
+async function resizeImage(imageBuffer, { maxWidth = 320, quality = 0.7, box } = {}) {
+  const img = await loadImage(imageBuffer);
+  let source = img;
+  if (box) {
+    const margin = 0.5;
+    const x = Math.max(0, (box.x - box.width * margin) * img.width);
+    const y = Math.max(0, (box.y - box.height * margin) * img.height);
+    const width = Math.min(img.width - x, box.width * (1 + 2 * margin) * img.width);
+    const height = Math.min(img.height - y, box.height * (1 + 2 * margin) * img.height);
+    source = createCanvas(width, height);
+    source.getContext('2d').drawImage(img, x, y, width, height, 0, 0, width, height);
+  }
+  return resizeToCanvas(source, maxWidth).toBuffer('image/jpeg', { quality });
+}
+
+// options.minConfidence overrides the detector score threshold (per-organization tuning).
+// Throws an error with code 'FACE_NOT_FOUND' when no face is detected. With
+// options.checkQuality the image must pass the quality gate; otherwise an error
+// with code 'FACE_QUALITY', .reasons and .quality is thrown.
+async function getFaceEmbedding(imageBuffer, { minConfidence, checkQuality = false } = {}) {
   try {
     const img = await loadImage(imageBuffer);
     const c = resizeToCanvas(img);
-    const detections = await detectFacesWithDescriptor(c);
+    const detections = await detectFacesWithDescriptor(c, minConfidence);
     if (!detections || detections.length === 0) {
-      throw new Error('No faces detected in the image');
+      const error = new Error('No faces detected in the image');
+      error.code = 'FACE_NOT_FOUND';
+      throw error;
+    }
+    if (checkQuality) {
+      const quality = assessDetections(c, detections);
+      if (!quality.passed) throw qualityError(quality);
     }
     return detections[0].descriptor;
   } catch (error) {
@@ -91,15 +457,8 @@ async function getFaceEmbedding(imageBuffer) {
 
 // Lightweight face detection - NO landmarks, NO descriptors (MUCH FASTER!)
 async function detectFaceOnly(srcCanvas) {
-  if (useTinyFaceDetector) {
-    const opts = new faceapi.TinyFaceDetectorOptions({
-      inputSize: 224, // Reduced from 320 for faster processing
-      scoreThreshold: 0.5
-    });
-    return faceapi.detectSingleFace(srcCanvas, opts); // detectSingleFace is faster than detectAllFaces
-  }
-  const opts = new faceapi.SsdMobilenetv1Options({ minConfidence: 0.5 });
-  return faceapi.detectSingleFace(srcCanvas, opts);
+  const opts = detectorBackend().fastOptions(DEFAULT_MIN_CONFIDENCE);
+  return faceapi.detectSingleFace(srcCanvas, opts); // detectSingleFace is faster than detectAllFaces
 }
 
 async function getFaceBoxNormalized(imageBuffer) {
@@ -139,5 +498,38 @@ async function getFaceBoxNormalized(imageBuffer) {
   }
 }
 
-module.exports = { loadModels, getFaceEmbedding, getFaceBoxNormalized };
+// Work that may run in an inference worker (see faceInferenceWorker.js)
+const INFERENCE_TASKS = {
+  getFaceEmbedding,
+  getAllFaceEmbeddings,
+  getFaceBoxNormalized,
+  assessFaceQuality,
+  analyzeFaceFrames,
+  resizeImage,
+};
+
+// Public entry point for a task: queued on the worker pool when it is enabled,
+// otherwise run in this thread. A full queue rejects with code FACE_BUSY.
+function runInference(task) {
+  return (...args) => (poolEnabled() && isMainThread ? runTask(task, args) : INFERENCE_TASKS[task](...args));
+}
+
+module.exports = {
+  QUALITY_LIMITS,
+  INFERENCE_TASKS,
+  assessDetections,
+  DETECTOR_BACKENDS,
+  resolveDetectorName,
+  hasDetectorWeights,
+  loadModels,
+  loadModelsInProcess,
+  getModelStatus,
+  getFaceEmbedding: runInference('getFaceEmbedding'),
+  getAllFaceEmbeddings: runInference('getAllFaceEmbeddings'),
+  getFaceBoxNormalized: runInference('getFaceBoxNormalized'),
+  assessFaceQuality: runInference('assessFaceQuality'),
+  analyzeFaceFrames: runInference('analyzeFaceFrames'),
+  resizeImage: runInference('resizeImage'),
+  getInferenceStats: getPoolStats,
+};
 
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { buildOrganizationFilter } = require('./organizationScopeService');
+require('dotenv').config();
+
+// optional: a burst is checked when the kiosk sends one; required: /mark must send one
+const LIVENESS_MODE = (process.env.LIVENESS_MODE || 'optional').toLowerCase();
+const LIVENESS_MIN_FRAMES = parseInt(process.env.LIVENESS_MIN_FRAMES || '3', 10);
+const LIVENESS_MAX_FRAMES = parseInt(process.env.LIVENESS_MAX_FRAMES || '8', 10);
+const CHALLENGE_EXPIRES_SECONDS = parseInt(process.env.LIVENESS_CHALLENGE_SECONDS || '60', 10);
+// Set when the kiosk camera mirrors the image (selfie view), which flips left and right
+const CAMERA_MIRRORED = (process.env.LIVENESS_CAMERA_MIRRORED || 'false').toLowerCase() === 'true';
+
+const LIVENESS_LIMITS = {
+  // Eye aspect ratio: a blink needs one frame below closed and one above open
+  blinkClosed: parseFloat(process.env.LIVENESS_BLINK_CLOSED || '0.21'),
+  blinkOpen: parseFloat(process.env.LIVENESS_BLINK_OPEN || '0.25'),
+  // Yaw range (degrees) across the burst that counts as natural head movement
+  headMovement: parseFloat(process.env.LIVENESS_HEAD_MOVEMENT || '12'),
+  // Yaw change (degrees) from the first frame needed for a turn challenge
+  challengeTurn: parseFloat(process.env.LIVENESS_CHALLENGE_TURN || '15'),
+  // Max descriptor distance between frames; more means the face was swapped mid-burst
+  maxFrameDistance: parseFloat(process.env.LIVENESS_MAX_FRAME_DISTANCE || '0.6'),
+};
+
+const CHALLENGE_ACTIONS = {
+  blink: 'Blink your eyes',
+  turn_left: 'Turn your head to the left',
+  turn_right: 'Turn your head to the right',
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// liveness_challenges: single-use actions issued to a kiosk before a burst.
+// spoof_attempts: every burst that failed the liveness check.
+const ensureLivenessTables = db.memoizeTableSetup('LIVENESS', createLivenessTables);
+
+async function createLivenessTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS liveness_challenges (
+      challenge_id UUID PRIMARY KEY,
+      device_id INTEGER,
+      action VARCHAR(20) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS spoof_attempts (
+      attempt_id SERIAL PRIMARY KEY,
+      device_id INTEGER,
+      organization_id INTEGER,
+      employee_id UUID,
+      distance REAL,
+      reason VARCHAR(50) NOT NULL,
+      challenge_action VARCHAR(20),
+      details JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_spoof_attempts_created ON spoof_attempts(created_at)');
+}
+
+async function issueChallenge(deviceId) {
+  await ensureLivenessTables();
+  const actions = Object.keys(CHALLENGE_ACTIONS);
+  const action = actions[crypto.randomInt(actions.length)];
+  const challengeId = crypto.randomUUID();
+  await db.query(
+    `INSERT INTO liveness_challenges (challenge_id, device_id, action, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 || ' seconds')::interval)`,
+    [challengeId, deviceId || null, action, String(CHALLENGE_EXPIRES_SECONDS)]
+  );
+  return { challenge_id: challengeId, action, instruction: CHALLENGE_ACTIONS[action], expires_in: CHALLENGE_EXPIRES_SECONDS };
+}
+
+// Mark a challenge used. Returns its action, or null if unknown, expired, used or issued to another device.
+async function consumeChallenge(challengeId, deviceId) {
+  if (!UUID_PATTERN.test(String(challengeId))) return null;
+  await ensureLivenessTables();
+  const { rows } = await db.query(
+    `UPDATE liveness_challenges SET used_at = NOW()
+     WHERE challenge_id = $1 AND device_id IS NOT DISTINCT FROM $2
+       AND used_at IS NULL AND expires_at > NOW()
+     RETURNING action`,
+    [challengeId, deviceId || null]
+  );
+  return rows[0] ? rows[0].action : null;
+}
+
+function descriptorDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum);
+}
+
+// Positive when the subject turned to their own left
+function subjectYaw(frame) {
+  // Unmirrored, the nose moving towards the image's right is a turn to the subject's left
+  return CAMERA_MIRRORED ? -frame.yaw : frame.yaw;
+}
+
+// Decide whether a burst (from analyzeFaceFrames) came from a live person.
+// Without a challenge a blink or natural head movement is enough; with one, the
+// requested action must be seen. Returns { passed, reason, checks, bestFrame }.
+function evaluateLiveness(frames, challengeAction = null) {
+  const faces = frames.filter(f => f.face);
+  const checks = { frames: frames.length, frames_with_face: faces.length, challenge: challengeAction };
+  if (faces.length < LIVENESS_MIN_FRAMES) {
+    return { passed: false, reason: 'not_enough_frames', checks, bestFrame: faces[0] || null };
+  }
+
+  // Most frontal frame with open eyes is used for matching, preferring ones that pass the quality gate
+  const goodFrames = faces.filter(f => f.quality && f.quality.passed);
+  const bestFrame = (goodFrames.length > 0 ? goodFrames : faces).reduce((best, f) => {
+    const score = Math.abs(f.yaw) + Math.abs(f.pitch) - f.eye_openness * 100;
+    const bestScore = Math.abs(best.yaw) + Math.abs(best.pitch) - best.eye_openness * 100;
+    return score < bestScore ? f : best;
+  });
+
+  const maxDistance = Math.max(...faces.map(f => descriptorDistance(f.descriptor, bestFrame.descriptor)));
+  checks.max_frame_distance = Math.round(maxDistance * 1000) / 1000;
+  if (maxDistance > LIVENESS_LIMITS.maxFrameDistance) {
+    return { passed: false, reason: 'face_changed', checks, bestFrame };
+  }
+
+  const eyes = faces.map(f => f.eye_openness);
+  const yaws = faces.map(subjectYaw);
+  checks.blink = Math.min(...eyes) < LIVENESS_LIMITS.blinkClosed && Math.max(...eyes) > LIVENESS_LIMITS.blinkOpen;
+  checks.head_movement_degrees = Math.round((Math.max(...yaws) - Math.min(...yaws)) * 10) / 10;
+  const moved = checks.head_movement_degrees >= LIVENESS_LIMITS.headMovement;
+
+  if (challengeAction) {
+    const turn = Math.max(...yaws.map(y => y - yaws[0]));
+    const turnBack = Math.min(...yaws.map(y => y - yaws[0]));
+    checks.challenge_passed = challengeAction === 'blink'
+      ? checks.blink
+      : challengeAction === 'turn_left'
+        ? turn >= LIVENESS_LIMITS.challengeTurn
+        : turnBack <= -LIVENESS_LIMITS.challengeTurn;
+    return { passed: checks.challenge_passed, reason: checks.challenge_passed ? null : 'challenge_failed', checks, bestFrame };
+  }
+
+  const passed = checks.blink || moved;
+  return { passed, reason: passed ? null : 'no_blink_or_movement', checks, bestFrame };
+}
+
+async function recordSpoofAttempt({ deviceId, organizationId, employeeId, distance, reason, challengeAction, details }) {
+  try {
+    await ensureLivenessTables();
+    await db.query(
+      `INSERT INTO spoof_attempts (device_id, organization_id, employee_id, distance, reason, challenge_action, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb)`,
+      [deviceId || null, organizationId || null, employeeId || null, distance ?? null, reason, challengeAction || null, JSON.stringify(details || null)]
+    );
+  } catch (e) {
+    console.error('[LIVENESS] Failed to record spoof attempt:', e.message);
+  }
+}
+
+// Filters: device_id, employee_id, reason, startDate, endDate, limit (max 1000)
+async function listSpoofAttempts(user, filters = {}) {
+  await ensureLivenessTables();
+  const params = [];
+  let query = `SELECT s.attempt_id, s.device_id, dv.device_name, s.organization_id, s.employee_id, d.employee_name,
+      s.distance, s.reason, s.challenge_action, s.details, s.created_at
+    FROM spoof_attempts s
+    LEFT JOIN devices dv ON dv.device_id = s.device_id
+    LEFT JOIN employee_details d ON d.employee_id = s.employee_id
+    WHERE 1=1`;
+  query += buildOrganizationFilter(user, 's.organization_id', params);
+  ['device_id', 'employee_id', 'reason'].forEach(column => {
+    if (filters[column]) {
+      params.push(String(filters[column]));
+      query += ` AND s.${column}::text = $${params.length}`;
+    }
+  });
+  if (filters.startDate && filters.endDate) {
+    params.push(filters.startDate, filters.endDate);
+    query += ` AND s.created_at::date BETWEEN $${params.length - 1} AND $${params.length}`;
+  }
+  params.push(Math.min(parseInt(filters.limit, 10) || 200, 1000));
+  query += ` ORDER BY s.created_at DESC, s.attempt_id DESC LIMIT $${params.length}`;
+  const { rows } = await db.query(query, params);
+  return rows;
+}
+
+module.exports = {
+  LIVENESS_MODE,
+  LIVENESS_MIN_FRAMES,
+  LIVENESS_MAX_FRAMES,
+  LIVENESS_LIMITS,
+  ensureLivenessTables,
+  issueChallenge,
+  consumeChallenge,
+  evaluateLiveness,
+  recordSpoofAttempt,
+  listSpoofAttempts,
+};
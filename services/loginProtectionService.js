@@ -0,0 +1,219 @@
+const db = require('../config/db');
+const { normalizeEmail } = require('./userService');
+require('dotenv').config();
+
+const MAX_FAILED_PER_ACCOUNT = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+const MAX_FAILED_PER_IP = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '20', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10);
+// After this many failures each further attempt must wait 1s, 2s, 4s, ... (capped)
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES || '3', 10);
+const MAX_DELAY_SECONDS = 60;
+// Password reset emails per address and per IP within the window, before a lockout
+const MAX_RESET_REQUESTS_PER_EMAIL = parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS || '3', 10);
+const MAX_RESET_REQUESTS_PER_IP = parseInt(process.env.PASSWORD_RESET_IP_MAX_REQUESTS || '10', 10);
+
+// login_throttle holds the live counters, one row per email, per employee code
+// (portal logins) and per IP, plus separate ones for password reset requests.
+// login_attempts is the append-only audit of every login attempt.
+const ensureLoginTables = db.memoizeTableSetup('LOGIN', createLoginTables);
+
+async function createLoginTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS login_throttle (
+      throttle_key VARCHAR(300) PRIMARY KEY,
+      failed_count INTEGER NOT NULL DEFAULT 0,
+      last_failed_at TIMESTAMP,
+      locked_until TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      attempt_id SERIAL PRIMARY KEY,
+      email VARCHAR(255),
+      user_id INTEGER,
+      ip_address VARCHAR(100),
+      user_agent TEXT,
+      success BOOLEAN NOT NULL,
+      failure_reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at)');
+}
+
+function accountKey(email) {
+  return `email:${normalizeEmail(email)}`;
+}
+
+function employeeKey(employeeCode) {
+  return `employee:${String(employeeCode || '').trim()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+function resetKeys(email, ip) {
+  return [`reset:${normalizeEmail(email)}`, `reset-ip:${ip || 'unknown'}`];
+}
+
+// Seconds the caller must still wait for this counter, or 0
+function secondsToWait(row, now) {
+  if (!row) return 0;
+  if (row.locked_until && new Date(row.locked_until) > now) {
+    return Math.ceil((new Date(row.locked_until) - now) / 1000);
+  }
+  const lastFailed = row.last_failed_at ? new Date(row.last_failed_at) : null;
+  if (!lastFailed || now - lastFailed > FAILURE_WINDOW_MINUTES * 60 * 1000) return 0;
+  if (row.failed_count < DELAY_AFTER_FAILURES) return 0;
+
+  const delay = Math.min(2 ** (row.failed_count - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+  const waited = (now - lastFailed) / 1000;
+  return waited >= delay ? 0 : Math.ceil(delay - waited);
+}
+
+async function checkKeysAllowed(keys) {
+  await ensureLoginTables();
+  const { rows } = await db.query(
+    'SELECT throttle_key, failed_count, last_failed_at, locked_until FROM login_throttle WHERE throttle_key = ANY($1::text[])',
+    [keys]
+  );
+  const now = new Date();
+  let retryAfter = 0;
+  let locked = false;
+  rows.forEach(row => {
+    const wait = secondsToWait(row, now);
+    if (wait > retryAfter) retryAfter = wait;
+    if (row.locked_until && new Date(row.locked_until) > now) locked = true;
+  });
+  if (retryAfter === 0) return { allowed: true };
+  return { allowed: false, reason: locked ? 'locked' : 'throttled', retryAfter };
+}
+
+// Check both counters before the password is even looked at.
+// Returns { allowed: true } or { allowed: false, reason: 'locked' | 'throttled', retryAfter }
+function checkLoginAllowed(email, ip) {
+  return checkKeysAllowed([accountKey(email), ipKey(ip)]);
+}
+
+// Same for an employee portal login (password or emailed code)
+function checkEmployeeLoginAllowed(employeeCode, ip) {
+  return checkKeysAllowed([employeeKey(employeeCode), ipKey(ip)]);
+}
+
+async function incrementCounter(key, maxFailures) {
+  // A counter starts over once its failures fall out of the window or its lockout has ended
+  const { rows } = await db.query(
+    `INSERT INTO login_throttle (throttle_key, failed_count, last_failed_at)
+     VALUES ($1, 1, NOW())
+     ON CONFLICT (throttle_key) DO UPDATE
+       SET failed_count = CASE
+             WHEN login_throttle.last_failed_at < NOW() - ($2 || ' minutes')::interval
+               OR login_throttle.locked_until <= NOW()
+             THEN 1 ELSE login_throttle.failed_count + 1 END,
+           locked_until = CASE WHEN login_throttle.locked_until <= NOW() THEN NULL ELSE login_throttle.locked_until END,
+           last_failed_at = NOW()
+     RETURNING failed_count`,
+    [key, String(FAILURE_WINDOW_MINUTES)]
+  );
+  if (rows[0].failed_count >= maxFailures) {
+    await db.query(
+      `UPDATE login_throttle SET locked_until = NOW() + ($2 || ' minutes')::interval
+       WHERE throttle_key = $1 AND locked_until IS NULL`,
+      [key, String(LOCKOUT_MINUTES)]
+    );
+    console.warn(`[LOGIN] ⚠️ Locked ${key} for ${LOCKOUT_MINUTES} minutes after ${rows[0].failed_count} attempts`);
+  }
+}
+
+async function recordLoginFailure(email, ip) {
+  await ensureLoginTables();
+  await incrementCounter(accountKey(email), MAX_FAILED_PER_ACCOUNT);
+  await incrementCounter(ipKey(ip), MAX_FAILED_PER_IP);
+}
+
+// A successful login clears the account counter. The IP counter is left alone so
+// one valid account can't be used to reset an attacker's address.
+async function recordLoginSuccess(email) {
+  await ensureLoginTables();
+  await db.query('DELETE FROM login_throttle WHERE throttle_key = $1', [accountKey(email)]);
+}
+
+async function recordEmployeeLoginFailure(employeeCode, ip) {
+  await ensureLoginTables();
+  await incrementCounter(employeeKey(employeeCode), MAX_FAILED_PER_ACCOUNT);
+  await incrementCounter(ipKey(ip), MAX_FAILED_PER_IP);
+}
+
+async function recordEmployeeLoginSuccess(employeeCode) {
+  await ensureLoginTables();
+  await db.query('DELETE FROM login_throttle WHERE throttle_key = $1', [employeeKey(employeeCode)]);
+}
+
+// Password reset requests count whether or not the account exists, so the limit
+// says nothing about which emails are registered and no inbox can be flooded
+function checkPasswordResetAllowed(email, ip) {
+  return checkKeysAllowed(resetKeys(email, ip));
+}
+
+async function recordPasswordResetRequest(email, ip) {
+  await ensureLoginTables();
+  const [emailKey, resetIpKey] = resetKeys(email, ip);
+  await incrementCounter(emailKey, MAX_RESET_REQUESTS_PER_EMAIL);
+  await incrementCounter(resetIpKey, MAX_RESET_REQUESTS_PER_IP);
+}
+
+async function recordLoginAttempt({ email, userId, ip, userAgent, success, reason }) {
+  await ensureLoginTables();
+  await db.query(
+    `INSERT INTO login_attempts (email, user_id, ip_address, user_agent, success, failure_reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [normalizeEmail(email) || null, userId || null, ip || null, userAgent || null, success, success ? null : reason]
+  );
+}
+
+// Returns true if there was a counter to clear
+async function unlockAccount(email) {
+  await ensureLoginTables();
+  const result = await db.query('DELETE FROM login_throttle WHERE throttle_key = $1', [accountKey(email)]);
+  return result.rowCount > 0;
+}
+
+async function unlockIp(ip) {
+  await ensureLoginTables();
+  const result = await db.query('DELETE FROM login_throttle WHERE throttle_key = $1', [ipKey(ip)]);
+  return result.rowCount > 0;
+}
+
+async function listLockouts() {
+  await ensureLoginTables();
+  const { rows } = await db.query(
+    `SELECT throttle_key, failed_count, last_failed_at, locked_until
+     FROM login_throttle WHERE locked_until > NOW()
+     ORDER BY locked_until DESC`
+  );
+  return rows.map(row => {
+    const [type, ...rest] = row.throttle_key.split(':');
+    return { type, value: rest.join(':'), failed_count: row.failed_count, last_failed_at: row.last_failed_at, locked_until: row.locked_until };
+  });
+}
+
+module.exports = {
+  ensureLoginTables,
+  checkLoginAllowed,
+  checkEmployeeLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordEmployeeLoginFailure,
+  recordEmployeeLoginSuccess,
+  checkPasswordResetAllowed,
+  recordPasswordResetRequest,
+  recordLoginAttempt,
+  secondsToWait,
+  unlockAccount,
+  unlockIp,
+  listLockouts,
+};
@@ -7,8 +7,8 @@ function replacePlaceholders(template, data) {
   if (!template) return '';
   
   const placeholders = {
-    '{{name}}': data.employee_name || '',
-    '{{username}}': data.employee_name || '', // Alias for name
+    '{{name}}': data.employee_name || data.name || '',
+    '{{username}}': data.employee_name || data.name || '', // Alias for name
     '{{code}}': data.employee_code || '',
     '{{date}}': data.date || '',
     '{{time}}': data.time || '',
@@ -30,6 +30,13 @@ function replacePlaceholders(template, data) {
     '{{organization}}': data.organization_name || '', // Alias for organization_name
     '{{registration_date}}': data.registration_date || '',
     '{{registration_time}}': data.registration_time || '',
+    // Employee portal login code
+    '{{otp}}': data.otp || '',
+    '{{otp_expires_minutes}}': String(data.otp_expires_minutes || ''),
+    // User account links (password_reset, user_invite)
+    '{{link}}': data.link || '',
+    '{{link_expires_at}}': data.link_expires_at || '',
+    '{{role}}': data.role || '',
   };
   
   // Replace placeholders - handle both {{var}} and {{ var }} formats
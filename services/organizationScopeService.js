@@ -0,0 +1,44 @@
+const db = require('../config/db');
+const { ROLES } = require('../config/roles');
+
+// Returns null when the user may see every organization, otherwise the list of
+// organization ids the user is bound to (possibly empty).
+function getScopedOrganizationIds(user) {
+  if (!user) return [];
+  if (user.role === ROLES.SUPER_ADMIN) return null;
+  return user.organization_ids || [];
+}
+
+// Appends the user's organization filter to a WHERE clause.
+// Pushes the id list onto params and returns e.g. " AND e.organization_id = ANY($3::int[])",
+// or an empty string for unscoped users.
+function buildOrganizationFilter(user, column, params) {
+  const ids = getScopedOrganizationIds(user);
+  if (ids === null) return '';
+  params.push(ids);
+  return ` AND ${column} = ANY($${params.length}::int[])`;
+}
+
+function canAccessOrganization(user, organizationId) {
+  const ids = getScopedOrganizationIds(user);
+  if (ids === null) return true;
+  const id = parseInt(organizationId, 10);
+  return Number.isInteger(id) && ids.includes(id);
+}
+
+async function canAccessEmployee(user, employeeId) {
+  const params = [employeeId];
+  const filter = buildOrganizationFilter(user, 'organization_id', params);
+  const { rows } = await db.query(
+    `SELECT 1 FROM employee_details WHERE employee_id = $1${filter}`,
+    params
+  );
+  return rows.length > 0;
+}
+
+module.exports = {
+  getScopedOrganizationIds,
+  buildOrganizationFilter,
+  canAccessOrganization,
+  canAccessEmployee,
+};
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+require('dotenv').config();
+
+// How long a kiosk has to confirm a punch after /identify
+const PUNCH_CONFIRMATION_SECONDS = parseInt(process.env.PUNCH_CONFIRMATION_SECONDS || '30', 10);
+
+// Single-use tokens handed out by /identify. The token commits the identified
+// employee when sent back to /mark from the same device; only its SHA-256 hash is stored.
+// snapshot_file is the punch snapshot taken at /identify, kept once the punch is confirmed.
+const ensurePunchConfirmationsTable = db.memoizeTableSetup('PUNCH-CONFIRM', createPunchConfirmationsTable);
+
+async function createPunchConfirmationsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS punch_confirmations (
+      confirmation_id SERIAL PRIMARY KEY,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      device_id INTEGER,
+      employee_id UUID NOT NULL REFERENCES employee_details(employee_id) ON DELETE CASCADE,
+      distance REAL,
+      action VARCHAR(20) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('ALTER TABLE punch_confirmations ADD COLUMN IF NOT EXISTS snapshot_file TEXT');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Returns the plain token (shown once) and its lifetime in seconds
+async function issuePunchConfirmation({ deviceId, employeeId, distance, action, snapshotFile }) {
+  await ensurePunchConfirmationsTable();
+  const token = crypto.randomBytes(24).toString('hex');
+  await db.query(
+    `INSERT INTO punch_confirmations (token_hash, device_id, employee_id, distance, action, snapshot_file, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' seconds')::interval)`,
+    [hashToken(token), deviceId || null, employeeId, distance, action, snapshotFile || null, String(PUNCH_CONFIRMATION_SECONDS)]
+  );
+  return { token, expires_in: PUNCH_CONFIRMATION_SECONDS };
+}
+
+// Mark a token used. Returns the identified employee, distance, previewed action and snapshot file,
+// or null if the token is unknown, expired, used or was issued to another device.
+async function consumePunchConfirmation(token, deviceId) {
+  await ensurePunchConfirmationsTable();
+  const { rows } = await db.query(
+    `UPDATE punch_confirmations p SET used_at = NOW()
+     FROM employee_details d
+     WHERE d.employee_id = p.employee_id
+       AND p.token_hash = $1 AND p.device_id IS NOT DISTINCT FROM $2
+       AND p.used_at IS NULL AND p.expires_at > NOW()
+     RETURNING p.employee_id, d.employee_name, d.employee_type, p.distance, p.action, p.snapshot_file`,
+    [hashToken(token), deviceId || null]
+  );
+  return rows[0] || null;
+}
+
+// Snapshot files of confirmations that expired unused, cleared from their rows so they can be deleted
+async function takeExpiredConfirmationSnapshots() {
+  await ensurePunchConfirmationsTable();
+  const { rows } = await db.query(
+    `UPDATE punch_confirmations p SET snapshot_file = NULL
+     FROM (
+       SELECT confirmation_id, snapshot_file FROM punch_confirmations
+       WHERE snapshot_file IS NOT NULL AND used_at IS NULL AND expires_at < NOW()
+     ) expired
+     WHERE p.confirmation_id = expired.confirmation_id
+     RETURNING expired.snapshot_file`
+  );
+  return rows.map(row => row.snapshot_file);
+}
+
+module.exports = {
+  PUNCH_CONFIRMATION_SECONDS,
+  ensurePunchConfirmationsTable,
+  issuePunchConfirmation,
+  consumePunchConfirmation,
+  takeExpiredConfirmationSnapshots,
+};
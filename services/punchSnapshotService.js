@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/db');
+const { resizeImage } = require('./faceRecognitionService');
+const { writeStoredFile, readStoredFile } = require('./biometricCryptoService');
+const { takeExpiredConfirmationSnapshots } = require('./punchConfirmationService');
+require('dotenv').config();
+
+// Used wherever an organization has no override
+const SNAPSHOT_DEFAULTS = {
+  capture_enabled: (process.env.PUNCH_SNAPSHOTS || 'false').toLowerCase() === 'true',
+  retention_days: parseInt(process.env.PUNCH_SNAPSHOT_RETENTION_DAYS || '90', 10),
+};
+const RETENTION_DAYS_RANGE = { min: 1, max: 3650 };
+// Width snapshots are downscaled to
+const SNAPSHOT_MAX_WIDTH = parseInt(process.env.PUNCH_SNAPSHOT_MAX_WIDTH || '320', 10);
+const SNAPSHOT_DIR = process.env.SNAPSHOT_PATH || path.join(process.env.UPLOAD_PATH || 'uploads/', 'snapshots');
+
+const PUNCH_TYPES = ['in', 'out'];
+
+// punch_snapshots: one downscaled photo per punch, i.e. per attendance record and
+// direction (in/out). Rows whose attendance record was deleted lose their link
+// and are purged with the expired ones.
+// organization_snapshot_settings: capture switch and retention overrides; NULL inherits the default.
+const ensurePunchSnapshotTables = db.memoizeTableSetup('SNAPSHOT', createPunchSnapshotTables);
+
+async function createPunchSnapshotTables() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS punch_snapshots (
+      snapshot_id SERIAL PRIMARY KEY,
+      attendance_id INTEGER REFERENCES attendance_records(attendance_id) ON DELETE SET NULL,
+      punch_type VARCHAR(3) NOT NULL,
+      employee_id UUID REFERENCES employee_details(employee_id) ON DELETE SET NULL,
+      organization_id INTEGER,
+      device_id INTEGER,
+      file_name TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (attendance_id, punch_type)
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_punch_snapshots_created ON punch_snapshots(created_at)');
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS organization_snapshot_settings (
+      organization_id INTEGER PRIMARY KEY REFERENCES organizations(organization_id) ON DELETE CASCADE,
+      capture_enabled BOOLEAN,
+      retention_days INTEGER,
+      updated_by INTEGER,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Pick capture_enabled / retention_days out of a request body.
+// Returns { values } or { error }; null clears an override, omitted keys are left alone.
+function parseSnapshotSettings(body) {
+  const values = {};
+  if (body && body.capture_enabled !== undefined) {
+    if (body.capture_enabled !== null && typeof body.capture_enabled !== 'boolean') {
+      return { error: 'capture_enabled must be true, false or null' };
+    }
+    values.capture_enabled = body.capture_enabled;
+  }
+  if (body && body.retention_days !== undefined) {
+    const days = body.retention_days === null ? null : Number(body.retention_days);
+    const { min, max } = RETENTION_DAYS_RANGE;
+    if (days !== null && (!Number.isInteger(days) || days < min || days > max)) {
+      return { error: `retention_days must be a whole number between ${min} and ${max}` };
+    }
+    values.retention_days = days;
+  }
+  if (Object.keys(values).length === 0) {
+    return { error: 'Provide at least one of: capture_enabled, retention_days' };
+  }
+  return { values };
+}
+
+function pickSnapshotOverrides(row) {
+  return {
+    capture_enabled: row && row.capture_enabled !== null && row.capture_enabled !== undefined ? row.capture_enabled : null,
+    retention_days: row && row.retention_days !== null && row.retention_days !== undefined ? row.retention_days : null,
+  };
+}
+
+async function getSnapshotOverrides(organizationId) {
+  await ensurePunchSnapshotTables();
+  const { rows } = await db.query(
+    'SELECT * FROM organization_snapshot_settings WHERE organization_id = $1',
+    [organizationId]
+  );
+  return pickSnapshotOverrides(rows[0]);
+}
+
+async function getSnapshotSettings(organizationId) {
+  const settings = { ...SNAPSHOT_DEFAULTS };
+  if (organizationId === undefined || organizationId === null) return settings;
+  const overrides = await getSnapshotOverrides(organizationId);
+  Object.keys(overrides).forEach(key => {
+    if (overrides[key] !== null) settings[key] = overrides[key];
+  });
+  return settings;
+}
+
+async function setSnapshotOverrides(organizationId, values, userId) {
+  await ensurePunchSnapshotTables();
+  const columns = Object.keys(values);
+  const { rows } = await db.query(
+    `INSERT INTO organization_snapshot_settings (organization_id, updated_by, ${columns.join(', ')})
+     VALUES ($1, $2, ${columns.map((_c, i) => `$${i + 3}`).join(', ')})
+     ON CONFLICT (organization_id) DO UPDATE
+       SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')},
+           updated_by = $2, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [organizationId, userId || null, ...columns.map(column => values[column])]
+  );
+  return pickSnapshotOverrides(rows[0]);
+}
+
+function snapshotFilePath(fileName) {
+  return path.join(SNAPSHOT_DIR, fileName);
+}
+
+function discardSnapshotFile(fileName) {
+  if (!fileName) return;
+  fs.unlink(snapshotFilePath(fileName), () => {});
+}
+
+// Downscale (and, for a face in a group photo, crop) an image and store it. Returns the file name.
+async function storeSnapshotImage(image, { box } = {}) {
+  const resized = Buffer.from(await resizeImage(image, { maxWidth: SNAPSHOT_MAX_WIDTH, box }));
+  if (!fs.existsSync(SNAPSHOT_DIR)) fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  const fileName = `snap-${Date.now()}-${crypto.randomBytes(6).toString('hex')}.jpg`;
+  writeStoredFile(snapshotFilePath(fileName), resized);
+  return fileName;
+}
+
+// Store a snapshot ahead of the punch (/identify), if the organization captures them.
+// Returns the file name to link later with capturePunchSnapshot, or null.
+async function prepareSnapshot(image, organizationId) {
+  const settings = await getSnapshotSettings(organizationId);
+  return settings.capture_enabled ? storeSnapshotImage(image) : null;
+}
+
+// Keep the snapshot of a committed punch when the employee's organization has capture
+// on. Pass the image (and box for a group photo), or fileName from prepareSnapshot.
+// Returns the snapshot row, or null if none was kept.
+async function capturePunchSnapshot({ attendanceId, punchType, employeeId, deviceId, image, box, fileName }) {
+  await ensurePunchSnapshotTables();
+  const { rows: employees } = await db.query('SELECT organization_id FROM employee_details WHERE employee_id = $1', [employeeId]);
+  const organizationId = employees[0] ? employees[0].organization_id : null;
+  const settings = await getSnapshotSettings(organizationId);
+  if (!settings.capture_enabled) {
+    discardSnapshotFile(fileName);
+    return null;
+  }
+
+  const storedName = fileName || (await storeSnapshotImage(image, { box }));
+  const { rows } = await db.query(
+    `INSERT INTO punch_snapshots (attendance_id, punch_type, employee_id, organization_id, device_id, file_name)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (attendance_id, punch_type) DO NOTHING
+     RETURNING *`,
+    [attendanceId, punchType, employeeId, organizationId, deviceId || null, storedName]
+  );
+  if (rows.length === 0) discardSnapshotFile(storedName);
+  return rows[0] || null;
+}
+
+async function listPunchSnapshots(attendanceId) {
+  await ensurePunchSnapshotTables();
+  const { rows } = await db.query(
+    `SELECT snapshot_id, attendance_id, punch_type, employee_id, organization_id, device_id, created_at
+     FROM punch_snapshots WHERE attendance_id = $1 ORDER BY punch_type`,
+    [attendanceId]
+  );
+  return rows;
+}
+
+async function findPunchSnapshot(attendanceId, punchType) {
+  await ensurePunchSnapshotTables();
+  const { rows } = await db.query(
+    'SELECT * FROM punch_snapshots WHERE attendance_id = $1 AND punch_type = $2',
+    [attendanceId, punchType]
+  );
+  return rows[0] || null;
+}
+
+// Image bytes of a snapshot, decrypted if needed
+function readSnapshotImage(snapshot) {
+  return readStoredFile(snapshotFilePath(snapshot.file_name));
+}
+
+async function deleteSnapshotRows(whereClause, params) {
+  const { rows } = await db.query(`DELETE FROM punch_snapshots WHERE ${whereClause} RETURNING file_name`, params);
+  rows.forEach(row => discardSnapshotFile(row.file_name));
+  return rows.length;
+}
+
+// Remove snapshots older than their organization's retention period, those whose
+// attendance record is gone and those of punches previewed but never confirmed.
+// Returns the number of linked snapshots removed.
+async function purgeExpiredSnapshots() {
+  await ensurePunchSnapshotTables();
+  (await takeExpiredConfirmationSnapshots()).forEach(discardSnapshotFile);
+  const removed = await deleteSnapshotRows(
+    `snapshot_id IN (
+       SELECT s.snapshot_id FROM punch_snapshots s
+       LEFT JOIN organization_snapshot_settings o ON o.organization_id = s.organization_id
+       WHERE s.attendance_id IS NULL
+          OR s.created_at < NOW() - make_interval(days => COALESCE(o.retention_days, $1))
+     )`,
+    [SNAPSHOT_DEFAULTS.retention_days]
+  );
+  if (removed > 0) console.log(`[SNAPSHOT] Purged ${removed} expired punch snapshots`);
+  return removed;
+}
+
+// Erasure: every snapshot of an employee. Returns the number removed.
+async function removeEmployeeSnapshots(employeeId) {
+  await ensurePunchSnapshotTables();
+  return deleteSnapshotRows('employee_id = $1', [employeeId]);
+}
+
+// Employee deletion: remove the snapshot rows on the caller's transaction client.
+// Returns the file names to discard once it has committed.
+async function takeEmployeeSnapshots(employeeId, client) {
+  await ensurePunchSnapshotTables();
+  const { rows } = await client.query('DELETE FROM punch_snapshots WHERE employee_id = $1 RETURNING file_name', [employeeId]);
+  return rows.map(row => row.file_name);
+}
+
+module.exports = {
+  SNAPSHOT_DEFAULTS,
+  PUNCH_TYPES,
+  ensurePunchSnapshotTables,
+  parseSnapshotSettings,
+  getSnapshotOverrides,
+  getSnapshotSettings,
+  setSnapshotOverrides,
+  discardSnapshotFile,
+  prepareSnapshot,
+  capturePunchSnapshot,
+  listPunchSnapshots,
+  findPunchSnapshot,
+  readSnapshotImage,
+  purgeExpiredSnapshots,
+  removeEmployeeSnapshots,
+  takeEmployeeSnapshots,
+};
@@ -0,0 +1,173 @@
+const db = require('../config/db');
+const { buildOrganizationFilter } = require('./organizationScopeService');
+const { toLocalTime } = require('./attendanceLogicService');
+require('dotenv').config();
+
+// A rejection whose best distance is within this much of the threshold most likely
+// turned away an enrolled employee rather than a stranger
+const NEAR_MISS_MARGIN = parseFloat(process.env.RECOGNITION_NEAR_MISS_MARGIN || '0.1');
+
+// Outcomes of a recognition attempt. Rejected outcomes are the ones that count
+// against a kiosk or employee in the hot spot reports.
+const RECOGNITION_OUTCOMES = ['matched', 'not_recognized', 'ambiguous', 'low_quality', 'no_face', 'liveness_failed', 'no_employees', 'error'];
+const REJECTED_OUTCOMES = ['not_recognized', 'ambiguous', 'low_quality', 'no_face'];
+
+const HOTSPOT_GROUPS = {
+  device: {
+    columns: 'r.device_id, dv.device_name',
+    groupBy: 'r.device_id, dv.device_name',
+    join: 'LEFT JOIN devices dv ON dv.device_id = r.device_id',
+    order: 'rejected DESC, attempts DESC',
+  },
+  // Attempts are attributed to the closest enrolled employee, matched or not
+  employee: {
+    columns: 'r.employee_id, d.employee_name',
+    groupBy: 'r.employee_id, d.employee_name',
+    join: 'JOIN employee_details d ON d.employee_id = r.employee_id',
+    order: 'near_misses DESC, rejected DESC, attempts DESC',
+  },
+  // Business-local hour of day
+  hour: {
+    columns: 'r.local_hour AS hour',
+    groupBy: 'r.local_hour',
+    join: '',
+    order: 'hour ASC',
+  },
+};
+
+// Every face the kiosks tried to recognize (/mark, /identify, /mark-group): the
+// closest employee and runner-up distances, the threshold applied and the outcome.
+const ensureRecognitionAttemptsTable = db.memoizeTableSetup('RECOGNITION', createRecognitionAttemptsTable);
+
+async function createRecognitionAttemptsTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS recognition_attempts (
+      attempt_id SERIAL PRIMARY KEY,
+      source VARCHAR(20) NOT NULL,
+      device_id INTEGER,
+      organization_id INTEGER,
+      employee_id UUID REFERENCES employee_details(employee_id) ON DELETE SET NULL,
+      distance REAL,
+      second_employee_id UUID REFERENCES employee_details(employee_id) ON DELETE SET NULL,
+      second_distance REAL,
+      threshold REAL,
+      outcome VARCHAR(20) NOT NULL,
+      processing_ms INTEGER,
+      local_hour SMALLINT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_recognition_attempts_created ON recognition_attempts(created_at)');
+}
+
+// Never throws: a failed log write must not fail the punch
+async function recordRecognitionAttempt({
+  source, deviceId, organizationId, bestMatch, runnerUp, threshold, outcome, processingMs
+}) {
+  try {
+    await ensureRecognitionAttemptsTable();
+    await db.query(
+      `INSERT INTO recognition_attempts (source, device_id, organization_id, employee_id, distance,
+                                         second_employee_id, second_distance, threshold, outcome, processing_ms, local_hour)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        source,
+        deviceId || null,
+        organizationId || null,
+        bestMatch ? bestMatch.employee_id : null,
+        bestMatch ? bestMatch.distance : null,
+        runnerUp ? runnerUp.employee_id : null,
+        runnerUp ? runnerUp.distance : null,
+        threshold ?? null,
+        outcome,
+        processingMs ?? null,
+        toLocalTime(new Date()).getUTCHours()
+      ]
+    );
+  } catch (e) {
+    console.error('[RECOGNITION] Failed to record attempt:', e.message);
+  }
+}
+
+// Shared filters: startDate, endDate, device_id, employee_id, outcome, source
+function buildAttemptFilters(user, filters, params) {
+  let where = buildOrganizationFilter(user, 'r.organization_id', params);
+  ['device_id', 'employee_id', 'outcome', 'source'].forEach(column => {
+    if (filters[column]) {
+      params.push(String(filters[column]));
+      where += ` AND r.${column}::text = $${params.length}`;
+    }
+  });
+  if (filters.startDate && filters.endDate) {
+    params.push(filters.startDate, filters.endDate);
+    where += ` AND r.created_at::date BETWEEN $${params.length - 1} AND $${params.length}`;
+  }
+  return where;
+}
+
+// Filters as above plus limit (max 1000), newest first
+async function listRecognitionAttempts(user, filters = {}) {
+  await ensureRecognitionAttemptsTable();
+  const params = [];
+  let query = `SELECT r.attempt_id, r.source, r.device_id, dv.device_name, r.organization_id,
+      r.employee_id, d.employee_name, r.distance, r.second_employee_id, d2.employee_name AS second_employee_name,
+      r.second_distance, r.threshold, r.outcome, r.processing_ms, r.created_at
+    FROM recognition_attempts r
+    LEFT JOIN devices dv ON dv.device_id = r.device_id
+    LEFT JOIN employee_details d ON d.employee_id = r.employee_id
+    LEFT JOIN employee_details d2 ON d2.employee_id = r.second_employee_id
+    WHERE 1=1`;
+  query += buildAttemptFilters(user, filters, params);
+  params.push(Math.min(parseInt(filters.limit, 10) || 200, 1000));
+  query += ` ORDER BY r.created_at DESC, r.attempt_id DESC LIMIT $${params.length}`;
+  const { rows } = await db.query(query, params);
+  return rows;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+// Attempts, matches, rejections and near misses grouped by device, employee or hour.
+// Rows with the most rejections come first (hours are in order).
+async function getRecognitionHotspots(user, groupBy, filters = {}) {
+  await ensureRecognitionAttemptsTable();
+  const group = HOTSPOT_GROUPS[groupBy];
+  const params = [REJECTED_OUTCOMES, NEAR_MISS_MARGIN];
+  const where = buildAttemptFilters(user, filters, params);
+  const { rows } = await db.query(
+    `SELECT ${group.columns},
+       COUNT(*)::int AS attempts,
+       COUNT(*) FILTER (WHERE r.outcome = 'matched')::int AS matched,
+       COUNT(*) FILTER (WHERE r.outcome = ANY($1::text[]))::int AS rejected,
+       COUNT(*) FILTER (
+         WHERE r.outcome = 'ambiguous'
+            OR (r.outcome = 'not_recognized' AND r.distance <= r.threshold + $2)
+       )::int AS near_misses,
+       ROUND(AVG(r.distance) FILTER (WHERE r.outcome = 'matched')::numeric, 4)::float AS avg_match_distance,
+       ROUND(MAX(r.distance) FILTER (WHERE r.outcome = 'matched')::numeric, 4)::float AS max_match_distance,
+       ROUND(AVG(r.processing_ms))::int AS avg_processing_ms
+     FROM recognition_attempts r
+     ${group.join}
+     WHERE 1=1${where}
+     GROUP BY ${group.groupBy}
+     ORDER BY ${group.order}`,
+    params
+  );
+  return rows.map(row => ({
+    ...row,
+    reject_rate: ratio(row.rejected, row.attempts),
+    near_miss_rate: ratio(row.near_misses, row.attempts),
+  }));
+}
+
+module.exports = {
+  NEAR_MISS_MARGIN,
+  RECOGNITION_OUTCOMES,
+  REJECTED_OUTCOMES,
+  HOTSPOT_GROUPS,
+  ensureRecognitionAttemptsTable,
+  recordRecognitionAttempt,
+  listRecognitionAttempts,
+  getRecognitionHotspots,
+};
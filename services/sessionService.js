@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const { ensureUsersTable } = require('./userService');
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '7', 10);
+
+// Short-lived tokens between a correct password and a finished login. They carry
+// no session id, so protect() never accepts them as access tokens.
+const LOGIN_CHALLENGE_TYPES = {
+  TWO_FACTOR: 'mfa_challenge',
+  TWO_FACTOR_SETUP: 'mfa_setup',
+};
+const LOGIN_CHALLENGE_EXPIRES_IN = {
+  [LOGIN_CHALLENGE_TYPES.TWO_FACTOR]: '5m',
+  [LOGIN_CHALLENGE_TYPES.TWO_FACTOR_SETUP]: '15m',
+};
+
+// One row per login. The refresh token is rotated on every use and only its
+// SHA-256 hash is stored; access tokens carry the session id (sid) so that
+// revoking the row invalidates them immediately.
+const ensureSessionsTable = db.memoizeTableSetup('SESSIONS', createSessionsTable);
+
+async function createSessionsTable() {
+  await ensureUsersTable();
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      session_id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+      previous_token_hash VARCHAR(64),
+      ip_address VARCHAR(100),
+      user_agent TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)');
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_sessions_previous ON user_sessions(previous_token_hash)');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function generateAccessToken(userId, sessionId) {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+function buildTokenResponse(userId, sessionId, refreshToken) {
+  const token = generateAccessToken(userId, sessionId);
+  const { exp } = jwt.decode(token);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_in: exp - Math.floor(Date.now() / 1000),
+  };
+}
+
+function generateLoginChallengeToken(userId, type) {
+  const token = jwt.sign({ id: userId, type }, process.env.JWT_SECRET, {
+    expiresIn: LOGIN_CHALLENGE_EXPIRES_IN[type],
+    jwtid: crypto.randomUUID(),
+  });
+  const { exp } = jwt.decode(token);
+  return { token, expires_in: exp - Math.floor(Date.now() / 1000) };
+}
+
+// Returns the user id, or null if the token is invalid, expired or of another type
+function verifyLoginChallengeToken(token, type) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === type && decoded.id ? decoded.id : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+function refreshExpiryDate() {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Start a new session after a successful login
+async function createSession(userId, { ip, userAgent } = {}) {
+  await ensureSessionsTable();
+  // Housekeeping: drop this user's sessions that can no longer be used
+  await db.query(
+    'DELETE FROM user_sessions WHERE user_id = $1 AND (expires_at < NOW() OR revoked_at IS NOT NULL)',
+    [userId]
+  );
+
+  const refreshToken = generateRefreshToken();
+  const { rows } = await db.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING session_id`,
+    [userId, hashToken(refreshToken), ip || null, userAgent || null, refreshExpiryDate()]
+  );
+  return buildTokenResponse(userId, rows[0].session_id, refreshToken);
+}
+
+// Exchange a refresh token for a new access + refresh token pair.
+// Returns null when the token is unknown, expired or revoked. Presenting an
+// already-rotated token means it was copied, so the whole session is revoked.
+async function rotateRefreshToken(refreshToken) {
+  await ensureSessionsTable();
+  const tokenHash = hashToken(refreshToken);
+
+  const { rows } = await db.query(
+    `SELECT s.session_id, s.user_id, s.expires_at, s.revoked_at, u.is_active
+     FROM user_sessions s
+     JOIN users u ON u.user_id = s.user_id
+     WHERE s.refresh_token_hash = $1`,
+    [tokenHash]
+  );
+
+  if (rows.length === 0) {
+    const reused = await db.query(
+      `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       RETURNING session_id, user_id`,
+      [tokenHash]
+    );
+    if (reused.rows.length > 0) {
+      console.warn(`[SESSIONS] ⚠️ Refresh token reuse detected, revoked session ${reused.rows[0].session_id} for user ${reused.rows[0].user_id}`);
+    }
+    return null;
+  }
+
+  const session = rows[0];
+  if (session.revoked_at || new Date(session.expires_at) <= new Date() || !session.is_active) {
+    return null;
+  }
+
+  // The token must still be current when it is swapped: of two requests racing
+  // with the same refresh token only one gets a new pair
+  const newRefreshToken = generateRefreshToken();
+  const rotated = await db.query(
+    `UPDATE user_sessions
+     SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+         expires_at = $2, last_used_at = CURRENT_TIMESTAMP
+     WHERE session_id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL`,
+    [hashToken(newRefreshToken), refreshExpiryDate(), session.session_id, tokenHash]
+  );
+  if (rotated.rowCount === 0) return null;
+  return buildTokenResponse(session.user_id, session.session_id, newRefreshToken);
+}
+
+async function isSessionActive(sessionId, userId) {
+  await ensureSessionsTable();
+  const { rows } = await db.query(
+    `SELECT 1 FROM user_sessions
+     WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  return rows.length > 0;
+}
+
+async function revokeSession(sessionId) {
+  await ensureSessionsTable();
+  const result = await db.query(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+  return result.rowCount;
+}
+
+// Returns the number of sessions that were still active
+async function revokeAllSessionsForUser(userId) {
+  await ensureSessionsTable();
+  const result = await db.query(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  LOGIN_CHALLENGE_TYPES,
+  ensureSessionsTable,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessionsForUser,
+  generateLoginChallengeToken,
+  verifyLoginChallengeToken,
+};
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { ensureUsersTable } = require('./userService');
+require('dotenv').config();
+
+// RFC 6238 defaults, which every authenticator app understands
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept one step either side for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Attendance System';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// user_two_factor holds the TOTP secret (pending until the first code is
+// verified). Recovery codes are single-use and stored as SHA-256 hashes.
+const ensureTwoFactorTables = db.memoizeTableSetup('2FA', createTwoFactorTables);
+
+async function createTwoFactorTables() {
+  await ensureUsersTable();
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_two_factor (
+      user_id INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+      secret VARCHAR(64) NOT NULL,
+      is_enabled BOOLEAN DEFAULT false,
+      last_used_step BIGINT,
+      enabled_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      code_id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id)');
+}
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP value for one counter step
+function hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+function generateTotp(secret, timeMs = Date.now()) {
+  return hotp(secret, currentStep(timeMs));
+}
+
+// Returns the matching time step, or null. Steps at or before lastUsedStep are
+// rejected so an observed code can't be replayed.
+function verifyTotp(secret, code, lastUsedStep = null, timeMs = Date.now()) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(token) || token.length !== TOTP_DIGITS) return null;
+
+  const step = currentStep(timeMs);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && candidate <= Number(lastUsedStep)) continue;
+    const expected = Buffer.from(hotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(token))) return candidate;
+  }
+  return null;
+}
+
+// otpauth:// URI; render it as a QR code for authenticator apps
+function buildProvisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+async function getTwoFactorStatus(userId) {
+  await ensureTwoFactorTables();
+  const { rows } = await db.query(
+    `SELECT t.is_enabled, t.enabled_at,
+       (SELECT COUNT(*) FROM user_recovery_codes c WHERE c.user_id = t.user_id AND c.used_at IS NULL) AS recovery_codes_remaining
+     FROM user_two_factor t WHERE t.user_id = $1`,
+    [userId]
+  );
+  if (rows.length === 0) return { enabled: false, enabled_at: null, recovery_codes_remaining: 0 };
+  return {
+    enabled: !!rows[0].is_enabled,
+    enabled_at: rows[0].enabled_at,
+    recovery_codes_remaining: parseInt(rows[0].recovery_codes_remaining, 10) || 0
+  };
+}
+
+async function isTwoFactorEnabled(userId) {
+  return (await getTwoFactorStatus(userId)).enabled;
+}
+
+// Start (or restart) enrollment with a fresh secret. Refused while 2FA is enabled.
+async function startEnrollment(user) {
+  await ensureTwoFactorTables();
+  if (await isTwoFactorEnabled(user.user_id)) return null;
+
+  const secret = generateSecret();
+  await db.query(
+    `INSERT INTO user_two_factor (user_id, secret, is_enabled)
+     VALUES ($1, $2, false)
+     ON CONFLICT (user_id) DO UPDATE
+       SET secret = $2, is_enabled = false, last_used_step = NULL, updated_at = CURRENT_TIMESTAMP`,
+    [user.user_id, secret]
+  );
+  return { secret, provisioning_uri: buildProvisioningUri(secret, user.email) };
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await db.query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+  return codes;
+}
+
+// Enable 2FA once the user proves their app produces valid codes.
+// Returns the plain recovery codes (shown once) or null if the code was wrong.
+async function confirmEnrollment(userId, code) {
+  await ensureTwoFactorTables();
+  const { rows } = await db.query(
+    'SELECT secret, is_enabled FROM user_two_factor WHERE user_id = $1',
+    [userId]
+  );
+  if (rows.length === 0 || rows[0].is_enabled) return null;
+
+  const step = verifyTotp(rows[0].secret, code);
+  if (step === null) return null;
+
+  await db.query(
+    `UPDATE user_two_factor
+     SET is_enabled = true, last_used_step = $1, enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $2`,
+    [step, userId]
+  );
+  return replaceRecoveryCodes(userId);
+}
+
+// Check a login or confirmation code: an authenticator code or an unused recovery code.
+// Returns 'totp', 'recovery' or null.
+async function verifySecondFactor(userId, code) {
+  await ensureTwoFactorTables();
+  const { rows } = await db.query(
+    'SELECT secret, last_used_step FROM user_two_factor WHERE user_id = $1 AND is_enabled = true',
+    [userId]
+  );
+  if (rows.length === 0 || !code) return null;
+
+  const step = verifyTotp(rows[0].secret, code, rows[0].last_used_step);
+  if (step !== null) {
+    await db.query('UPDATE user_two_factor SET last_used_step = $1 WHERE user_id = $2', [step, userId]);
+    return 'totp';
+  }
+
+  const used = await db.query(
+    `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING code_id`,
+    [userId, hashRecoveryCode(code)]
+  );
+  return used.rows.length > 0 ? 'recovery' : null;
+}
+
+async function regenerateRecoveryCodes(userId) {
+  await ensureTwoFactorTables();
+  return replaceRecoveryCodes(userId);
+}
+
+// Returns true if 2FA (enabled or pending) was removed
+async function disableTwoFactor(userId) {
+  await ensureTwoFactorTables();
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  const result = await db.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  ensureTwoFactorTables,
+  generateSecret,
+  hotp,
+  generateTotp,
+  verifyTotp,
+  buildProvisioningUri,
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/db');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+
+const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Columns that are safe to return to API clients (never the password hash)
+const USER_PUBLIC_COLUMNS = 'user_id, name, email, role, is_active, last_login_at, created_at, updated_at';
+
+// Create users table if it doesn't exist. The promise is shared so concurrent
+// callers don't race each other while seeding the first admin.
+const ensureUsersTable = db.memoizeTableSetup('USERS', createUsersTable);
+
+async function createUsersTable() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      user_id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(50) NOT NULL DEFAULT '${DEFAULT_ROLE}',
+      is_active BOOLEAN DEFAULT true,
+      last_login_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // Accounts created before roles existed were all full admins
+  await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(50)');
+  await db.query(`UPDATE users SET role = '${ROLES.SUPER_ADMIN}' WHERE role IS NULL`);
+  await db.query(`ALTER TABLE users ALTER COLUMN role SET DEFAULT '${DEFAULT_ROLE}', ALTER COLUMN role SET NOT NULL`);
+  // Organizations a user may see; super admins are not scoped and need no rows here
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_organizations (
+      user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+      organization_id INTEGER NOT NULL,
+      PRIMARY KEY (user_id, organization_id)
+    )
+  `);
+  await seedInitialAdmin();
+}
+
+// On a fresh database (no users yet), create the first admin from ADMIN_EMAIL /
+// ADMIN_PASSWORD so someone can log in and create the other accounts. There is
+// no default password: without ADMIN_PASSWORD nothing is seeded.
+async function seedInitialAdmin() {
+  const email = normalizeEmail(process.env.ADMIN_EMAIL || 'admin@anocab.com');
+  const password = process.env.ADMIN_PASSWORD;
+
+  const { rows } = await db.query('SELECT COUNT(*) AS count FROM users');
+  if (parseInt(rows[0].count, 10) > 0) return;
+
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    console.error(
+      `[USERS] No users exist and ADMIN_PASSWORD is not set (or is shorter than ${MIN_PASSWORD_LENGTH} characters); ` +
+      'set it and restart to create the initial admin account'
+    );
+    return;
+  }
+
+  const passwordHash = await hashPassword(password);
+  await db.query(
+    `INSERT INTO users (name, email, password_hash, role) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (email) DO NOTHING`,
+    [process.env.ADMIN_NAME || 'Administrator', email, passwordHash, ROLES.SUPER_ADMIN]
+  );
+  console.log(`[USERS] Seeded initial admin account: ${email}`);
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+async function hashPassword(password) {
+  return bcrypt.hash(String(password), SALT_ROUNDS);
+}
+
+let dummyPasswordHashPromise = null;
+
+// Hash of a random password nobody knows, for checks where there is no account
+function dummyPasswordHash() {
+  if (!dummyPasswordHashPromise) dummyPasswordHashPromise = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyPasswordHashPromise;
+}
+
+// Without a hash (no such account) a throwaway hash is still compared, so an
+// unknown email takes as long to reject as a wrong password
+async function verifyPassword(password, passwordHash) {
+  if (!password) return false;
+  if (!passwordHash) {
+    await bcrypt.compare(String(password), await dummyPasswordHash());
+    return false;
+  }
+  return bcrypt.compare(String(password), passwordHash);
+}
+
+// Includes password_hash - only for login checks, never send this row to a client
+async function findUserByEmail(email) {
+  await ensureUsersTable();
+  const { rows } = await db.query(
+    `SELECT ${USER_PUBLIC_COLUMNS}, password_hash FROM users WHERE email = $1`,
+    [normalizeEmail(email)]
+  );
+  return rows[0] || null;
+}
+
+async function findUserById(userId) {
+  await ensureUsersTable();
+  const { rows } = await db.query(
+    `SELECT ${USER_PUBLIC_COLUMNS} FROM users WHERE user_id = $1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+async function getUserOrganizationIds(userId) {
+  await ensureUsersTable();
+  const { rows } = await db.query(
+    'SELECT organization_id FROM user_organizations WHERE user_id = $1 ORDER BY organization_id',
+    [userId]
+  );
+  return rows.map(r => r.organization_id);
+}
+
+// Replace the full set of organizations a user is bound to
+async function setUserOrganizationIds(userId, organizationIds) {
+  await ensureUsersTable();
+  const ids = [...new Set((organizationIds || []).map(id => parseInt(id, 10)).filter(Number.isInteger))];
+  await db.query('DELETE FROM user_organizations WHERE user_id = $1', [userId]);
+  if (ids.length > 0) {
+    await db.query(
+      `INSERT INTO user_organizations (user_id, organization_id)
+       SELECT $1, UNNEST($2::int[])`,
+      [userId, ids]
+    );
+  }
+  return ids;
+}
+
+module.exports = {
+  USER_PUBLIC_COLUMNS,
+  MIN_PASSWORD_LENGTH,
+  ensureUsersTable,
+  normalizeEmail,
+  hashPassword,
+  verifyPassword,
+  findUserByEmail,
+  findUserById,
+  getUserOrganizationIds,
+  setUserOrganizationIds,
+};
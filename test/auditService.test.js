@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./fakeDb').installFakeDb();
+const { sanitize } = require('../services/auditService');
+
+test('secrets are redacted and embeddings dropped', () => {
+  const clean = sanitize({
+    email: 'a@example.com',
+    password_hash: '$2a$10$abc',
+    device_secret: 'xyz',
+    face_embedding: [0.1, 0.2],
+  });
+  assert.deepStrictEqual(clean, { email: 'a@example.com', password_hash: '[redacted]', device_secret: '[redacted]' });
+});
+
+test('nested objects and arrays are sanitized at every depth', () => {
+  const clean = sanitize({
+    employee: { employee_name: 'Ann', face_embedding: [0.1] },
+    sessions: [{ session_id: 1, refresh_token_hash: 'h1' }, { session_id: 2, token_hash: 'h2' }],
+    two_factor: { settings: { secret: 'JBSWY3DP' } },
+  });
+  assert.deepStrictEqual(clean, {
+    employee: { employee_name: 'Ann' },
+    sessions: [{ session_id: 1, refresh_token_hash: '[redacted]' }, { session_id: 2, token_hash: '[redacted]' }],
+    two_factor: { settings: { secret: '[redacted]' } },
+  });
+});
+
+test('empty secrets and non-object values are kept as they are', () => {
+  const when = new Date('2025-01-01T00:00:00Z');
+  assert.deepStrictEqual(sanitize({ secret: null, at: when, count: 0 }), { secret: null, at: when, count: 0 });
+  assert.strictEqual(sanitize(undefined), null);
+  assert.strictEqual(sanitize('text'), 'text');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeDb = require('./fakeDb').installFakeDb();
+const {
+  FACE_MATCH_DEFAULTS,
+  ORGANIZATION_SETTINGS,
+  EMPLOYEE_SETTINGS,
+  parseSettings,
+  getEffectiveFaceSettings,
+} = require('../services/faceMatchSettingsService');
+
+test('parseSettings keeps allowed keys and converts them to numbers', () => {
+  const parsed = parseSettings({ match_threshold: '0.4', match_margin: 0.1, unknown: 1 }, ORGANIZATION_SETTINGS);
+  assert.deepStrictEqual(parsed, { values: { match_threshold: 0.4, match_margin: 0.1 } });
+});
+
+test('parseSettings treats null as clearing an override', () => {
+  assert.deepStrictEqual(parseSettings({ match_margin: null }, EMPLOYEE_SETTINGS), { values: { match_margin: null } });
+});
+
+test('parseSettings rejects values outside the allowed range', () => {
+  assert.match(parseSettings({ match_threshold: 2 }, ORGANIZATION_SETTINGS).error, /match_threshold must be a number between 0.05 and 1.5/);
+  assert.match(parseSettings({ match_margin: -0.1 }, ORGANIZATION_SETTINGS).error, /match_margin/);
+  assert.match(parseSettings({ match_threshold: 'abc' }, ORGANIZATION_SETTINGS).error, /match_threshold/);
+});
+
+test('parseSettings ignores settings the level does not allow', () => {
+  const parsed = parseSettings({ min_detection_confidence: 0.6 }, EMPLOYEE_SETTINGS);
+  assert.strictEqual(parsed.error, 'Provide at least one of: match_threshold, match_margin');
+  assert.ok(parseSettings(undefined, EMPLOYEE_SETTINGS).error);
+});
+
+test('employee overrides win over organization overrides, which win over the defaults', async () => {
+  fakeDb.respond = async (text) => {
+    if (text.includes('FROM employee_details')) return { rows: [{ organization_id: 7 }] };
+    if (text.includes('FROM organization_face_settings')) {
+      return { rows: [{ match_threshold: 0.5, match_margin: 0.08, min_detection_confidence: null }] };
+    }
+    if (text.includes('FROM employee_face_settings')) return { rows: [{ match_threshold: 0.38, match_margin: null }] };
+    return { rows: [] };
+  };
+  assert.deepStrictEqual(await getEffectiveFaceSettings({ employeeId: 'e1' }), {
+    match_threshold: 0.38,
+    match_margin: 0.08,
+    min_detection_confidence: FACE_MATCH_DEFAULTS.min_detection_confidence,
+  });
+  assert.deepStrictEqual(await getEffectiveFaceSettings({ organizationId: 7 }), {
+    ...FACE_MATCH_DEFAULTS,
+    match_threshold: 0.5,
+    match_margin: 0.08,
+  });
+  assert.deepStrictEqual(await getEffectiveFaceSettings(), FACE_MATCH_DEFAULTS);
+});
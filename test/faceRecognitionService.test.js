@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+let canvas = null;
+try {
+  canvas = require('canvas');
+} catch (_e) {
+  // Native module not built on this machine
+}
+const skip = canvas ? false : 'the canvas module is not available';
+const { QUALITY_LIMITS, assessDetections } = canvas ? require('../services/faceRecognitionService') : {};
+
+const BOX = { x: 120, y: 120, width: 160, height: 160 };
+
+// Synthetic 68-point landmarks for a face looking straight at the camera:
+// eyes level, nose centred between them, chin below
+function frontalLandmarks({ rightEyeDrop = 0 } = {}) {
+  const positions = Array.from({ length: 68 }, () => ({ x: 200, y: 200 }));
+  const eye = (cx, cy) => [[-10, 0], [-5, -3], [5, -3], [10, 0], [5, 3], [-5, 3]].map(([dx, dy]) => ({ x: cx + dx, y: cy + dy }));
+  positions.splice(36, 6, ...eye(160, 170));
+  positions.splice(42, 6, ...eye(240, 170 + rightEyeDrop));
+  positions[30] = { x: 200, y: 210 };
+  positions[8] = { x: 200, y: 270 };
+  return { positions };
+}
+
+function detection(landmarks = frontalLandmarks()) {
+  return { detection: { box: BOX, score: 0.98 }, landmarks };
+}
+
+// Canvas with the face box filled by a sharp checkerboard, or a flat colour
+function faceCanvas({ width = 400, fill } = {}) {
+  const c = canvas.createCanvas(width, 400);
+  const ctx = c.getContext('2d');
+  ctx.fillStyle = '#808080';
+  ctx.fillRect(0, 0, width, 400);
+  for (let y = 0; y < BOX.height; y += 8) {
+    for (let x = 0; x < BOX.width; x += 8) {
+      ctx.fillStyle = fill || (((x + y) / 8) % 2 === 0 ? '#202020' : '#e0e0e0');
+      ctx.fillRect(BOX.x + x, BOX.y + y, 8, 8);
+    }
+  }
+  return c;
+}
+
+const reasonCodes = (quality) => quality.reasons.map(r => r.code);
+
+test('a sharp, well-lit, frontal face passes', { skip }, () => {
+  const quality = assessDetections(faceCanvas(), [detection()]);
+  assert.deepStrictEqual(reasonCodes(quality), []);
+  assert.strictEqual(quality.passed, true);
+  assert.strictEqual(quality.scores.face_count, 1);
+  assert.strictEqual(quality.scores.face_ratio, 0.4);
+  assert.strictEqual(quality.scores.yaw, 0);
+  assert.strictEqual(quality.scores.pitch, 0);
+  assert.strictEqual(quality.scores.roll, 0);
+});
+
+test('no face and several faces are rejected', { skip }, () => {
+  assert.deepStrictEqual(reasonCodes(assessDetections(faceCanvas(), [])), ['no_face']);
+  assert.deepStrictEqual(reasonCodes(assessDetections(faceCanvas(), [detection(), detection()])), ['multiple_faces']);
+});
+
+test('flat, dark and overexposed faces are rejected', { skip }, () => {
+  assert.deepStrictEqual(reasonCodes(assessDetections(faceCanvas({ fill: '#808080' }), [detection()])), ['blurry']);
+  assert.deepStrictEqual(reasonCodes(assessDetections(faceCanvas({ fill: '#101010' }), [detection()])), ['blurry', 'too_dark']);
+  assert.deepStrictEqual(reasonCodes(assessDetections(faceCanvas({ fill: '#f8f8f8' }), [detection()])), ['blurry', 'too_bright']);
+});
+
+test('a face too small for the frame is rejected', { skip }, () => {
+  const c = faceCanvas({ width: 1600 });
+  assert.deepStrictEqual(reasonCodes(assessDetections(c, [detection()])), ['face_too_small']);
+  // Group check-in passes smaller limits
+  const limits = { ...QUALITY_LIMITS, minFaceRatio: 0.04 };
+  assert.deepStrictEqual(reasonCodes(assessDetections(c, [detection()], limits)), []);
+});
+
+test('a tilted head is rejected', { skip }, () => {
+  const quality = assessDetections(faceCanvas(), [detection(frontalLandmarks({ rightEyeDrop: 40 }))]);
+  assert.ok(reasonCodes(quality).includes('bad_pose'));
+  assert.ok(quality.scores.roll > 20);
+});
@@ -0,0 +1,24 @@
+const path = require('path');
+
+// Stands in for config/db so services can be loaded without a database. Install
+// it before requiring a service. Table setup is skipped, every query is kept in
+// fakeDb.queries, and fakeDb.respond(text, params) supplies the results.
+function installFakeDb() {
+  const dbPath = path.join(__dirname, '../config/db.js');
+  const fakeDb = {
+    queries: [],
+    respond: async () => ({ rows: [], rowCount: 0 }),
+    async query(text, params) {
+      fakeDb.queries.push({ text, params });
+      return fakeDb.respond(text, params);
+    },
+    async getClient() {
+      return { query: fakeDb.query, release() {} };
+    },
+    memoizeTableSetup: () => async () => {},
+  };
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+  return fakeDb;
+}
+
+module.exports = { installFakeDb };
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./fakeDb').installFakeDb();
+const { evaluateLiveness } = require('../services/livenessService');
+
+const SAME_FACE = new Float32Array(128).fill(0.1);
+const OTHER_FACE = new Float32Array(128).fill(0.2);
+
+function frame({ eyes = 0.3, yaw = 0, pitch = 0, descriptor = SAME_FACE, qualityPassed = true } = {}) {
+  return { face: true, eye_openness: eyes, yaw, pitch, descriptor, quality: { passed: qualityPassed } };
+}
+
+test('a burst with too few faces fails', () => {
+  const result = evaluateLiveness([frame(), frame(), { face: false }]);
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.reason, 'not_enough_frames');
+  assert.strictEqual(result.checks.frames_with_face, 2);
+});
+
+test('a still photo with no blink or movement fails', () => {
+  const result = evaluateLiveness([frame(), frame(), frame()]);
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.reason, 'no_blink_or_movement');
+});
+
+test('a blink or natural head movement passes without a challenge', () => {
+  const blink = evaluateLiveness([frame(), frame({ eyes: 0.15 }), frame()]);
+  assert.strictEqual(blink.passed, true);
+  assert.strictEqual(blink.checks.blink, true);
+
+  const movement = evaluateLiveness([frame(), frame({ yaw: 8 }), frame({ yaw: 14 })]);
+  assert.strictEqual(movement.passed, true);
+  assert.strictEqual(movement.checks.head_movement_degrees, 14);
+});
+
+test('a face swapped mid-burst fails', () => {
+  const result = evaluateLiveness([frame(), frame({ eyes: 0.15 }), frame({ descriptor: OTHER_FACE })]);
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.reason, 'face_changed');
+});
+
+test('a challenge must be performed as asked', () => {
+  const turnedLeft = [frame(), frame({ yaw: 10 }), frame({ yaw: 20 })];
+  assert.strictEqual(evaluateLiveness(turnedLeft, 'turn_left').passed, true);
+  const wrongWay = evaluateLiveness(turnedLeft, 'turn_right');
+  assert.strictEqual(wrongWay.passed, false);
+  assert.strictEqual(wrongWay.reason, 'challenge_failed');
+  assert.strictEqual(evaluateLiveness([frame(), frame({ yaw: -10 }), frame({ yaw: -18 })], 'turn_right').passed, true);
+  // Movement alone doesn't satisfy a blink challenge
+  assert.strictEqual(evaluateLiveness(turnedLeft, 'blink').passed, false);
+  assert.strictEqual(evaluateLiveness([frame(), frame({ eyes: 0.15 }), frame()], 'blink').passed, true);
+});
+
+test('the most frontal open-eyed frame that passed the quality gate is used for matching', () => {
+  const best = frame({ yaw: 2 });
+  const frames = [frame({ yaw: 10 }), frame({ yaw: 0, qualityPassed: false }), best, frame({ eyes: 0.15 })];
+  assert.strictEqual(evaluateLiveness(frames).bestFrame, best);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./fakeDb').installFakeDb();
+const { secondsToWait } = require('../services/loginProtectionService');
+
+const now = new Date('2025-01-01T12:00:00Z');
+const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+test('no counter means no wait', () => {
+  assert.strictEqual(secondsToWait(undefined, now), 0);
+});
+
+test('a locked counter waits out the rest of the lockout', () => {
+  const row = { failed_count: 5, last_failed_at: secondsAgo(1), locked_until: new Date(now.getTime() + 90500) };
+  assert.strictEqual(secondsToWait(row, now), 91);
+});
+
+test('failures below the delay threshold are not throttled', () => {
+  assert.strictEqual(secondsToWait({ failed_count: 2, last_failed_at: secondsAgo(0) }, now), 0);
+});
+
+test('the delay doubles with each failure past the threshold', () => {
+  assert.strictEqual(secondsToWait({ failed_count: 3, last_failed_at: secondsAgo(0.5) }, now), 1);
+  assert.strictEqual(secondsToWait({ failed_count: 3, last_failed_at: secondsAgo(1) }, now), 0);
+  assert.strictEqual(secondsToWait({ failed_count: 5, last_failed_at: secondsAgo(1) }, now), 3);
+});
+
+test('the delay is capped', () => {
+  assert.strictEqual(secondsToWait({ failed_count: 20, last_failed_at: secondsAgo(0) }, now), 60);
+});
+
+test('failures outside the window are ignored', () => {
+  assert.strictEqual(secondsToWait({ failed_count: 10, last_failed_at: secondsAgo(16 * 60) }, now), 0);
+});
+
+test('an expired lockout falls back to the failure delay', () => {
+  const row = { failed_count: 4, last_failed_at: secondsAgo(0), locked_until: secondsAgo(10) };
+  assert.strictEqual(secondsToWait(row, now), 2);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fakeDb = require('./fakeDb').installFakeDb();
+const {
+  hotp,
+  generateTotp,
+  verifyTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+} = require('../services/twoFactorService');
+
+// The RFC 4226 / RFC 6238 test key, ASCII "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('hotp matches the RFC 4226 test values', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+  expected.forEach((code, counter) => assert.strictEqual(hotp(RFC_SECRET, counter), code));
+});
+
+// RFC 6238 appendix B (SHA-1). The RFC lists 8-digit codes; 6-digit codes are their last six digits.
+const RFC_6238_VECTORS = [
+  { time: 59, step: 1, code: '94287082' },
+  { time: 1111111109, step: 37037036, code: '07081804' },
+  { time: 1111111111, step: 37037037, code: '14050471' },
+  { time: 1234567890, step: 41152263, code: '89005924' },
+  { time: 2000000000, step: 66666666, code: '69279037' },
+  { time: 20000000000, step: 666666666, code: '65353130' },
+];
+
+test('TOTP codes match the RFC 6238 SHA-1 test values', () => {
+  RFC_6238_VECTORS.forEach(({ time, step, code }) => {
+    assert.strictEqual(generateTotp(RFC_SECRET, time * 1000), code.slice(-6));
+    assert.strictEqual(verifyTotp(RFC_SECRET, code.slice(-6), null, time * 1000), step);
+  });
+});
+
+test('verifyTotp accepts one step of clock drift and nothing further', () => {
+  const time = 1111111111 * 1000;
+  assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, 37037036), null, time), 37037036);
+  assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, 37037038), null, time), 37037038);
+  assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, 37037035), null, time), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, 37037039), null, time), null);
+});
+
+test('verifyTotp rejects malformed codes', () => {
+  const time = 59 * 1000;
+  assert.strictEqual(verifyTotp(RFC_SECRET, '94287082', null, time), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '28708a', null, time), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '', null, time), null);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '287 082', null, time), 1);
+});
+
+test('verifyTotp rejects steps at or before the last used step', () => {
+  const time = 1234567890 * 1000;
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', 41152262, time), 41152263);
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', 41152263, time), null);
+  // pg returns BIGINT columns as strings
+  assert.strictEqual(verifyTotp(RFC_SECRET, '005924', '41152263', time), null);
+});
+
+// A user with 2FA enabled: the TOTP row and recovery codes live in memory
+function enrolledUser() {
+  const state = { lastUsedStep: null, codeHashes: new Map() };
+  fakeDb.respond = async (text, params) => {
+    if (text.includes('SELECT secret, last_used_step')) {
+      return { rows: [{ secret: RFC_SECRET, last_used_step: state.lastUsedStep }] };
+    }
+    if (text.includes('UPDATE user_two_factor SET last_used_step')) {
+      state.lastUsedStep = String(params[0]);
+      return { rows: [], rowCount: 1 };
+    }
+    if (text.includes('INSERT INTO user_recovery_codes')) {
+      state.codeHashes = new Map(params[1].map(hash => [hash, false]));
+      return { rows: [], rowCount: params[1].length };
+    }
+    if (text.includes('UPDATE user_recovery_codes')) {
+      if (state.codeHashes.get(params[1]) !== false) return { rows: [], rowCount: 0 };
+      state.codeHashes.set(params[1], true);
+      return { rows: [{ code_id: 1 }], rowCount: 1 };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return state;
+}
+
+test('an authenticator code cannot be replayed', async () => {
+  const state = enrolledUser();
+  const code = generateTotp(RFC_SECRET);
+  assert.strictEqual(await verifySecondFactor(1, code), 'totp');
+  assert.notStrictEqual(state.lastUsedStep, null);
+  assert.strictEqual(await verifySecondFactor(1, code), null);
+});
+
+test('a recovery code works once', async () => {
+  enrolledUser();
+  const codes = await regenerateRecoveryCodes(1);
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(await verifySecondFactor(1, codes[0]), 'recovery');
+  assert.strictEqual(await verifySecondFactor(1, codes[0]), null);
+  // Case and separators are ignored
+  assert.strictEqual(await verifySecondFactor(1, codes[1].toUpperCase().replace('-', ' ')), 'recovery');
+  assert.strictEqual(await verifySecondFactor(1, 'aaaaa-bbbbb'), null);
+});